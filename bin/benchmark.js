@@ -0,0 +1,79 @@
+#!/usr/bin/env node
+/**
+ * Banco de Pruebas de Rendimiento desde la Línea de Comandos
+ * Uso: node bin/benchmark.js [--counts 250,500,1000] [--steps N] [--warmup N] [--json salida.json]
+ * Mide el paso de física con un número creciente de piezas; el progreso va a stderr
+ * y la tabla a stdout. Ver docs/engine.md.
+ */
+
+const fs = require('fs');
+const { SimulationEngine, PerformanceBenchmark, BENCHMARK_COUNTS } = require('../js/node');
+
+const USAGE = 'Uso: node bin/benchmark.js [--counts 250,500,1000] [--steps N] [--warmup N] [--json salida.json]';
+const OPTIONS = ['counts', 'steps', 'warmup', 'json'];
+
+function parseArguments(argv) {
+  // Una opción desconocida es un error: si no, una errata lanzaría el banco completo por defecto
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    const argument = argv[i];
+    if (argument === '--help' || argument === '-h') {
+      console.log(USAGE);
+      process.exit(0);
+    }
+
+    const name = argument.startsWith('--') ? argument.slice(2) : null;
+    if (!OPTIONS.includes(name)) {
+      console.error(`Opción desconocida: ${argument}\n${USAGE}`);
+      process.exit(1);
+    }
+    if (i + 1 >= argv.length) {
+      console.error(`--${name}: falta el valor\n${USAGE}`);
+      process.exit(1);
+    }
+    options[name] = argv[++i];
+  }
+  return options;
+}
+
+function parseCount(value, name) {
+  const count = Number(value);
+  if (!Number.isInteger(count) || count < 1) {
+    console.error(`--${name}: debe ser un entero positivo (se recibió ${JSON.stringify(value)})`);
+    process.exit(1);
+  }
+  return count;
+}
+
+async function main() {
+  const options = parseArguments(process.argv.slice(2));
+  const counts = options.counts !== undefined
+    ? options.counts.split(',').map(value => parseCount(value, 'counts'))
+    : BENCHMARK_COUNTS;
+
+  const benchmark = new PerformanceBenchmark(new SimulationEngine({ record: false }), {
+    counts,
+    ...(options.steps !== undefined ? { steps: parseCount(options.steps, 'steps') } : {}),
+    ...(options.warmup !== undefined ? { warmupSteps: parseCount(options.warmup, 'warmup') } : {})
+  });
+
+  const results = await benchmark.run(({ completed, total, result }) => {
+    process.stderr.write(`\rMedición ${completed}/${total} (${result.objects} piezas)`);
+  });
+  process.stderr.write('\n');
+
+  console.log(['Piezas', 'en reposo', 'contactos', 'paso medio (ms)', 'p95 (ms)', 'máx (ms)', 'estadísticas (ms)'].join('\t'));
+  results.forEach(result => {
+    console.log([
+      result.objects,
+      result.sleeping,
+      result.contacts,
+      ...['mean', 'p95', 'max'].map(key => result.step[key].toFixed(2)),
+      result.statistics.mean.toFixed(2)
+    ].join('\t'));
+  });
+
+  if (options.json) fs.writeFileSync(options.json, JSON.stringify(results, null, 2));
+}
+
+main();
@@ -0,0 +1,126 @@
+#!/usr/bin/env node
+/**
+ * Ejecución de Experimentos desde la Línea de Comandos
+ * Uso: node bin/experiment.js definicion.json [--csv salida.csv] [--json salida.json]
+ *                             [--seed semilla] [--runs N]
+ * El progreso va a stderr y el resumen a stdout. Ver docs/experiments.md.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ExperimentRunner, ExperimentError, EXPERIMENT_METRICS, SceneFormat, SceneFormatError } = require('../js/node');
+
+const USAGE = 'Uso: node bin/experiment.js definicion.json [--csv salida.csv] [--json salida.json] [--seed semilla] [--runs N]';
+const OPTIONS = ['csv', 'json', 'seed', 'runs'];
+
+function parseArguments(argv) {
+  const options = {};
+  const positional = [];
+
+  for (let i = 0; i < argv.length; i++) {
+    const argument = argv[i];
+    if (argument === '--help' || argument === '-h') {
+      console.log(USAGE);
+      process.exit(0);
+    }
+
+    if (argument.startsWith('--')) {
+      // Una opción sin valor o con una errata no se ignora: la ejecución no sería la pedida
+      const name = argument.slice(2);
+      if (!OPTIONS.includes(name)) {
+        console.error(`Opción desconocida: ${argument}\n${USAGE}`);
+        process.exit(1);
+      }
+      if (i + 1 >= argv.length) {
+        console.error(`--${name}: falta el valor\n${USAGE}`);
+        process.exit(1);
+      }
+      options[name] = argv[++i];
+    } else {
+      positional.push(argument);
+    }
+  }
+
+  return { file: positional[0], options };
+}
+
+function readText(file) {
+  // Un archivo que falta o no se puede leer se informa como un error de la definición
+  try {
+    return fs.readFileSync(file, 'utf8');
+  } catch (error) {
+    throw new ExperimentError(`No se pudo leer ${file} (${error.code ?? error.message})`);
+  }
+}
+
+function writeText(file, text) {
+  try {
+    fs.writeFileSync(file, text);
+  } catch (error) {
+    throw new ExperimentError(`No se pudo escribir ${file} (${error.code ?? error.message})`);
+  }
+}
+
+function loadDefinition(file, options) {
+  const definition = JSON.parse(readText(file));
+
+  // La escena puede ser una ruta relativa al archivo de definición
+  if (typeof definition.scene === 'string') {
+    const scenePath = path.resolve(path.dirname(file), definition.scene);
+    definition.scene = SceneFormat.parse(readText(scenePath));
+  }
+
+  if (options.seed !== undefined) {
+    definition.seed = /^-?\d+$/.test(options.seed) ? Number(options.seed) : options.seed;
+  }
+  if (options.runs !== undefined) {
+    definition.runs = Number(options.runs);
+  }
+  return definition;
+}
+
+function formatValue(value) {
+  return value === null ? '-' : value.toFixed(3);
+}
+
+function printSummary(summary) {
+  console.log(`Ejecuciones: ${summary.runs} (${summary.mode}, semilla ${summary.seed})`);
+  console.log(['Métrica', 'media', 'desv.', 'mín', 'p50', 'p95', 'máx'].join('\t'));
+
+  Object.entries(EXPERIMENT_METRICS).forEach(([metric, label]) => {
+    const stats = summary.metrics[metric];
+    console.log([label, ...['mean', 'std', 'min', 'p50', 'p95', 'max'].map(key => formatValue(stats[key]))].join('\t'));
+  });
+
+  if (summary.metrics.settleTime.unsettled > 0) {
+    console.log(`Sin reposo al terminar: ${summary.metrics.settleTime.unsettled} ejecuciones`);
+  }
+}
+
+async function main() {
+  const { file, options } = parseArguments(process.argv.slice(2));
+  if (!file) {
+    console.error(USAGE);
+    process.exit(1);
+  }
+
+  try {
+    const runner = new ExperimentRunner(loadDefinition(file, options));
+    const summary = await runner.run(({ completed, total }) => {
+      process.stderr.write(`\rEjecución ${completed}/${total}`);
+    });
+    process.stderr.write('\n');
+
+    if (options.csv) writeText(options.csv, runner.toCSV() + '\n');
+    if (options.json) writeText(options.json, JSON.stringify(runner.toJSON(), null, 2));
+    printSummary(summary);
+  } catch (error) {
+    if (error instanceof ExperimentError || error instanceof SceneFormatError || error instanceof SyntaxError) {
+      console.error(error.message);
+      process.exit(1);
+    }
+    throw error;
+  }
+}
+
+main();
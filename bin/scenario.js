@@ -0,0 +1,138 @@
+#!/usr/bin/env node
+/**
+ * Ejecución de Escenarios desde la Línea de Comandos
+ * Uso: node bin/scenario.js escenario.json [otro.json ...] [--json salida.json] [--seed semilla]
+ * Imprime cada acción y cada comprobación; termina con código 1 si alguna falla, para
+ * usarlo en integración continua. Ver docs/scenarios.md.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { SimulationEngine, ScenarioRunner, ScenarioError, SceneFormat, SceneFormatError } = require('../js/node');
+
+const USAGE = 'Uso: node bin/scenario.js escenario.json [otro.json ...] [--json salida.json] [--seed semilla]';
+const OPTIONS = ['json', 'seed'];
+
+function parseArguments(argv) {
+  const options = {};
+  const files = [];
+
+  for (let i = 0; i < argv.length; i++) {
+    const argument = argv[i];
+    if (argument === '--help' || argument === '-h') {
+      console.log(USAGE);
+      process.exit(0);
+    }
+
+    if (argument.startsWith('--')) {
+      // Una opción sin valor o con una errata no se ignora: la ejecución no sería la pedida
+      const name = argument.slice(2);
+      if (!OPTIONS.includes(name)) {
+        console.error(`Opción desconocida: ${argument}\n${USAGE}`);
+        process.exit(1);
+      }
+      if (i + 1 >= argv.length) {
+        console.error(`--${name}: falta el valor\n${USAGE}`);
+        process.exit(1);
+      }
+      options[name] = argv[++i];
+    } else {
+      files.push(argument);
+    }
+  }
+
+  return { files, options };
+}
+
+function readText(file) {
+  // Un archivo que falta o no se puede leer se informa como un error del escenario
+  try {
+    return fs.readFileSync(file, 'utf8');
+  } catch (error) {
+    throw new ScenarioError(`No se pudo leer ${file} (${error.code ?? error.message})`);
+  }
+}
+
+function writeText(file, text) {
+  try {
+    fs.writeFileSync(file, text);
+  } catch (error) {
+    throw new ScenarioError(`No se pudo escribir ${file} (${error.code ?? error.message})`);
+  }
+}
+
+function loadScenario(file, options) {
+  let script;
+  try {
+    script = JSON.parse(readText(file));
+  } catch (error) {
+    if (!(error instanceof SyntaxError)) throw error;
+    throw new ScenarioError(`El archivo no es JSON válido (${error.message})`);
+  }
+  // Lo que no sea un objeto lo rechaza la validación del escenario
+  if (script === null || typeof script !== 'object' || Array.isArray(script)) return ScenarioRunner.validate(script);
+
+  // La escena puede ser una ruta relativa al archivo del escenario; se carga antes de validar
+  if (typeof script.scene === 'string') {
+    const scenePath = path.resolve(path.dirname(file), script.scene);
+    script.scene = SceneFormat.parse(readText(scenePath));
+  }
+
+  if (options.seed !== undefined) {
+    script.seed = /^-?\d+$/.test(options.seed) ? Number(options.seed) : options.seed;
+  }
+  return ScenarioRunner.validate(script);
+}
+
+function printResult(result) {
+  console.log(`${result.name} (semilla ${result.seed}, ${result.duration} s)`);
+  result.log.forEach(entry => {
+    console.log(`  ${entry.time.toFixed(2)} s  ${entry.description}`);
+  });
+  result.errors.forEach(error => {
+    console.log(`  ${error.time.toFixed(2)} s  ERROR en ${error.action}: ${error.message}`);
+  });
+  result.assertions.forEach(check => {
+    console.log(`  ${check.passed ? '✓' : '✗'} ${check.description} (${check.time.toFixed(2)} s): ${check.detail}`);
+  });
+  console.log(result.passed ? '  Superado' : '  Fallido');
+}
+
+async function main() {
+  const { files, options } = parseArguments(process.argv.slice(2));
+  if (files.length === 0) {
+    console.error(USAGE);
+    process.exit(1);
+  }
+
+  const results = [];
+  for (const file of files) {
+    try {
+      const runner = new ScenarioRunner(new SimulationEngine({ record: false }), loadScenario(file, options));
+      const result = await runner.run();
+      printResult(result);
+      results.push({ file, ...result });
+    } catch (error) {
+      if (!(error instanceof ScenarioError || error instanceof SceneFormatError)) throw error;
+      console.error(`${file}: ${error.message}`);
+      process.exit(1);
+    }
+  }
+
+  if (options.json) {
+    try {
+      writeText(options.json, JSON.stringify(results, null, 2));
+    } catch (error) {
+      console.error(error.message);
+      process.exit(1);
+    }
+  }
+
+  const failed = results.filter(result => !result.passed).length;
+  if (results.length > 1) {
+    console.log(`${results.length - failed}/${results.length} escenarios superados`);
+  }
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+main();
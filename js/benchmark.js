@@ -0,0 +1,151 @@
+/**
+ * Banco de Pruebas de Rendimiento
+ * Construye una línea con cintas y un número creciente de piezas pequeñas, deja que
+ * se asienten y mide el tiempo de cada paso de física, el de las estadísticas y, en la
+ * página, el de cada frame (sincronizar las mallas y dibujar). Sustituye la escena del motor.
+ */
+
+const BENCHMARK_COUNTS = [250, 500, 1000, 2000, 4000];
+
+// Piezas pequeñas, como las de una línea de envasado; se alternan forma y material
+const BENCHMARK_PARTS = [
+  { shape: 'box', dimensions: { size: 0.3 } },
+  { shape: 'sphere', dimensions: { radius: 0.15 } },
+  { shape: 'cylinder', dimensions: { radius: 0.12, height: 0.3 } }
+];
+const BENCHMARK_MATERIALS = ['steel', 'aluminum', 'plastic', 'wood', 'cardboard'];
+
+// Rejilla de colocación: 40 × 24 piezas por capa sobre las cintas y el suelo
+const GRID_COLUMNS = 40;
+const GRID_ROWS = 24;
+const GRID_SPACING = 0.5;
+const LAYER_HEIGHT = 0.6;
+
+class PerformanceBenchmark {
+  /**
+   * options:
+   *   counts: número de piezas de cada medición (por defecto BENCHMARK_COUNTS)
+   *   warmupSteps: pasos sin medir para que las piezas caigan y se asienten
+   *   steps: pasos medidos por medición
+   *   frame(): dibuja un frame de la página; sin él solo se mide la física
+   */
+  constructor(engine, options = {}) {
+    this.engine = engine;
+    this.counts = options.counts ?? BENCHMARK_COUNTS;
+    this.warmupSteps = options.warmupSteps ?? 120;
+    this.steps = options.steps ?? 60;
+    this.frame = options.frame ?? null;
+
+    this.results = [];
+    this.cancelled = false;
+  }
+
+  static buildScene(engine, count) {
+    engine.reset();
+    engine.clearProductionLine();
+    [-3, 0, 3].forEach(z => engine.addConveyor({ length: 16, width: 2, speed: 0.5, position: [0, 0.2, z] }));
+
+    const random = engine.random;
+    const perLayer = GRID_COLUMNS * GRID_ROWS;
+    for (let i = 0; i < count; i++) {
+      const cell = i % perLayer;
+      const column = cell % GRID_COLUMNS;
+      const row = Math.floor(cell / GRID_COLUMNS);
+      const layer = Math.floor(i / perLayer);
+      const part = BENCHMARK_PARTS[i % BENCHMARK_PARTS.length];
+
+      engine.spawnObject({
+        ...part,
+        material: BENCHMARK_MATERIALS[i % BENCHMARK_MATERIALS.length],
+        position: [
+          (column - (GRID_COLUMNS - 1) / 2) * GRID_SPACING + (random() - 0.5) * 0.1,
+          1 + layer * LAYER_HEIGHT,
+          (row - (GRID_ROWS - 1) / 2) * GRID_SPACING + (random() - 0.5) * 0.1
+        ]
+      });
+    }
+  }
+
+  cancel() {
+    this.cancelled = true;
+  }
+
+  async run(onProgress = () => {}) {
+    // La grabación de miles de cuerpos mediría la memoria, no la física
+    const engine = this.engine;
+    const record = engine.record;
+    engine.record = false;
+    this.results = [];
+
+    try {
+      for (const count of this.counts) {
+        if (this.cancelled) break;
+        const result = await this.measure(count);
+        if (!result) break;
+
+        this.results.push(result);
+        onProgress({ completed: this.results.length, total: this.counts.length, result });
+      }
+    } finally {
+      engine.record = record;
+    }
+    return this.results;
+  }
+
+  async measure(count) {
+    const engine = this.engine;
+    PerformanceBenchmark.buildScene(engine, count);
+    engine.step(this.warmupSteps);
+
+    const stepTimes = [];
+    const statisticsTimes = [];
+    const frameTimes = [];
+    for (let i = 0; i < this.steps; i++) {
+      // Ceder el control en cada paso para que la página responda (y se pueda cancelar)
+      await new Promise(resolve => setTimeout(resolve, 0));
+      if (this.cancelled) return null;
+
+      // El paso de física sin las estadísticas, que recorren todos los objetos y se miden aparte
+      let start = now();
+      engine.advance();
+      stepTimes.push(now() - start);
+
+      start = now();
+      engine.updateStatistics();
+      statisticsTimes.push(now() - start);
+
+      if (this.frame) {
+        start = now();
+        this.frame();
+        frameTimes.push(now() - start);
+      }
+    }
+
+    return {
+      objects: engine.objects.length,
+      sleeping: engine.stats.sleepingObjects,
+      contacts: engine.world.contacts.length,
+      step: describeTimes(stepTimes),
+      statistics: describeTimes(statisticsTimes),
+      frame: this.frame ? describeTimes(frameTimes) : null
+    };
+  }
+}
+
+function now() {
+  return typeof performance !== 'undefined' ? performance.now() : Date.now();
+}
+
+function describeTimes(times) {
+  // Milisegundos por paso o por frame
+  const sorted = [...times].sort((a, b) => a - b);
+  return {
+    mean: sorted.reduce((sum, time) => sum + time, 0) / sorted.length,
+    p95: sorted[Math.min(sorted.length - 1, Math.floor(sorted.length * 0.95))],
+    max: sorted[sorted.length - 1]
+  };
+}
+
+if (typeof module !== 'undefined') {
+  module.exports = { BENCHMARK_COUNTS, PerformanceBenchmark };
+}
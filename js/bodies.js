@@ -0,0 +1,49 @@
+/**
+ * Cuerpos de Física
+ * Construcción de cuerpos Cannon.js a partir de la especificación de un objeto
+ * (forma, dimensiones, masa, material y estado), compartida por la escena
+ * interactiva y las simulaciones sin interfaz del optimizador
+ */
+
+function createObjectBody(spec, materials, meshes) {
+  // materials: biblioteca (js/materials.js) para los materiales indicados por nombre
+  // meshes: biblioteca (js/meshes.js) con la geometría de las formas 'mesh'
+  const { shape, dimensions } = spec;
+
+  const body = new CANNON.Body({
+    mass: spec.mass,
+    material: materials
+      ? materials.bodyMaterial(spec.material)
+      : new CANNON.Material({ friction: spec.material.friction, restitution: spec.material.restitution })
+  });
+
+  if (shape === 'box') {
+    const half = dimensions.size / 2;
+    body.addShape(new CANNON.Box(new CANNON.Vec3(half, half, half)));
+  } else if (shape === 'sphere') {
+    body.addShape(new CANNON.Sphere(dimensions.radius));
+  } else if (shape === 'cylinder') {
+    // El cilindro de Cannon está orientado en Z; rotarlo para alinearlo con el de Three.js (eje Y)
+    const orientation = new CANNON.Quaternion();
+    orientation.setFromAxisAngle(new CANNON.Vec3(1, 0, 0), -Math.PI / 2);
+    body.addShape(
+      new CANNON.Cylinder(dimensions.radius, dimensions.radius, dimensions.height, 8),
+      new CANNON.Vec3(0, 0, 0),
+      orientation
+    );
+  } else if (shape === 'mesh') {
+    meshes.createShapes(spec.mesh, spec.collider, dimensions.scale).forEach(({ shape: part, offset }) => {
+      body.addShape(part, offset);
+    });
+  }
+
+  body.position.set(...spec.position);
+  if (spec.quaternion) body.quaternion.set(...spec.quaternion);
+  if (spec.velocity) body.velocity.set(...spec.velocity);
+  if (spec.angularVelocity) body.angularVelocity.set(...spec.angularVelocity);
+  return body;
+}
+
+if (typeof module !== 'undefined') {
+  module.exports = { createObjectBody };
+}
@@ -0,0 +1,452 @@
+/**
+ * Gráficas de Series Temporales
+ * Historial de estadísticas sobre el tiempo simulado y gráficas en canvas con
+ * ventana deslizante, pausa, zoom, lectura al pasar el ratón y exportación PNG/CSV.
+ */
+
+const CHART_DEFINITIONS = [
+  {
+    id: 'energy',
+    title: 'Energía',
+    unit: 'J',
+    series: [
+      { key: 'totalEnergy', label: 'Total', header: 'total_energy_J', color: '#0091FF' },
+      { key: 'kineticEnergy', label: 'Cinética', header: 'kinetic_energy_J', color: '#FFAA00' },
+      { key: 'potentialEnergy', label: 'Potencial', header: 'potential_energy_J', color: '#39FF14' }
+    ]
+  },
+  {
+    id: 'velocity',
+    title: 'Velocidad',
+    unit: 'm/s',
+    series: [
+      { key: 'maxVelocity', label: 'Máxima', header: 'max_velocity_m_s', color: '#00FFD1' },
+      { key: 'avgVelocity', label: 'Promedio', header: 'avg_velocity_m_s', color: '#A1A1AA' }
+    ]
+  },
+  {
+    id: 'collisions',
+    title: 'Tasa de colisiones',
+    unit: '1/s',
+    series: [
+      { key: 'collisionRate', label: 'Colisiones', header: 'collision_rate_1_s', color: '#FF4D4D' }
+    ]
+  },
+  {
+    id: 'damage',
+    title: 'Daño acumulado',
+    unit: 'J',
+    series: [
+      { key: 'totalDamage', label: 'Daño', header: 'total_damage_J', color: '#FF8C42' }
+    ]
+  },
+  {
+    id: 'robotAngle',
+    title: 'Ángulo de la base',
+    unit: '°',
+    series: [
+      { key: 'currentAngle', label: 'Ángulo', header: 'robot_angle_deg', color: '#FFD700' }
+    ]
+  },
+  {
+    id: 'robotAcceleration',
+    title: 'Aceleración angular',
+    unit: 'rad/s²',
+    series: [
+      { key: 'angularAcceleration', label: 'Aceleración', header: 'angular_acceleration_rad_s2', color: '#C084FC' }
+    ]
+  }
+];
+
+class TimeSeries {
+  constructor(keys, capacity = 6000) {
+    this.keys = keys;
+    this.capacity = capacity;
+    this.clear();
+  }
+
+  get length() {
+    return this.times.length;
+  }
+
+  get startTime() {
+    return this.times.length > 0 ? this.times[0] : null;
+  }
+
+  get endTime() {
+    return this.times.length > 0 ? this.times[this.times.length - 1] : null;
+  }
+
+  push(time, sample) {
+    this.times.push(time);
+    this.keys.forEach(key => this.values[key].push(sample[key] ?? 0));
+
+    // Buffer circular: descartar la muestra más antigua
+    if (this.times.length > this.capacity) {
+      this.times.shift();
+      this.keys.forEach(key => this.values[key].shift());
+    }
+  }
+
+  indexAtTime(time) {
+    // Última muestra con tiempo <= time (búsqueda binaria)
+    let low = 0;
+    let high = this.times.length - 1;
+    while (low < high) {
+      const middle = Math.ceil((low + high) / 2);
+      if (this.times[middle] <= time) {
+        low = middle;
+      } else {
+        high = middle - 1;
+      }
+    }
+    return low;
+  }
+
+  valueAt(key, time) {
+    return this.values[key][this.indexAtTime(time)];
+  }
+
+  truncateAfter(time) {
+    // Al reanudar desde un instante anterior, el futuro registrado deja de ser válido
+    const count = this.times.length > 0 && this.times[0] > time ? 0 : this.indexAtTime(time) + 1;
+    this.times.length = Math.min(this.times.length, count);
+    this.keys.forEach(key => {
+      this.values[key].length = this.times.length;
+    });
+  }
+
+  clear() {
+    this.times = [];
+    this.values = {};
+    this.keys.forEach(key => {
+      this.values[key] = [];
+    });
+  }
+
+  toCSV(columns) {
+    const header = ['time_s', ...columns.map(column => column.header)].join(',');
+    const rows = this.times.map((time, index) => [
+      time.toFixed(4),
+      ...columns.map(column => this.values[column.key][index].toFixed(4))
+    ].join(','));
+
+    return [header, ...rows].join('\n');
+  }
+}
+
+class TimeSeriesChart {
+  constructor(canvas, definition) {
+    this.canvas = canvas;
+    this.definition = definition;
+    this.context = canvas.getContext('2d');
+    this.padding = { left: 44, right: 8, top: 22, bottom: 16 };
+  }
+
+  resize() {
+    // Resolución del canvas igual a su tamaño en pantalla
+    const ratio = window.devicePixelRatio || 1;
+    const width = Math.round(this.canvas.clientWidth * ratio);
+    const height = Math.round(this.canvas.clientHeight * ratio);
+    if (width > 0 && height > 0 && (this.canvas.width !== width || this.canvas.height !== height)) {
+      this.canvas.width = width;
+      this.canvas.height = height;
+    }
+    return ratio;
+  }
+
+  timeAtX(x, view) {
+    // x en píxeles CSS respecto al borde izquierdo del canvas
+    const plotWidth = this.canvas.clientWidth - this.padding.left - this.padding.right;
+    const fraction = (x - this.padding.left) / plotWidth;
+    return view.start + Math.max(0, Math.min(1, fraction)) * (view.end - view.start);
+  }
+
+  draw(series, view, markers = {}) {
+    const ctx = this.context;
+    if (!ctx) return;
+
+    const ratio = this.resize();
+    const width = this.canvas.width / ratio;
+    const height = this.canvas.height / ratio;
+    const { left, right, top, bottom } = this.padding;
+    const plotWidth = width - left - right;
+    const plotHeight = height - top - bottom;
+
+    ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+    ctx.clearRect(0, 0, width, height);
+    ctx.fillStyle = '#141414';
+    ctx.fillRect(0, 0, width, height);
+    ctx.font = '10px "JetBrains Mono", monospace';
+    ctx.textBaseline = 'middle';
+
+    // Rango vertical de las muestras visibles
+    const first = series.length > 0 ? series.indexAtTime(view.start) : 0;
+    const last = series.length > 0 ? series.indexAtTime(view.end) : -1;
+    let min = Infinity;
+    let max = -Infinity;
+    this.definition.series.forEach(({ key }) => {
+      for (let i = first; i <= last; i++) {
+        const value = series.values[key][i];
+        if (value < min) min = value;
+        if (value > max) max = value;
+      }
+    });
+    if (!Number.isFinite(min)) {
+      min = 0;
+      max = 1;
+    } else if (max - min < 1e-9) {
+      min -= 1;
+      max += 1;
+    } else {
+      const margin = (max - min) * 0.1;
+      min -= margin;
+      max += margin;
+    }
+
+    const xOf = (time) => left + ((time - view.start) / (view.end - view.start)) * plotWidth;
+    const yOf = (value) => top + (1 - (value - min) / (max - min)) * plotHeight;
+
+    // Rejilla y etiquetas de los ejes
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.1)';
+    ctx.fillStyle = '#A1A1AA';
+    ctx.lineWidth = 1;
+    ctx.textAlign = 'right';
+    for (let i = 0; i <= 4; i++) {
+      const value = min + (max - min) * i / 4;
+      const y = yOf(value);
+      ctx.beginPath();
+      ctx.moveTo(left, y);
+      ctx.lineTo(width - right, y);
+      ctx.stroke();
+      ctx.fillText(formatChartValue(value), left - 4, y);
+    }
+    ctx.textAlign = 'left';
+    ctx.fillText(`${view.start.toFixed(1)} s`, left, height - bottom / 2);
+    ctx.textAlign = 'right';
+    ctx.fillText(`${view.end.toFixed(1)} s`, width - right, height - bottom / 2);
+
+    // Series: como mucho dos puntos por píxel
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(left, top, plotWidth, plotHeight);
+    ctx.clip();
+    const stride = Math.max(1, Math.floor((last - first + 1) / (plotWidth * 2)));
+    this.definition.series.forEach(({ key, color }) => {
+      ctx.strokeStyle = color;
+      ctx.lineWidth = 1.5;
+      ctx.beginPath();
+      for (let i = first; i <= last; i += stride) {
+        const x = xOf(series.times[i]);
+        const y = yOf(series.values[key][i]);
+        if (i === first) ctx.moveTo(x, y);
+        else ctx.lineTo(x, y);
+      }
+      ctx.stroke();
+    });
+
+    // Instante mostrado durante la reproducción
+    if (markers.cursor !== null && markers.cursor !== undefined) {
+      ctx.strokeStyle = '#E4E4E7';
+      ctx.setLineDash([4, 3]);
+      ctx.beginPath();
+      ctx.moveTo(xOf(markers.cursor), top);
+      ctx.lineTo(xOf(markers.cursor), top + plotHeight);
+      ctx.stroke();
+      ctx.setLineDash([]);
+    }
+    ctx.restore();
+
+    // Título y leyenda
+    ctx.textAlign = 'left';
+    ctx.fillStyle = '#E4E4E7';
+    ctx.fillText(`${this.definition.title} (${this.definition.unit})`, left, top / 2);
+    let legendX = width - right;
+    ctx.textAlign = 'right';
+    [...this.definition.series].reverse().forEach(({ label, color }) => {
+      ctx.fillStyle = color;
+      ctx.fillText(label, legendX, top / 2);
+      legendX -= ctx.measureText(label).width + 10;
+    });
+
+    if (markers.hover !== null && markers.hover !== undefined && series.length > 0) {
+      this.drawReadout(series, series.indexAtTime(markers.hover), xOf, { top, plotHeight, left, width, right });
+    }
+  }
+
+  drawReadout(series, index, xOf, area) {
+    // Línea vertical en la muestra más cercana y sus valores
+    const ctx = this.context;
+    const x = xOf(series.times[index]);
+    if (x < area.left || x > area.width - area.right) return;
+
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.5)';
+    ctx.beginPath();
+    ctx.moveTo(x, area.top);
+    ctx.lineTo(x, area.top + area.plotHeight);
+    ctx.stroke();
+
+    const lines = [
+      { text: `t = ${series.times[index].toFixed(2)} s`, color: '#E4E4E7' },
+      ...this.definition.series.map(({ key, label, color }) => ({
+        text: `${label}: ${formatChartValue(series.values[key][index])}`,
+        color
+      }))
+    ];
+    const boxWidth = Math.max(...lines.map(line => ctx.measureText(line.text).width)) + 12;
+    const boxHeight = lines.length * 13 + 6;
+    const boxX = x + boxWidth + 8 > area.width - area.right ? x - boxWidth - 6 : x + 6;
+
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.8)';
+    ctx.fillRect(boxX, area.top, boxWidth, boxHeight);
+    ctx.textAlign = 'left';
+    lines.forEach((line, i) => {
+      ctx.fillStyle = line.color;
+      ctx.fillText(line.text, boxX + 6, area.top + 9 + i * 13);
+    });
+  }
+}
+
+class ChartPanel {
+  /**
+   * options:
+   *   capacity: muestras guardadas por serie
+   *   minInterval: tiempo simulado mínimo entre muestras (s)
+   *   window: ancho inicial de la ventana visible (s)
+   */
+  constructor(container, options = {}) {
+    this.minInterval = options.minInterval ?? 0.05;
+    this.window = options.window ?? 20;
+    this.paused = false;
+    this.viewEnd = null;
+    this.hoverTime = null;
+    this.cursorTime = null;
+
+    const keys = CHART_DEFINITIONS.flatMap(definition => definition.series.map(serie => serie.key));
+    this.series = new TimeSeries([...keys, 'collisionCount'], options.capacity ?? 6000);
+
+    this.charts = CHART_DEFINITIONS.map(definition => {
+      const canvas = document.createElement('canvas');
+      canvas.className = 'chart-canvas';
+      canvas.dataset.chart = definition.id;
+      container.appendChild(canvas);
+
+      const chart = new TimeSeriesChart(canvas, definition);
+      this.setupInteraction(chart);
+      return chart;
+    });
+  }
+
+  setupInteraction(chart) {
+    const canvas = chart.canvas;
+    let dragX = null;
+
+    // Rueda: zoom de la ventana de tiempo, compartido por todas las gráficas
+    canvas.addEventListener('wheel', (e) => {
+      e.preventDefault();
+      const factor = e.deltaY > 0 ? 1.25 : 0.8;
+      const span = this.series.length > 1 ? this.series.endTime - this.series.startTime : this.window;
+      this.window = Math.max(1, Math.min(Math.max(span, 1), this.window * factor));
+      this.draw();
+    }, { passive: false });
+
+    // Arrastrar en pausa desplaza la ventana por el historial
+    canvas.addEventListener('mousedown', (e) => {
+      if (this.paused && this.series.length > 0) dragX = e.offsetX;
+    });
+    window.addEventListener('mouseup', () => {
+      dragX = null;
+    });
+
+    canvas.addEventListener('mousemove', (e) => {
+      const view = this.getView();
+      if (dragX !== null) {
+        const plotWidth = canvas.clientWidth - chart.padding.left - chart.padding.right;
+        this.viewEnd -= ((e.offsetX - dragX) / plotWidth) * (view.end - view.start);
+        this.viewEnd = Math.min(this.series.endTime, Math.max(this.series.startTime + this.window, this.viewEnd));
+        dragX = e.offsetX;
+      }
+      this.hoverTime = chart.timeAtX(e.offsetX, this.getView());
+      this.draw();
+    });
+    canvas.addEventListener('mouseleave', () => {
+      this.hoverTime = null;
+      this.draw();
+    });
+  }
+
+  sample(time, stats) {
+    const lastTime = this.series.endTime;
+    if (lastTime !== null && time - lastTime < this.minInterval) return;
+
+    // Tasa de colisiones: impactos registrados en el último segundo simulado
+    const windowStart = Math.max(this.series.startTime ?? time, time - 1);
+    const previous = this.series.length > 0 ? this.series.valueAt('collisionCount', windowStart) : stats.collisionCount;
+    const span = time - windowStart;
+
+    this.series.push(time, {
+      ...stats,
+      collisionRate: span > 0 ? (stats.collisionCount - previous) / span : 0
+    });
+  }
+
+  truncateAfter(time) {
+    this.series.truncateAfter(time);
+    if (this.paused) this.viewEnd = Math.min(this.viewEnd, time);
+  }
+
+  clear() {
+    this.series.clear();
+    this.viewEnd = this.paused ? 0 : null;
+    this.draw();
+  }
+
+  setPaused(paused) {
+    this.paused = paused;
+    this.viewEnd = paused ? (this.series.endTime ?? 0) : null;
+    this.draw();
+  }
+
+  getView() {
+    const end = this.paused ? this.viewEnd : Math.max(this.series.endTime ?? 0, this.window);
+    return { start: Math.max(0, end - this.window), end: Math.max(end, this.window) };
+  }
+
+  draw(cursorTime = this.cursorTime) {
+    this.cursorTime = cursorTime;
+    const view = this.getView();
+    this.charts.forEach(chart => chart.draw(this.series, view, { cursor: cursorTime, hover: this.hoverTime }));
+  }
+
+  toCSV() {
+    return this.series.toCSV(CHART_DEFINITIONS.flatMap(definition => definition.series));
+  }
+
+  toPNG() {
+    // Todas las gráficas apiladas en una sola imagen
+    const width = Math.max(...this.charts.map(chart => chart.canvas.width));
+    const height = this.charts.reduce((sum, chart) => sum + chart.canvas.height, 0);
+    const image = document.createElement('canvas');
+    image.width = width;
+    image.height = height;
+
+    const ctx = image.getContext('2d');
+    let y = 0;
+    this.charts.forEach(chart => {
+      ctx.drawImage(chart.canvas, 0, y);
+      y += chart.canvas.height;
+    });
+    return image.toDataURL('image/png');
+  }
+}
+
+function formatChartValue(value) {
+  const magnitude = Math.abs(value);
+  if (magnitude >= 1000) return value.toFixed(0);
+  if (magnitude >= 10) return value.toFixed(1);
+  return value.toFixed(2);
+}
+
+if (typeof module !== 'undefined') {
+  module.exports = { CHART_DEFINITIONS, TimeSeries, TimeSeriesChart, ChartPanel };
+}
@@ -0,0 +1,199 @@
+/**
+ * Monitor de Colisiones
+ * Escucha los eventos de contacto de Cannon.js y registra cada impacto
+ * (tiempo, cuerpos, punto de contacto, velocidad normal relativa, impulso y energía disipada)
+ */
+
+class CollisionMonitor {
+  constructor(world, options = {}) {
+    this.world = world;
+
+    // Umbrales de detección
+    this.minImpactVelocity = options.minImpactVelocity ?? 0.05; // m/s
+    this.separationSteps = options.separationSteps ?? 5; // pasos sin contacto para considerar un impacto nuevo
+    this.maxLogSize = options.maxLogSize ?? 500;
+
+    // Callbacks para etiquetar cuerpos y obtener el tiempo de simulación
+    this.labelFor = options.labelFor || (body => `Cuerpo ${body.id}`);
+    this.getTime = options.getTime || (() => this.world.time);
+
+    // Estado interno
+    this.events = [];
+    this.totalCount = 0;
+    this.stepIndex = 0;
+    this.activePairs = new Map(); // par -> último paso con contacto
+    this.pendingImpacts = new Map(); // par -> contactos nuevos en el paso actual
+    this.listeners = [];
+
+    this.onBodyCollide = this.onBodyCollide.bind(this);
+    this.onPostStep = this.onPostStep.bind(this);
+
+    // Suscribirse a los cuerpos existentes y a los que se añadan después
+    this.world.bodies.forEach(body => this.track(body));
+    this.world.addEventListener('addBody', (event) => this.track(event.body));
+    this.world.addEventListener('postStep', this.onPostStep);
+  }
+
+  track(body) {
+    // addEventListener de Cannon ignora suscripciones duplicadas
+    body.addEventListener('collide', this.onBodyCollide);
+  }
+
+  onCollision(callback) {
+    this.listeners.push(callback);
+  }
+
+  offCollision(callback) {
+    this.listeners = this.listeners.filter(listener => listener !== callback);
+  }
+
+  pairKey(bodyA, bodyB) {
+    return bodyA.id < bodyB.id ? `${bodyA.id}-${bodyB.id}` : `${bodyB.id}-${bodyA.id}`;
+  }
+
+  onBodyCollide(event) {
+    const contact = event.contact;
+
+    // Cannon emite el evento en ambos cuerpos: procesar solo una vez
+    if (event.target !== contact.bi) return;
+
+    const key = this.pairKey(contact.bi, contact.bj);
+    if (!this.pendingImpacts.has(key)) {
+      this.pendingImpacts.set(key, []);
+    }
+
+    // Velocidad de aproximación antes de resolver el contacto
+    this.pendingImpacts.get(key).push({
+      contact,
+      velocityBefore: contact.getImpactVelocityAlongNormal()
+    });
+  }
+
+  onPostStep() {
+    this.stepIndex++;
+
+    this.pendingImpacts.forEach((contacts, key) => {
+      const lastSeen = this.activePairs.get(key);
+
+      // Contacto persistente que parpadea: no es un impacto nuevo
+      if (lastSeen !== undefined && this.stepIndex - lastSeen <= this.separationSteps) return;
+
+      const impact = this.buildImpact(contacts);
+      if (impact.normalVelocity >= this.minImpactVelocity) {
+        this.record(impact);
+      }
+    });
+    this.pendingImpacts.clear();
+
+    // Actualizar pares en contacto
+    this.world.contacts.forEach(contact => {
+      this.activePairs.set(this.pairKey(contact.bi, contact.bj), this.stepIndex);
+    });
+
+    this.activePairs.forEach((lastSeen, key) => {
+      if (this.stepIndex - lastSeen > this.separationSteps) {
+        this.activePairs.delete(key);
+      }
+    });
+  }
+
+  buildImpact(contacts) {
+    const bodyA = contacts[0].contact.bi;
+    const bodyB = contacts[0].contact.bj;
+
+    // Punto de contacto promedio y contacto con mayor velocidad de aproximación
+    const point = { x: 0, y: 0, z: 0 };
+    let strongest = contacts[0];
+
+    contacts.forEach(entry => {
+      const contact = entry.contact;
+      point.x += contact.bi.position.x + contact.ri.x;
+      point.y += contact.bi.position.y + contact.ri.y;
+      point.z += contact.bi.position.z + contact.ri.z;
+
+      if (entry.velocityBefore > strongest.velocityBefore) {
+        strongest = entry;
+      }
+    });
+    point.x /= contacts.length;
+    point.y /= contacts.length;
+    point.z /= contacts.length;
+
+    // Impulso estimado: masa reducida por el cambio de velocidad normal
+    const inverseMassSum = bodyA.invMass + bodyB.invMass;
+    const reducedMass = inverseMassSum > 0 ? 1 / inverseMassSum : 0;
+    const velocityAfter = strongest.contact.getImpactVelocityAlongNormal();
+    const impulse = reducedMass * Math.max(0, strongest.velocityBefore - velocityAfter);
+
+    // Energía cinética perdida en la dirección normal (la que no devuelve el rebote)
+    const energy = 0.5 * reducedMass * Math.max(0, strongest.velocityBefore ** 2 - velocityAfter ** 2);
+
+    return {
+      time: this.getTime(),
+      bodyA: this.labelFor(bodyA),
+      bodyB: this.labelFor(bodyB),
+      bodyIdA: bodyA.id,
+      bodyIdB: bodyB.id,
+      point,
+      normalVelocity: strongest.velocityBefore,
+      impulse,
+      energy
+    };
+  }
+
+  record(impact) {
+    this.totalCount++;
+    impact.index = this.totalCount;
+
+    this.events.push(impact);
+    if (this.events.length > this.maxLogSize) {
+      this.events.shift();
+    }
+
+    this.listeners.forEach(listener => listener(impact));
+  }
+
+  truncateTo(count) {
+    // Volver a un punto anterior de la grabación: olvidar impactos posteriores
+    this.events = this.events.filter(event => event.index <= count);
+    this.totalCount = count;
+    this.activePairs.clear();
+    this.pendingImpacts.clear();
+  }
+
+  reset() {
+    this.events = [];
+    this.totalCount = 0;
+    this.activePairs.clear();
+    this.pendingImpacts.clear();
+  }
+
+  toCSV() {
+    const header = 'index,time_s,body_a,body_b,point_x,point_y,point_z,normal_velocity_m_s,impulse_N_s,energy_J';
+    const rows = this.events.map(event => [
+      event.index,
+      event.time.toFixed(4),
+      `"${event.bodyA}"`,
+      `"${event.bodyB}"`,
+      event.point.x.toFixed(4),
+      event.point.y.toFixed(4),
+      event.point.z.toFixed(4),
+      event.normalVelocity.toFixed(4),
+      event.impulse.toFixed(4),
+      event.energy.toFixed(4)
+    ].join(','));
+
+    return [header, ...rows].join('\n');
+  }
+
+  toJSON() {
+    return {
+      totalCount: this.totalCount,
+      events: this.events
+    };
+  }
+}
+
+if (typeof module !== 'undefined') {
+  module.exports = { CollisionMonitor };
+}
@@ -0,0 +1,133 @@
+/**
+ * Modelo de Daño por Impacto
+ * Cada pieza tiene una fragilidad (energía que absorbe sin dañarse y daño acumulado que
+ * la rompe) y suma la energía disipada en los impactos que registra el monitor de
+ * colisiones. La historia del daño total permite comparar dos ejecuciones en el mismo
+ * instante simulado.
+ */
+
+// threshold: energía por impacto sin daño (J); capacity: daño acumulado que rompe la pieza (J)
+const FRAGILITY_LEVELS = {
+  robust: { label: 'Robusta', threshold: 200, capacity: 20000 },
+  normal: { label: 'Normal', threshold: 20, capacity: 1000 },
+  fragile: { label: 'Frágil', threshold: 2, capacity: 100 }
+};
+
+const DEFAULT_FRAGILITY = 'normal';
+
+class DamageTracker {
+  constructor(levels = FRAGILITY_LEVELS) {
+    this.levels = levels;
+    this.baseline = null;
+    this.clear();
+  }
+
+  clear() {
+    // Historia escalonada del daño total: una entrada por impacto que daña
+    this.history = [{ time: 0, damage: 0, broken: 0 }];
+  }
+
+  get totalDamage() {
+    return this.history[this.history.length - 1].damage;
+  }
+
+  get brokenCount() {
+    return this.history[this.history.length - 1].broken;
+  }
+
+  resolve(fragility) {
+    // Nivel por nombre o umbrales propios ({ threshold, capacity })
+    if (typeof fragility !== 'string') return fragility;
+    if (!this.levels[fragility]) {
+      throw new Error(`Fragilidad desconocida: "${fragility}"`);
+    }
+    return this.levels[fragility];
+  }
+
+  isBroken(object) {
+    return object.damage >= this.resolve(object.fragility).capacity;
+  }
+
+  health(object) {
+    // 1 = intacta, 0 = rota
+    return Math.max(0, 1 - object.damage / this.resolve(object.fragility).capacity);
+  }
+
+  recordImpact(impact, objects, time) {
+    // Ambas piezas del choque reciben la energía disipada por encima de su umbral
+    const broken = [];
+    let added = 0;
+
+    objects.forEach(object => {
+      if (object.broken) return;
+      const { threshold, capacity } = this.resolve(object.fragility);
+      const damage = Math.max(0, impact.energy - threshold);
+      if (damage === 0) return;
+
+      object.damage += damage;
+      added += damage;
+      if (object.damage >= capacity) {
+        object.broken = true;
+        broken.push(object);
+      }
+    });
+
+    if (added > 0) {
+      this.history.push({
+        time,
+        damage: this.totalDamage + added,
+        broken: this.brokenCount + broken.length
+      });
+    }
+    return broken;
+  }
+
+  truncateAfter(time) {
+    // Al reanudar desde un instante anterior se olvida el daño posterior
+    this.history = this.history.filter(entry => entry.time <= time);
+  }
+
+  setBaseline(time) {
+    // La ejecución actual hasta time pasa a ser la referencia de la comparación
+    this.baseline = { history: this.history.map(entry => ({ ...entry })), duration: time };
+  }
+
+  clearBaseline() {
+    this.baseline = null;
+  }
+
+  compare(time) {
+    // Daño de las dos ejecuciones en el mismo instante (como mucho, el final de la referencia)
+    if (!this.baseline) return null;
+
+    const at = Math.min(time, this.baseline.duration);
+    const baseline = entryAt(this.baseline.history, at);
+    const current = entryAt(this.history, at);
+    return {
+      time: at,
+      baselineDamage: baseline.damage,
+      damage: current.damage,
+      baselineBroken: baseline.broken,
+      broken: current.broken,
+      reduction: baseline.damage > 0 ? (baseline.damage - current.damage) / baseline.damage * 100 : 0
+    };
+  }
+}
+
+function entryAt(history, time) {
+  // Última entrada de la historia escalonada no posterior a time
+  let entry = history[0];
+  for (const candidate of history) {
+    if (candidate.time > time) break;
+    entry = candidate;
+  }
+  return entry;
+}
+
+function copyFragility(fragility) {
+  return typeof fragility === 'string' ? fragility : { ...fragility };
+}
+
+if (typeof module !== 'undefined') {
+  module.exports = { FRAGILITY_LEVELS, DEFAULT_FRAGILITY, DamageTracker, copyFragility };
+}
@@ -0,0 +1,1316 @@
+/**
+ * Motor de Simulación
+ * Física, robot, línea de producción, grabación y estadísticas sin dependencias del
+ * DOM ni de Three.js. La página lo usa como núcleo y se puede ejecutar en Node para
+ * lotes de simulaciones y pruebas (véase js/node.js y docs/engine.md).
+ */
+
+const DEFAULT_SIMULATION_CONFIG = {
+  gravity: -9.8,
+  restitution: 0.6,
+  friction: 0.3,
+  mass: 5,
+  impulse: 10,
+  angularVelocity: 2,
+  angularAcceleration: 4,
+  rotation: 45,
+  fixedTimeStep: 1 / 60,
+  maxSubSteps: 5,
+  timeScale: 1,
+  // Velocidad (m/s) bajo la que un objeto se duerme tras un segundo quieto; 0 = nunca
+  sleepSpeed: 0.1
+};
+
+// Pasos entre elecciones del eje de barrido del broadphase (el de mayor dispersión)
+const BROADPHASE_AXIS_INTERVAL = 60;
+
+class SimulationEngine {
+  /**
+   * options:
+   *   config: valores que sustituyen a DEFAULT_SIMULATION_CONFIG
+   *   seed: semilla del generador aleatorio (por defecto 1)
+   *   recorderCapacity: frames guardados para la reproducción
+   *   recorderBodyStates: estados de cuerpo guardados como máximo entre todos los frames
+   *   record: false para no grabar cada paso (lotes largos sin reproducción)
+   *   telemetry: opciones del registro de telemetría ({ rate, capacity, maxRows }); se activa con telemetry.start()
+   *
+   * Eventos (engine.on(nombre, callback)):
+   *   objectAdded(object), objectChanged(object), objectBroken(object), objectRetired(object), objectDisposed(object),
+   *   componentAdded(component), lineCleared(), robotChanged(), materialsChanged(), meshesChanged(), viewpointsChanged(),
+   *   taskFinished(task), layoutProgress(progress), safetyChanged(), safetyViolation(violation)
+   */
+  constructor(options = {}) {
+    this.config = { ...DEFAULT_SIMULATION_CONFIG, ...options.config };
+    this.listeners = {};
+
+    // Toda la aleatoriedad sale de este generador para poder repetir una sesión
+    this.setSeed(options.seed ?? 1);
+
+    // Objetos de simulación
+    this.objects = [];
+    this.nextObjectId = 1;
+
+    // Objetos retirados (sumideros) que aún aparecen en la grabación
+    this.retiredObjects = [];
+
+    // Tiempo simulado con paso fijo y acumulador de tiempo real escalado
+    this.simulationTime = 0;
+    this.stepCount = 0;
+    this.accumulator = 0;
+
+    // Grabación de cada paso para la línea de tiempo
+    this.record = options.record ?? true;
+    this.recorder = new SimulationRecorder({
+      capacity: options.recorderCapacity ?? 3600,
+      maxBodyStates: options.recorderBodyStates
+    });
+
+    // Telemetría por objeto y del robot para exportar (desactivada hasta start())
+    this.telemetry = new TelemetryLogger(options.telemetry);
+
+    // Daño acumulado por los impactos y referencia para comparar ejecuciones
+    this.damage = new DamageTracker();
+
+    // Zonas de seguridad del brazo y registro de intrusiones
+    this.safety = new SafetyMonitor({ labelFor: (id) => this.getObjectLabel(this.findObject(id)) });
+
+    // Biblioteca de materiales y tabla de contacto entre pares
+    this.materials = new MaterialLibrary();
+
+    // Geometría de las piezas importadas (forma 'mesh') y sus colisionadores
+    this.meshes = new MeshLibrary();
+
+    // Vistas de cámara con nombre guardadas con la escena ({ name, position, target })
+    this.viewpoints = [];
+
+    // Optimización de disposición en curso y último resultado
+    this.layoutOptimizer = null;
+    this.layoutProgress = null;
+    this.layoutResult = null;
+
+    this.resetStatistics();
+    this.setupWorld();
+    this.setupRobot();
+    this.productionLine = new ProductionLine(this.world, this);
+  }
+
+  on(event, callback) {
+    if (!this.listeners[event]) {
+      this.listeners[event] = [];
+    }
+    this.listeners[event].push(callback);
+    return this;
+  }
+
+  emit(event, ...args) {
+    (this.listeners[event] || []).forEach(callback => callback(...args));
+  }
+
+  setSeed(seed, state) {
+    this.seed = seed;
+    this.random = createRandom(seed, state);
+  }
+
+  setupWorld() {
+    this.world = new CANNON.World();
+    this.world.gravity.set(0, this.config.gravity, 0);
+    // Barrido y poda sobre un eje: con miles de piezas, solo se prueban los pares cercanos
+    this.world.broadphase = new CANNON.SAPBroadphase(this.world);
+    this.world.solver.iterations = 10;
+    this.world.defaultContactMaterial.friction = this.config.friction;
+    this.world.defaultContactMaterial.restitution = this.config.restitution;
+    this.world.allowSleep = this.config.sleepSpeed > 0;
+
+    this.groundBody = new CANNON.Body({ mass: 0 });
+    this.groundBody.addShape(new CANNON.Plane());
+    this.groundBody.quaternion.setFromAxisAngle(new CANNON.Vec3(1, 0, 0), -Math.PI / 2);
+    this.world.add(this.groundBody);
+    this.attachMaterials();
+
+    // Monitor de colisiones sobre los eventos de contacto de Cannon
+    this.collisionMonitor = new CollisionMonitor(this.world, {
+      labelFor: (body) => this.getBodyLabel(body),
+      getTime: () => this.simulationTime
+    });
+    this.collisionMonitor.onCollision(impact => this.recordDamage(impact));
+  }
+
+  attachMaterials() {
+    // Registrar los pares de la biblioteca en el mundo; el suelo es de hormigón
+    this.materials.attach(this.world);
+    this.groundBody.material = this.materials.has(GROUND_MATERIAL)
+      ? this.materials.bodyMaterial(GROUND_MATERIAL)
+      : null;
+  }
+
+  setMaterials({ definitions, contacts }) {
+    // Sustituye la biblioteca; se usa al cargar una escena, antes de crear sus objetos
+    this.materials = new MaterialLibrary(definitions, contacts);
+    this.attachMaterials();
+    this.emit('materialsChanged');
+  }
+
+  addMesh(name, geometry) {
+    // Registra la geometría de una pieza importada ({ vertices, indices } en metros)
+    if (this.meshes.has(name)) {
+      throw new Error(`Ya existe una malla "${name}"`);
+    }
+    const mesh = this.meshes.add(name, geometry);
+    this.emit('meshesChanged');
+    return mesh;
+  }
+
+  setMeshes(meshes) {
+    // Sustituye la biblioteca de mallas; se usa al cargar una escena, antes de crear sus objetos
+    this.meshes = new MeshLibrary(meshes);
+    this.emit('meshesChanged');
+  }
+
+  getObjectVolume(spec) {
+    return spec.shape === 'mesh'
+      ? this.meshes.volume(spec.mesh, spec.dimensions.scale)
+      : shapeVolume(spec.shape, spec.dimensions);
+  }
+
+  setupRobot() {
+    // Brazo robótico de 5 ejes descrito por parámetros DH
+    const kinematics = new KinematicChain();
+    this.robotArm = {
+      kinematics,
+      basePosition: [0, 0, 0],
+      joints: new Array(kinematics.dof).fill(0),
+      jointTargets: new Array(kinematics.dof).fill(0),
+      jointVelocities: new Array(kinematics.dof).fill(0),
+      jointAccelerations: new Array(kinematics.dof).fill(0),
+      angularAcceleration: 0,
+      target: null, // último punto de la escena comandado a la herramienta
+      isActive: false
+    };
+    this.robotArm.jointTargets[0] = this.config.rotation * Math.PI / 180;
+
+    // Pinza: cuerpo cinemático que sigue a la herramienta
+    this.gripper = new Gripper(this.world);
+    this.activeTask = null;
+
+    // Trayectoria planificada en ejecución y puntos de paso definidos por el usuario
+    this.activeTrajectory = null;
+    this.trajectoryTime = 0;
+    this.trajectoryRate = 1; // escala de tiempo aplicada a la trayectoria (zonas de seguridad)
+    this.trajectoryWaypoints = [];
+
+    this.snapGripperToTool();
+  }
+
+  setRobotKinematics(links, basePosition = this.robotArm.basePosition) {
+    const dof = links.length;
+    Object.assign(this.robotArm, {
+      kinematics: new KinematicChain(links),
+      basePosition: [...basePosition],
+      joints: new Array(dof).fill(0),
+      jointTargets: new Array(dof).fill(0),
+      jointVelocities: new Array(dof).fill(0),
+      jointAccelerations: new Array(dof).fill(0)
+    });
+    this.trajectoryWaypoints = [];
+    this.emit('robotChanged');
+  }
+
+  applyConfig(values) {
+    Object.assign(this.config, values);
+
+    // El ángulo de rotación comanda el giro de la base
+    if (values.rotation !== undefined) {
+      this.stopTrajectory();
+      this.robotArm.jointTargets[0] = this.config.rotation * Math.PI / 180;
+    }
+
+    if (values.fixedTimeStep !== undefined) {
+      this.accumulator = 0;
+    }
+
+    this.world.gravity.set(0, this.config.gravity, 0);
+    this.world.defaultContactMaterial.friction = this.config.friction;
+    this.world.defaultContactMaterial.restitution = this.config.restitution;
+
+    // Los objetos dormidos no notan los cambios de configuración hasta que algo los despierta
+    this.world.allowSleep = this.config.sleepSpeed > 0;
+    this.objects.forEach(obj => {
+      obj.body.sleepSpeedLimit = this.config.sleepSpeed;
+      obj.body.wakeUp();
+    });
+  }
+
+  spawnObject(spec) {
+    // Material de la biblioteca por nombre o coeficientes propios (por defecto los de la
+    // configuración). Sin masa indicada, la de un material de la biblioteca sale de su
+    // densidad y su volumen, y la de uno propio de la configuración
+    const material = typeof spec.material === 'string'
+      ? spec.material
+      : { friction: this.config.friction, restitution: this.config.restitution, ...spec.material };
+    const massFromDensity = spec.mass === undefined && typeof material === 'string';
+    const object = {
+      color: 0x888888,
+      fragility: DEFAULT_FRAGILITY,
+      damage: 0,
+      ...(spec.shape === 'mesh' ? { collider: DEFAULT_MESH_COLLIDER } : {}),
+      ...spec,
+      mass: massFromDensity ? this.materials.massOf(material, this.getObjectVolume(spec)) : spec.mass ?? this.config.mass,
+      material
+    };
+
+    const body = createObjectBody(object, this.materials, this.meshes);
+    body.sleepSpeedLimit = this.config.sleepSpeed;
+    this.world.add(body);
+
+    const id = spec.id ?? this.nextObjectId;
+    this.nextObjectId = Math.max(this.nextObjectId, id + 1);
+
+    const created = {
+      id,
+      body,
+      type: object.shape,
+      ...object.dimensions,
+      ...(object.shape === 'mesh' ? { mesh: object.mesh, collider: object.collider } : {}),
+      mass: object.mass,
+      massFromDensity,
+      color: object.color,
+      material: object.material,
+      fragility: copyFragility(object.fragility),
+      damage: object.damage
+    };
+    created.broken = this.damage.isBroken(created);
+    this.objects.push(created);
+    this.stats.activeObjects = this.objects.length;
+    this.emit('objectAdded', created);
+    return created;
+  }
+
+  removeObject(object) {
+    if (this.gripper.heldBody === object.body) {
+      this.gripper.release();
+    }
+
+    this.wakeNeighbours(object.body);
+    this.world.remove(object.body);
+    this.objects = this.objects.filter(obj => obj !== object);
+    this.stats.activeObjects = this.objects.length;
+
+    // Conservar el objeto mientras siga dentro de la grabación para poder reproducirlo
+    object.removedAt = this.simulationTime;
+    this.retiredObjects.push(object);
+    this.emit('objectRetired', object);
+
+    const oldest = this.recorder.first ? this.recorder.first.time : this.simulationTime;
+    this.retiredObjects
+      .filter(obj => obj.removedAt < oldest)
+      .forEach(obj => this.emit('objectDisposed', obj));
+    this.retiredObjects = this.retiredObjects.filter(obj => obj.removedAt >= oldest);
+  }
+
+  findObject(id) {
+    return this.objects.find(obj => obj.id === id) ?? null;
+  }
+
+  applyImpulse(object, impulse) {
+    object.body.wakeUp();
+    object.body.applyImpulse(new CANNON.Vec3(...impulse), object.body.position);
+  }
+
+  getObjectSpec(obj) {
+    // Estado completo de un objeto en el formato de spawnObject y de las escenas
+    const vector = (v) => [v.x, v.y, v.z];
+    const body = obj.body;
+    return {
+      id: obj.id,
+      shape: obj.type,
+      dimensions: this.getObjectDimensions(obj),
+      ...(obj.type === 'mesh' ? { mesh: obj.mesh, collider: obj.collider } : {}),
+      mass: obj.mass,
+      color: obj.color,
+      material: copyMaterial(obj.material),
+      fragility: copyFragility(obj.fragility),
+      damage: obj.damage,
+      position: vector(body.position),
+      quaternion: [body.quaternion.x, body.quaternion.y, body.quaternion.z, body.quaternion.w],
+      velocity: vector(body.velocity),
+      angularVelocity: vector(body.angularVelocity)
+    };
+  }
+
+  updateObject(object, changes) {
+    // Masa, dimensiones, material y colisionador exigen un cuerpo nuevo; pose y velocidades se cambian en el actual
+    if (changes.mass !== undefined || changes.dimensions !== undefined || changes.material !== undefined ||
+        changes.collider !== undefined) {
+      // Coeficientes propios sin indicar: los del material actual (también si es de la biblioteca)
+      const material = changes.material === undefined ? object.material : changes.material;
+      const current = this.materials.resolve(object.material);
+      const spec = {
+        ...this.getObjectSpec(object),
+        ...changes,
+        dimensions: { ...this.getObjectDimensions(object), ...changes.dimensions },
+        material: typeof material === 'string'
+          ? material
+          : { friction: current.friction, restitution: current.restitution, ...material }
+      };
+
+      // La masa sigue a la densidad mientras no se fije a mano
+      const massFromDensity = typeof spec.material === 'string' &&
+        (changes.mass === undefined ? object.massFromDensity || changes.material !== undefined : false);
+      if (massFromDensity) {
+        spec.mass = this.materials.massOf(spec.material, this.getObjectVolume(spec));
+      }
+
+      if (this.gripper.heldBody === object.body) {
+        this.gripper.release();
+      }
+
+      const body = createObjectBody(spec, this.materials, this.meshes);
+      body.sleepSpeedLimit = this.config.sleepSpeed;
+      this.wakeNeighbours(object.body);
+      this.world.remove(object.body);
+      this.world.add(body);
+      object.body = body;
+      Object.assign(object, spec.dimensions);
+      if (object.type === 'mesh') {
+        object.collider = spec.collider;
+      }
+      object.mass = spec.mass;
+      object.massFromDensity = massFromDensity;
+      object.material = spec.material;
+
+      if (object.pinned) {
+        this.pinObject(object, true);
+      }
+    } else {
+      const body = object.body;
+      this.wakeNeighbours(body);
+      if (changes.position) body.position.set(...changes.position);
+      if (changes.quaternion) body.quaternion.set(...changes.quaternion);
+      if (changes.velocity) body.velocity.set(...changes.velocity);
+      if (changes.angularVelocity) body.angularVelocity.set(...changes.angularVelocity);
+      body.previousPosition.copy(body.position);
+      body.aabbNeedsUpdate = true;
+      body.wakeUp();
+      this.wakeNeighbours(body);
+    }
+
+    if (changes.color !== undefined) {
+      object.color = changes.color;
+    }
+    if (changes.fragility !== undefined) {
+      // Una pieza rota sigue rota; con otra fragilidad se rompe en el siguiente impacto que la dañe
+      object.fragility = copyFragility(changes.fragility);
+    }
+    this.emit('objectChanged', object);
+  }
+
+  wakeNeighbours(body) {
+    // Cannon no despierta lo que se apoyaba en un cuerpo que desaparece o se mueve a mano,
+    // ni prueba colisiones entre cuerpos dormidos y cinemáticos (un objeto sujeto)
+    if (body.aabbNeedsUpdate) body.computeAABB();
+    const region = body.aabb.clone();
+    region.lowerBound.vadd(new CANNON.Vec3(-0.05, -0.05, -0.05), region.lowerBound);
+    region.upperBound.vadd(new CANNON.Vec3(0.05, 0.05, 0.05), region.upperBound);
+
+    this.objects.forEach(obj => {
+      if (obj.body === body || obj.body.sleepState !== CANNON.Body.SLEEPING) return;
+      if (obj.body.aabbNeedsUpdate) obj.body.computeAABB();
+      if (obj.body.aabb.overlaps(region)) obj.body.wakeUp();
+    });
+  }
+
+  pinObject(object, pinned) {
+    // Un objeto sujeto (p. ej. mientras se arrastra) no cae pero sigue empujando a los demás
+    const body = object.body;
+    object.pinned = pinned;
+    if (pinned) {
+      body.type = CANNON.Body.KINEMATIC;
+    } else {
+      body.type = object.mass > 0 ? CANNON.Body.DYNAMIC : CANNON.Body.STATIC;
+    }
+    body.velocity.set(0, 0, 0);
+    body.angularVelocity.set(0, 0, 0);
+    body.updateMassProperties();
+  }
+
+  duplicateObject(object) {
+    // Copia intacta y en reposo junto al original, con id nuevo
+    const { id, ...spec } = this.getObjectSpec(object);
+    object.body.computeAABB();
+    const { lowerBound, upperBound } = object.body.aabb;
+    spec.position[0] += upperBound.x - lowerBound.x + 0.5;
+    return this.spawnObject({ ...spec, damage: 0, velocity: [0, 0, 0], angularVelocity: [0, 0, 0] });
+  }
+
+  getObjectDimensions(obj) {
+    return SCENE_SHAPES[obj.type].reduce((dimensions, key) => {
+      dimensions[key] = obj[key];
+      return dimensions;
+    }, {});
+  }
+
+  getBodyLabel(body) {
+    if (body === this.groundBody) return 'Suelo';
+    if (body === this.gripper.body) return 'Pinza';
+
+    const conveyor = this.productionLine.findConveyor(body);
+    if (conveyor) return `Cinta #${conveyor.id}`;
+
+    const object = this.objects.find(obj => obj.body === body);
+    return object ? this.getObjectLabel(object) : `Cuerpo ${body.id}`;
+  }
+
+  getObjectLabel(object) {
+    if (object.type === 'mesh') return `${object.mesh} #${object.id}`;
+    const typeLabels = { box: 'Caja', sphere: 'Esfera', cylinder: 'Cilindro' };
+    return `${typeLabels[object.type]} #${object.id}`;
+  }
+
+  getToolPose(pose = this.robotArm.kinematics.forward(this.robotArm.joints)) {
+    // Pose de la herramienta en coordenadas de la escena (eje Z de la herramienta = Y local)
+    const xAxis = KinematicChain.toScene(pose.tool.xAxis);
+    const zAxis = KinematicChain.toScene(pose.tool.zAxis);
+    const normal = [
+      xAxis[1] * zAxis[2] - xAxis[2] * zAxis[1],
+      xAxis[2] * zAxis[0] - xAxis[0] * zAxis[2],
+      xAxis[0] * zAxis[1] - xAxis[1] * zAxis[0]
+    ];
+    const [x, y, z] = KinematicChain.toScene(pose.tool.position);
+    const [bx, by, bz] = this.robotArm.basePosition;
+
+    return {
+      position: new CANNON.Vec3(x + bx, y + by, z + bz),
+      quaternion: quaternionFromBasis(xAxis, zAxis, normal)
+    };
+  }
+
+  getToolYaw() {
+    return this.robotArm.kinematics.toolYaw(this.robotArm.joints);
+  }
+
+  snapGripperToTool() {
+    const { position, quaternion } = this.getToolPose();
+    this.gripper.teleport(position, quaternion);
+  }
+
+  followToolWithGripper(dt) {
+    const { position, quaternion } = this.getToolPose();
+    this.gripper.follow(position, quaternion, dt);
+  }
+
+  activateRobot(active = !this.robotArm.isActive) {
+    this.robotArm.isActive = active;
+  }
+
+  commandTool(point, options = {}) {
+    // Resolver la cinemática inversa hacia un punto de la escena y fijarlo como objetivo
+    const arm = this.robotArm;
+    const [bx, by, bz] = arm.basePosition;
+    const result = arm.kinematics.solveIK(
+      KinematicChain.fromScene([point[0] - bx, point[1] - by, point[2] - bz]),
+      arm.joints,
+      { approach: options.approach === 'down' ? [0, 0, -1] : null }
+    );
+
+    if (options.toolYaw !== undefined) {
+      result.joints = arm.kinematics.alignToolYaw(result.joints, options.toolYaw);
+    }
+
+    this.stopTrajectory();
+    arm.jointTargets = [...result.joints];
+    arm.target = [...point];
+    arm.isActive = true;
+
+    return result;
+  }
+
+  isRobotSettled() {
+    const arm = this.robotArm;
+    return arm.joints.every((angle, i) =>
+      Math.abs(arm.jointTargets[i] - angle) < 0.01 && Math.abs(arm.jointVelocities[i]) < 0.05
+    );
+  }
+
+  resetRobot() {
+    const dof = this.robotArm.kinematics.dof;
+    Object.assign(this.robotArm, {
+      joints: new Array(dof).fill(0),
+      jointTargets: new Array(dof).fill(0),
+      jointVelocities: new Array(dof).fill(0),
+      jointAccelerations: new Array(dof).fill(0),
+      angularAcceleration: 0,
+      target: null,
+      isActive: false
+    });
+    this.robotArm.jointTargets[0] = this.config.rotation * Math.PI / 180;
+    this.cancelTask();
+    this.activeTask = null;
+    this.stopTrajectory();
+    this.snapGripperToTool();
+  }
+
+  getRobotState() {
+    return {
+      joints: [...this.robotArm.joints],
+      jointTargets: [...this.robotArm.jointTargets],
+      jointVelocities: [...this.robotArm.jointVelocities],
+      jointAccelerations: [...this.robotArm.jointAccelerations]
+    };
+  }
+
+  setRobotState(state) {
+    this.robotArm.joints = [...state.joints];
+    this.robotArm.jointTargets = [...state.jointTargets];
+    this.robotArm.jointVelocities = [...state.jointVelocities];
+    this.robotArm.jointAccelerations = [...state.jointAccelerations];
+    this.robotArm.angularAcceleration = state.jointAccelerations[0];
+
+    this.stats.currentAngle = state.joints[0] * 180 / Math.PI;
+    this.stats.angularAcceleration = this.robotArm.angularAcceleration;
+  }
+
+  updateRobotPhysics(dt) {
+    if (!this.robotArm.isActive) return;
+
+    const arm = this.robotArm;
+
+    // Zonas de seguridad: velocidad reducida (escala de tiempo de la trayectoria) o parada protectora
+    const scale = this.safety.speedScale;
+
+    // Trayectoria planificada: seguir la referencia muestreada; al terminar el control mantiene la pose
+    if (this.activeTrajectory) {
+      // La escala de tiempo se acerca a la de seguridad tan rápido como permite la aceleración
+      // máxima con las velocidades de la referencia: el brazo frena y rearranca sin saltos
+      const reference = this.activeTrajectory.sample(this.trajectoryTime).velocities;
+      const peak = Math.max(...reference.map(Math.abs));
+      const maxChange = peak > 1e-9 ? this.config.angularAcceleration * dt / peak : Infinity;
+      const change = Math.max(-maxChange, Math.min(maxChange, scale - this.trajectoryRate));
+      this.trajectoryRate += change;
+      const rate = this.trajectoryRate;
+
+      this.trajectoryTime += dt * rate;
+      const sample = this.activeTrajectory.sample(this.trajectoryTime);
+      arm.joints = sample.positions;
+      arm.jointVelocities = sample.velocities.map(velocity => velocity * rate);
+      arm.jointAccelerations = sample.accelerations.map((acceleration, i) =>
+        acceleration * rate * rate + sample.velocities[i] * change / dt);
+
+      if (this.trajectoryTime >= this.activeTrajectory.duration) {
+        this.stopTrajectory();
+      }
+    } else {
+      this.updateJointController(dt, this.config.angularVelocity * scale, this.config.angularAcceleration, 3);
+    }
+    arm.angularAcceleration = arm.jointAccelerations[0];
+
+    this.stats.currentAngle = arm.joints[0] * 180 / Math.PI;
+    this.stats.angularAcceleration = arm.angularAcceleration;
+  }
+
+  updateJointController(dt, maxVelocity, maxAcceleration, gain) {
+    const arm = this.robotArm;
+
+    // Control en espacio articular con límites de velocidad y aceleración
+    arm.joints.forEach((angle, i) => {
+      const error = arm.jointTargets[i] - angle;
+      const desiredVelocity = Math.max(-maxVelocity, Math.min(maxVelocity, error * gain));
+      const acceleration = Math.max(
+        -maxAcceleration,
+        Math.min(maxAcceleration, (desiredVelocity - arm.jointVelocities[i]) / dt)
+      );
+
+      arm.jointAccelerations[i] = acceleration;
+      arm.jointVelocities[i] += acceleration * dt;
+      arm.joints[i] = angle + arm.jointVelocities[i] * dt;
+
+      // Respetar los límites articulares
+      const link = arm.kinematics.links[i];
+      if (arm.joints[i] < link.min || arm.joints[i] > link.max) {
+        arm.joints[i] = Math.max(link.min, Math.min(link.max, arm.joints[i]));
+        arm.jointVelocities[i] = 0;
+      }
+    });
+  }
+
+  setSafetyConfig(values) {
+    this.safety.configure(values);
+    this.emit('safetyChanged');
+  }
+
+  getLinkOrigins(joints = this.robotArm.joints) {
+    // Orígenes de los sistemas de referencia de la cadena en coordenadas de la escena
+    const [bx, by, bz] = this.robotArm.basePosition;
+    return this.robotArm.kinematics.forward(joints).points.map(point => {
+      const [x, y, z] = KinematicChain.toScene(point);
+      return [x + bx, y + by, z + bz];
+    });
+  }
+
+  getArmSpeed(origins = this.getLinkOrigins()) {
+    // Rapidez del origen que más rápido se mueve con las velocidades articulares actuales
+    const arm = this.robotArm;
+    const h = 1e-3;
+    const ahead = this.getLinkOrigins(arm.joints.map((angle, i) => angle + arm.jointVelocities[i] * h));
+    return origins.reduce((max, point, i) => Math.max(
+      max,
+      Math.hypot(ahead[i][0] - point[0], ahead[i][1] - point[1], ahead[i][2] - point[2]) / h
+    ), 0);
+  }
+
+  getSafetyIntruders() {
+    // Todos los objetos salvo la pieza que manipula el robot (la sujeta o la de la última tarea)
+    const workpiece = this.activeTask ? this.activeTask.object : null;
+    return this.objects
+      .filter(obj => obj !== workpiece && obj.body !== this.gripper.heldBody)
+      .map(obj => ({
+        id: obj.id,
+        position: [obj.body.position.x, obj.body.position.y, obj.body.position.z],
+        velocity: [obj.body.velocity.x, obj.body.velocity.y, obj.body.velocity.z],
+        radius: this.getBoundingRadius(obj)
+      }));
+  }
+
+  getBoundingRadius(obj) {
+    // Radio de la esfera centrada que contiene el objeto
+    if (obj.type === 'sphere') return obj.radius;
+    if (obj.type === 'cylinder') return Math.hypot(obj.radius, obj.height / 2);
+    if (obj.type === 'mesh') return Math.hypot(...this.meshes.halfExtents(obj.mesh, obj.scale));
+    return obj.size * Math.sqrt(3) / 2;
+  }
+
+  updateSafety(dt) {
+    if (!this.safety.config.enabled) return;
+
+    const origins = this.getLinkOrigins();
+    const violation = this.safety.update({
+      time: this.simulationTime,
+      points: origins,
+      links: this.robotArm.kinematics.links.map(link => link.label ?? link.name),
+      robotSpeed: this.getArmSpeed(origins),
+      intruders: this.getSafetyIntruders()
+    }, dt);
+
+    if (violation) {
+      this.emit('safetyViolation', violation);
+    }
+  }
+
+  // Con velocidad o aceleración angular nulas el brazo no puede recorrer ningún tramo
+  hasTrajectoryLimits() {
+    return this.config.angularVelocity > 0 && this.config.angularAcceleration > 0;
+  }
+
+  planTrajectory(waypoints, profile = 'trapezoidal') {
+    return new TrajectoryPlanner({
+      maxVelocity: this.config.angularVelocity,
+      maxAcceleration: this.config.angularAcceleration,
+      profile
+    }).plan(waypoints);
+  }
+
+  optimizeTrajectory(profile) {
+    const arm = this.robotArm;
+    if (!this.hasTrajectoryLimits()) return null;
+
+    // Recorrido desde la postura actual por los puntos de paso, o directo al objetivo articular
+    const trajectory = this.planTrajectory([
+      [...arm.joints],
+      ...(this.trajectoryWaypoints.length > 0 ? this.trajectoryWaypoints : [arm.jointTargets])
+    ], profile);
+
+    if (trajectory.duration === 0 || !Number.isFinite(trajectory.duration)) return null;
+
+    this.executeTrajectory(trajectory);
+    return trajectory;
+  }
+
+  executeTrajectory(trajectory) {
+    this.cancelTask();
+    this.activeTrajectory = trajectory;
+    this.trajectoryTime = 0;
+    this.trajectoryRate = 1;
+    this.robotArm.jointTargets = [...trajectory.final];
+    this.robotArm.isActive = true;
+    this.stats.trajectory = trajectory.metrics(this.config.fixedTimeStep, this.getJointInertias());
+  }
+
+  stopTrajectory() {
+    this.activeTrajectory = null;
+    this.trajectoryTime = 0;
+    this.trajectoryRate = 1;
+  }
+
+  getJointInertias() {
+    // Inercia aproximada: masa nominal de 1 kg en el extremo de los eslabones que mueve cada eje
+    const links = this.robotArm.kinematics.links;
+    return links.map((link, i) => {
+      const lever = links.slice(i).reduce((sum, item) => sum + Math.abs(item.a) + Math.abs(item.d), 0);
+      return lever * lever;
+    });
+  }
+
+  addTrajectoryWaypoint(point) {
+    const arm = this.robotArm;
+    const [bx, by, bz] = arm.basePosition;
+    const seed = this.trajectoryWaypoints[this.trajectoryWaypoints.length - 1] ?? arm.joints;
+    const result = arm.kinematics.solveIK(
+      KinematicChain.fromScene([point[0] - bx, point[1] - by, point[2] - bz]),
+      seed
+    );
+
+    if (result.success) {
+      this.trajectoryWaypoints.push(result.joints);
+    }
+    return result;
+  }
+
+  clearTrajectoryWaypoints() {
+    this.trajectoryWaypoints = [];
+  }
+
+  planCollisionFreePath(point, profile) {
+    const arm = this.robotArm;
+    if (!this.hasTrajectoryLimits()) {
+      return {
+        success: false,
+        path: [],
+        iterations: 0,
+        reason: 'La velocidad y la aceleración angulares deben ser mayores que 0',
+        trajectory: null
+      };
+    }
+
+    const planner = new MotionPlanner(arm.kinematics, { basePosition: [...arm.basePosition], random: this.random });
+    planner.setObstacles(this.getObstacles());
+    const result = planner.planToPoint(point, arm.joints);
+    arm.target = [...point];
+
+    if (!result.success) {
+      return { ...result, trajectory: null, resolution: planner.resolution };
+    }
+
+    // Ejecutar el camino como trayectoria punto a punto con el perfil elegido
+    const trajectory = this.planTrajectory(result.path, profile);
+    this.executeTrajectory(trajectory);
+    return { ...result, trajectory, resolution: planner.resolution };
+  }
+
+  getObstacles() {
+    const quaternion = (q) => [q.x, q.y, q.z, q.w];
+
+    // Objetos de la escena (salvo el que sujeta la pinza) y cintas transportadoras
+    const objects = this.objects
+      .filter(obj => obj.body !== this.gripper.heldBody)
+      .map(obj => ({
+        // Las mallas se aproximan por la caja centrada que las contiene
+        shape: obj.type === 'mesh' ? 'box' : obj.type,
+        position: [obj.body.position.x, obj.body.position.y, obj.body.position.z],
+        quaternion: quaternion(obj.body.quaternion),
+        halfExtents: obj.type === 'box'
+          ? [obj.size / 2, obj.size / 2, obj.size / 2]
+          : obj.type === 'mesh' ? this.meshes.halfExtents(obj.mesh, obj.scale) : undefined,
+        radius: obj.radius,
+        height: obj.height
+      }));
+
+    const conveyors = this.productionLine.conveyors.map(conveyor => ({
+      shape: 'box',
+      position: [...conveyor.position],
+      quaternion: quaternion(conveyor.body.quaternion),
+      halfExtents: [conveyor.length / 2, conveyor.height / 2, conveyor.width / 2]
+    }));
+
+    return [...objects, ...conveyors];
+  }
+
+  startPickAndPlace(definition) {
+    this.cancelTask();
+
+    this.activeTask = new PickAndPlaceTask({
+      findObject: (id) => this.findObject(id),
+      commandTool: (point, options) => this.commandTool(point, options),
+      isRobotSettled: () => this.isRobotSettled(),
+      getToolYaw: () => this.getToolYaw(),
+      gripper: this.gripper
+    }, definition);
+    this.activeTask.start();
+    return this.activeTask;
+  }
+
+  updateTask(dt) {
+    if (!this.activeTask || this.activeTask.isFinished) return;
+
+    this.activeTask.update(dt);
+    if (this.activeTask.isFinished) {
+      this.emit('taskFinished', this.activeTask);
+    }
+  }
+
+  cancelTask() {
+    if (this.activeTask && !this.activeTask.isFinished) {
+      this.activeTask.cancel();
+    }
+    this.gripper.release();
+  }
+
+  addConveyor(options) {
+    const conveyor = this.productionLine.addConveyor(options);
+    this.emit('componentAdded', conveyor);
+    return conveyor;
+  }
+
+  addSpawner(options) {
+    const spawner = this.productionLine.addSpawner(options);
+    this.emit('componentAdded', spawner);
+    return spawner;
+  }
+
+  addSink(options) {
+    const sink = this.productionLine.addSink(options);
+    this.emit('componentAdded', sink);
+    return sink;
+  }
+
+  clearProductionLine() {
+    this.productionLine.clear();
+    this.emit('lineCleared');
+  }
+
+  async optimizeLayout(options = {}) {
+    const dynamic = this.objects.filter(obj => obj.mass > 0);
+    if (this.layoutOptimizer || dynamic.length === 0) return null;
+
+    const toSpec = (obj) => this.getObjectSpec(obj);
+
+    this.layoutOptimizer = new LayoutOptimizer({
+      random: this.random,
+      ...options,
+      config: {
+        gravity: this.config.gravity,
+        friction: this.config.friction,
+        restitution: this.config.restitution,
+        fixedTimeStep: this.config.fixedTimeStep
+      },
+      objects: dynamic.map(toSpec),
+      materials: this.materials,
+      meshes: this.meshes,
+      fixtures: {
+        statics: this.objects.filter(obj => obj.mass === 0).map(toSpec),
+        conveyors: this.productionLine.conveyors.map(conveyor => conveyor.toJSON())
+      },
+      kinematics: this.robotArm.kinematics,
+      basePosition: [...this.robotArm.basePosition]
+    });
+
+    const optimizer = this.layoutOptimizer;
+    this.layoutProgress = { iteration: 0, iterations: optimizer.iterations };
+
+    // La disposición de partida es la posición en planta actual de cada objeto
+    const result = await optimizer.optimize(
+      dynamic.map(obj => [obj.body.position.x, obj.body.position.z]),
+      (progress) => {
+        this.layoutProgress = progress;
+        this.emit('layoutProgress', progress);
+      }
+    );
+
+    this.layoutOptimizer = null;
+    this.layoutProgress = null;
+    return { ...result, objects: dynamic };
+  }
+
+  cancelLayoutOptimization() {
+    if (this.layoutOptimizer) {
+      this.layoutOptimizer.cancel();
+    }
+  }
+
+  applyLayout(result) {
+    // Como en la evaluación, solo cambia la posición en planta de cada objeto
+    result.objects.forEach((obj, index) => {
+      if (!this.objects.includes(obj)) return;
+      const [x, z] = result.layout[index];
+      obj.body.position.x = x;
+      obj.body.position.z = z;
+      obj.body.previousPosition.copy(obj.body.position);
+      obj.body.aabbNeedsUpdate = true;
+      obj.body.wakeUp();
+    });
+
+    this.layoutResult = result;
+  }
+
+  recordDamage(impact) {
+    const objects = this.objects.filter(obj => obj.body.id === impact.bodyIdA || obj.body.id === impact.bodyIdB);
+    if (objects.length === 0) return;
+
+    this.damage.recordImpact(impact, objects, impact.time)
+      .forEach(object => this.emit('objectBroken', object));
+  }
+
+  setDamageBaseline() {
+    // La ejecución actual se convierte en la referencia de "daños minimizados"
+    this.damage.setBaseline(this.simulationTime);
+    this.updateStatistics();
+  }
+
+  clearDamageBaseline() {
+    this.damage.clearBaseline();
+    this.updateStatistics();
+  }
+
+  saveViewpoint(viewpoint) {
+    // Guardar con un nombre existente sustituye la vista anterior
+    const saved = { name: viewpoint.name, position: [...viewpoint.position], target: [...viewpoint.target] };
+    this.viewpoints = [...this.viewpoints.filter(view => view.name !== saved.name), saved];
+    this.emit('viewpointsChanged');
+    return saved;
+  }
+
+  removeViewpoint(name) {
+    this.viewpoints = this.viewpoints.filter(view => view.name !== name);
+    this.emit('viewpointsChanged');
+  }
+
+  advance() {
+    // Un paso fijo de simulación: mismo dt siempre para resultados reproducibles
+    const dt = this.config.fixedTimeStep;
+    if (this.stepCount % BROADPHASE_AXIS_INTERVAL === 0) {
+      this.world.broadphase.autoDetectAxis();
+    }
+    this.followToolWithGripper(dt);
+    this.world.step(dt);
+    this.updateSafety(dt);
+    this.updateRobotPhysics(dt);
+    this.updateTask(dt);
+    this.productionLine.update(dt);
+    this.simulationTime += dt;
+    this.stepCount++;
+
+    if (this.record) {
+      this.recorder.record(this.captureFrame());
+    }
+    if (this.telemetry.enabled) {
+      this.telemetry.capture(this);
+    }
+  }
+
+  step(count = 1) {
+    for (let i = 0; i < count; i++) {
+      this.advance();
+    }
+    this.updateStatistics();
+    return this.stats;
+  }
+
+  run(seconds) {
+    return this.step(Math.round(seconds / this.config.fixedTimeStep));
+  }
+
+  runFixedSteps(frameSeconds) {
+    const step = this.config.fixedTimeStep;
+    this.accumulator += frameSeconds * this.config.timeScale;
+
+    let substeps = 0;
+    while (this.accumulator >= step && substeps < this.config.maxSubSteps) {
+      this.advance();
+      this.accumulator -= step;
+      substeps++;
+    }
+
+    // Si no alcanzamos el tiempo real, descartar el atraso en lugar de acumularlo
+    if (substeps >= this.config.maxSubSteps && this.accumulator >= step) {
+      this.accumulator = 0;
+    }
+
+    if (substeps > 0) {
+      this.updateStatistics();
+    }
+    return substeps;
+  }
+
+  resetStatistics() {
+    this.stats = {
+      activeObjects: this.objects.length,
+      sleepingObjects: 0,
+      collisionCount: 0,
+      totalEnergy: 0,
+      kineticEnergy: 0,
+      potentialEnergy: 0,
+      maxVelocity: 0,
+      avgVelocity: 0,
+      currentAngle: 0,
+      angularAcceleration: 0,
+      totalDamage: 0,
+      brokenParts: 0,
+      damageReduction: 0,
+      damageComparison: null,
+      trajectory: null
+    };
+  }
+
+  updateStatistics() {
+    let totalSpeed = 0;
+    let maxSpeed = 0;
+    let kineticEnergy = 0;
+    let potentialEnergy = 0;
+
+    this.objects.forEach(object => {
+      const measure = this.measureObject(object);
+
+      totalSpeed += measure.speed;
+      if (measure.speed > maxSpeed) maxSpeed = measure.speed;
+
+      kineticEnergy += measure.kineticEnergy;
+      potentialEnergy += measure.potentialEnergy;
+    });
+
+    this.stats.maxVelocity = maxSpeed;
+    this.stats.avgVelocity = this.objects.length > 0 ? totalSpeed / this.objects.length : 0;
+    this.stats.kineticEnergy = kineticEnergy;
+    this.stats.potentialEnergy = potentialEnergy;
+    this.stats.totalEnergy = kineticEnergy + potentialEnergy;
+    this.stats.activeObjects = this.objects.length;
+    this.stats.sleepingObjects = this.objects.filter(obj => obj.body.sleepState === CANNON.Body.SLEEPING).length;
+    this.stats.collisionCount = this.collisionMonitor.totalCount;
+
+    // Daño frente a la ejecución de referencia en el mismo instante simulado
+    const comparison = this.damage.compare(this.simulationTime);
+    this.stats.totalDamage = this.damage.totalDamage;
+    this.stats.brokenParts = this.damage.brokenCount;
+    this.stats.damageComparison = comparison;
+    this.stats.damageReduction = comparison ? comparison.reduction : 0;
+    return this.stats;
+  }
+
+  measureObject(object) {
+    // Rapidez y energías de un objeto (potencial respecto al suelo)
+    const speed = object.body.velocity.norm();
+    return {
+      speed,
+      kineticEnergy: 0.5 * object.mass * speed * speed,
+      potentialEnergy: object.mass * Math.abs(this.config.gravity) * object.body.position.y
+    };
+  }
+
+  captureFrame() {
+    const { ids, states } = SimulationRecorder.captureBodies(
+      this.objects.map(obj => ({ id: obj.id, body: obj.body }))
+    );
+
+    return {
+      time: this.simulationTime,
+      step: this.stepCount,
+      collisionCount: this.collisionMonitor.totalCount,
+      ids,
+      states,
+      damage: this.objects.map(obj => obj.damage),
+      sleeping: this.objects.map(obj => obj.body.sleepState === CANNON.Body.SLEEPING),
+      robot: this.getRobotState(),
+      safety: this.safety.getState(),
+      line: this.productionLine.getState()
+    };
+  }
+
+  applyFrame(frame) {
+    // Restaurar los cuerpos grabados, también los de objetos ya retirados
+    const indexById = new Map(frame.ids.map((id, index) => [id, index]));
+    [...this.objects, ...this.retiredObjects].forEach(obj => {
+      const index = indexById.get(obj.id);
+      if (index !== undefined) {
+        SimulationRecorder.applyBodyState(obj.body, frame.states, index);
+        obj.damage = frame.damage[index];
+        obj.broken = this.damage.isBroken(obj);
+        if (frame.sleeping[index]) obj.body.sleep();
+        else obj.body.wakeUp();
+      }
+    });
+
+    this.setRobotState(frame.robot);
+    this.safety.setState(frame.safety);
+    this.productionLine.setState(frame.line);
+  }
+
+  resumeFrom(index) {
+    const frame = this.recorder.get(index);
+    this.applyFrame(frame);
+
+    // Eliminar objetos que aún no existían en el instante elegido
+    const recordedIds = new Set(frame.ids);
+    this.objects
+      .filter(obj => !recordedIds.has(obj.id))
+      .forEach(obj => {
+        this.world.remove(obj.body);
+        this.emit('objectDisposed', obj);
+      });
+    this.objects = this.objects.filter(obj => recordedIds.has(obj.id));
+
+    // Recuperar los objetos retirados después de ese instante
+    this.retiredObjects.forEach(obj => {
+      if (recordedIds.has(obj.id)) {
+        this.world.add(obj.body);
+        this.objects.push(obj);
+      } else if (obj.removedAt > frame.time) {
+        this.emit('objectDisposed', obj);
+      }
+    });
+    this.retiredObjects = this.retiredObjects.filter(obj => obj.removedAt <= frame.time && !recordedIds.has(obj.id));
+
+    // Descartar el futuro grabado y continuar desde aquí
+    this.recorder.truncateAfter(index);
+    this.collisionMonitor.truncateTo(frame.collisionCount);
+    this.telemetry.truncateAfter(frame.time);
+    this.damage.truncateAfter(frame.time);
+    this.safety.truncateAfter(frame.time);
+
+    // La tarea y la trayectoria en curso no pueden continuar desde otro instante
+    this.cancelTask();
+    this.stopTrajectory();
+    this.snapGripperToTool();
+
+    this.simulationTime = frame.time;
+    this.stepCount = frame.step;
+    this.accumulator = 0;
+    this.updateStatistics();
+    return frame;
+  }
+
+  reset() {
+    this.simulationTime = 0;
+    this.stepCount = 0;
+    this.accumulator = 0;
+    this.recorder.clear();
+    this.telemetry.clear();
+    this.damage.clear();
+    this.safety.clear();
+
+    // Remover objetos
+    this.objects.forEach(obj => {
+      this.world.remove(obj.body);
+      this.emit('objectDisposed', obj);
+    });
+    this.objects = [];
+    this.retiredObjects.forEach(obj => this.emit('objectDisposed', obj));
+    this.retiredObjects = [];
+    this.productionLine.resetCounters();
+
+    // Cancelar la optimización en curso y olvidar el último resultado
+    this.cancelLayoutOptimization();
+    this.layoutResult = null;
+
+    this.collisionMonitor.reset();
+    this.resetStatistics();
+    this.resetRobot();
+
+    // Reiniciar la secuencia aleatoria: misma semilla, mismas acciones, mismo resultado
+    this.setSeed(this.seed);
+  }
+
+  serializeScene() {
+    return SceneFormat.createDocument({
+      config: {
+        gravity: this.config.gravity,
+        friction: this.config.friction,
+        restitution: this.config.restitution,
+        mass: this.config.mass,
+        impulse: this.config.impulse,
+        fixedTimeStep: this.config.fixedTimeStep,
+        maxSubSteps: this.config.maxSubSteps,
+        timeScale: this.config.timeScale,
+        sleepSpeed: this.config.sleepSpeed
+      },
+      random: { seed: this.seed, state: this.random.getState() },
+      robot: {
+        position: [...this.robotArm.basePosition],
+        links: this.robotArm.kinematics.links.map(link => ({ ...link })),
+        joints: [...this.robotArm.joints],
+        targetJoints: [...this.robotArm.jointTargets],
+        maxAngularVelocity: this.config.angularVelocity,
+        maxAngularAcceleration: this.config.angularAcceleration,
+        safety: { ...this.safety.config }
+      },
+      line: this.productionLine.toJSON(),
+      materials: this.materials.toJSON(),
+      meshes: this.meshes.toJSON(),
+      views: this.viewpoints,
+      objects: this.objects.map(obj => {
+        // Sin masa, la escena la vuelve a calcular a partir de la densidad del material
+        const { mass, ...spec } = this.getObjectSpec(obj);
+        return obj.massFromDensity ? spec : { ...spec, mass };
+      })
+    });
+  }
+
+  loadScene(scene) {
+    this.reset();
+    this.setSeed(scene.random.seed, scene.random.state);
+
+    // Configuración de física
+    this.applyConfig({
+      ...scene.config,
+      angularVelocity: scene.robot.maxAngularVelocity,
+      angularAcceleration: scene.robot.maxAngularAcceleration ?? this.config.angularAcceleration
+    });
+
+    // Robot: cadena cinemática y postura guardadas
+    const dof = scene.robot.links.length;
+    this.setRobotKinematics(scene.robot.links, scene.robot.position);
+    this.setRobotState({
+      joints: scene.robot.joints,
+      jointTargets: scene.robot.targetJoints ?? scene.robot.joints,
+      jointVelocities: new Array(dof).fill(0),
+      jointAccelerations: new Array(dof).fill(0)
+    });
+    this.snapGripperToTool();
+    this.setSafetyConfig({ ...DEFAULT_SAFETY_CONFIG, ...scene.robot.safety });
+
+    // Materiales y mallas antes de los cuerpos que los usan (cintas y objetos)
+    this.setMaterials(scene.materials);
+    this.setMeshes(scene.meshes);
+
+    // Línea de producción
+    this.clearProductionLine();
+    scene.line.conveyors.forEach(conveyor => this.addConveyor(conveyor));
+    scene.line.spawners.forEach(spawner => this.addSpawner(spawner));
+    scene.line.sinks.forEach(sink => this.addSink(sink));
+
+    // Objetos con su id, pose y velocidad originales
+    this.nextObjectId = 1;
+    scene.objects.forEach(object => this.spawnObject(object));
+
+    // Vistas de cámara
+    this.viewpoints = [];
+    scene.views.forEach(view => this.saveViewpoint(view));
+    this.emit('viewpointsChanged');
+
+    this.updateStatistics();
+  }
+}
+
+function quaternionFromBasis(xAxis, yAxis, zAxis) {
+  // Cuaternión de la matriz de rotación cuyas columnas son los tres ejes
+  const [m11, m21, m31] = xAxis;
+  const [m12, m22, m32] = yAxis;
+  const [m13, m23, m33] = zAxis;
+  const trace = m11 + m22 + m33;
+  const q = new CANNON.Quaternion();
+
+  if (trace > 0) {
+    const s = 0.5 / Math.sqrt(trace + 1);
+    q.set((m32 - m23) * s, (m13 - m31) * s, (m21 - m12) * s, 0.25 / s);
+  } else if (m11 > m22 && m11 > m33) {
+    const s = 2 * Math.sqrt(1 + m11 - m22 - m33);
+    q.set(0.25 * s, (m12 + m21) / s, (m13 + m31) / s, (m32 - m23) / s);
+  } else if (m22 > m33) {
+    const s = 2 * Math.sqrt(1 + m22 - m11 - m33);
+    q.set((m12 + m21) / s, 0.25 * s, (m23 + m32) / s, (m13 - m31) / s);
+  } else {
+    const s = 2 * Math.sqrt(1 + m33 - m11 - m22);
+    q.set((m13 + m31) / s, (m23 + m32) / s, 0.25 * s, (m21 - m12) / s);
+  }
+  return q;
+}
+
+if (typeof module !== 'undefined') {
+  module.exports = { DEFAULT_SIMULATION_CONFIG, SimulationEngine, quaternionFromBasis };
+}
@@ -0,0 +1,495 @@
+/**
+ * Experimentos por Lotes
+ * Barridos de parámetros y Monte Carlo sobre el motor sin interfaz: cada ejecución
+ * crea su propio SimulationEngine con una semilla derivada, de modo que un mismo
+ * experimento produce siempre los mismos resultados.
+ * Ver docs/experiments.md para el formato de la definición.
+ */
+
+const EXPERIMENT_METRICS = {
+  collisions: 'Colisiones',
+  maxVelocity: 'Velocidad máxima (m/s)',
+  peakEnergy: 'Energía cinética pico (J)',
+  damage: 'Daño por impactos (J)',
+  brokenParts: 'Piezas rotas',
+  settleTime: 'Tiempo de reposo (s)'
+};
+
+// Mismos rangos que los botones de la página para que los lotes se parezcan a lo que se hace a mano
+const EXPERIMENT_SHAPES = {
+  box: (random) => ({ size: 1 + random() * 2 }),
+  sphere: (random) => ({ radius: 0.5 + random() * 1.5 }),
+  cylinder: (random) => ({ radius: 0.3 + random() * 1, height: 1 + random() * 3 })
+};
+
+class ExperimentError extends Error {
+  constructor(message, details = []) {
+    super(details.length > 0 ? `${message}:\n- ${details.join('\n- ')}` : message);
+    this.name = 'ExperimentError';
+    this.details = details;
+  }
+}
+
+class ExperimentRunner {
+  /**
+   * definition:
+   *   mode: 'grid' (producto cartesiano de valores) o 'monteCarlo' (muestreo)
+   *   runs: ejecuciones en Monte Carlo; repetitions: ejecuciones por combinación en grid
+   *   seed: semilla del experimento; duration: tiempo simulado por ejecución (s)
+   *   settleSpeed: velocidad por debajo de la cual un objeto se considera en reposo (m/s)
+   *   parameters: { clave de DEFAULT_SIMULATION_CONFIG: número | { values } | { min, max, steps }
+   *                 | { distribution: 'uniform' | 'normal', ... } }
+   *   layout: { objects: [spec] } fijo o { count, shapes, area, height } aleatorio
+   *   scene: documento de escena de partida (opcional)
+   *   applyImpulse: empujar cada objeto generado como un clic en la página
+   */
+  constructor(definition) {
+    // La definición validada lleva la escena ya migrada a la versión actual
+    this.definition = ExperimentRunner.validate(definition);
+    this.mode = definition.mode ?? 'monteCarlo';
+    this.seed = definition.seed ?? 1;
+    this.duration = definition.duration ?? 5;
+    this.settleSpeed = definition.settleSpeed ?? 0.05;
+    this.parameters = definition.parameters ?? {};
+    this.layout = definition.layout ?? {};
+
+    this.results = [];
+    this.cancelled = false;
+  }
+
+  static validate(definition) {
+    const errors = [];
+    if (!isPlainObject(definition)) {
+      throw new ExperimentError('La definición del experimento debe ser un objeto');
+    }
+
+    const mode = definition.mode ?? 'monteCarlo';
+    if (mode !== 'grid' && mode !== 'monteCarlo') {
+      errors.push(`mode: debe ser "grid" o "monteCarlo" (se recibió ${JSON.stringify(mode)})`);
+    }
+
+    if (mode === 'monteCarlo') {
+      checkCount(errors, definition, 'runs', 'runs');
+    }
+    if (definition.repetitions !== undefined) {
+      checkCount(errors, definition, 'repetitions', 'repetitions');
+    }
+    if (definition.duration !== undefined) {
+      checkNumber(errors, definition, 'duration', 'duration', { min: 0, exclusiveMin: true });
+    }
+    if (definition.settleSpeed !== undefined) {
+      checkNumber(errors, definition, 'settleSpeed', 'settleSpeed', { min: 0 });
+    }
+    if (definition.seed !== undefined && !['number', 'string'].includes(typeof definition.seed)) {
+      errors.push('seed: debe ser un número o un texto');
+    }
+
+    // Parámetros: solo claves de la configuración de física, dentro de sus límites (CONFIG_LIMITS)
+    const parameters = definition.parameters ?? {};
+    if (!isPlainObject(parameters)) {
+      errors.push('parameters: debe ser un objeto');
+    } else {
+      Object.entries(parameters).forEach(([key, range]) => {
+        const path = `parameters.${key}`;
+        if (!(key in DEFAULT_SIMULATION_CONFIG)) {
+          errors.push(`${path}: parámetro desconocido (válidos: ${Object.keys(DEFAULT_SIMULATION_CONFIG).join(', ')})`);
+          return;
+        }
+        checkRange(errors, parameters, key, path, mode);
+      });
+    }
+
+    // Escena de partida: se migra y se valida igual que al abrirla desde un archivo
+    let scene = definition.scene;
+    if (scene !== undefined) {
+      try {
+        scene = SceneFormat.validate(SceneFormat.migrate(scene));
+      } catch (error) {
+        if (!(error instanceof SceneFormatError)) throw error;
+        // Los detalles ya empiezan por la ruta dentro de la escena
+        if (error.details.length > 0) {
+          error.details.forEach(detail => errors.push(`scene.${detail}`));
+        } else {
+          errors.push(`scene: ${error.message}`);
+        }
+        scene = undefined;
+      }
+    }
+
+    // Disposición inicial
+    const layout = definition.layout ?? {};
+    if (!isPlainObject(layout)) {
+      errors.push('layout: debe ser un objeto');
+    } else if (layout.objects !== undefined) {
+      if (!Array.isArray(layout.objects)) {
+        errors.push('layout.objects: debe ser una lista de objetos');
+      } else {
+        // Los materiales y las mallas con nombre son los de la escena de partida
+        const materialNames = new Set(Object.keys(scene ? scene.materials.definitions : DEFAULT_MATERIALS));
+        const meshNames = new Set(Object.keys(scene ? scene.meshes : {}));
+        layout.objects.forEach((object, index) => {
+          const path = `layout.objects[${index}]`;
+          if (!isPlainObject(object)) {
+            errors.push(`${path}: debe ser un objeto`);
+            return;
+          }
+          checkSceneObject(errors, object, path, { materialNames, meshNames, spec: true });
+        });
+      }
+    } else {
+      if (layout.count !== undefined) {
+        checkCount(errors, layout, 'count', 'layout.count', 0);
+      }
+      if (layout.area !== undefined) {
+        checkNumber(errors, layout, 'area', 'layout.area', { min: 0 });
+      }
+      if (layout.height !== undefined) {
+        checkVector(errors, layout.height, 'layout.height', 2);
+      }
+      asList(layout.shapes).forEach((shape, index) => {
+        if (!EXPERIMENT_SHAPES[shape]) {
+          errors.push(`layout.shapes[${index}]: forma desconocida ${JSON.stringify(shape)}`);
+        }
+      });
+    }
+
+    if (errors.length > 0) {
+      throw new ExperimentError('La definición del experimento no es válida', errors);
+    }
+    return scene === undefined ? definition : { ...definition, scene };
+  }
+
+  plan() {
+    // Lista de ejecuciones con su semilla y los parámetros de cada una
+    const runs = [];
+    const addRun = (parameters, combination) => {
+      const index = runs.length;
+      runs.push({ index, combination, seed: deriveSeed(this.seed, index), parameters });
+    };
+
+    if (this.mode === 'grid') {
+      const repetitions = this.definition.repetitions ?? 1;
+      let combinations = [{}];
+      Object.entries(this.parameters).forEach(([key, range]) => {
+        const values = gridValues(range).map(value => configValue(key, value));
+        combinations = combinations.flatMap(combination =>
+          values.map(value => ({ ...combination, [key]: value }))
+        );
+      });
+
+      combinations.forEach((parameters, combination) => {
+        for (let i = 0; i < repetitions; i++) {
+          addRun(parameters, combination);
+        }
+      });
+    } else {
+      for (let i = 0; i < this.definition.runs; i++) {
+        // Los parámetros salen de un generador propio para no depender del orden de la disposición
+        const random = createRandom(deriveSeed(`${this.seed}/parameters`, i));
+        const parameters = {};
+        Object.entries(this.parameters).forEach(([key, range]) => {
+          parameters[key] = configValue(key, sampleValue(range, random));
+        });
+        addRun(parameters, i);
+      }
+    }
+
+    return runs;
+  }
+
+  runOnce(run) {
+    const engine = new SimulationEngine({ record: false });
+    if (this.definition.scene) {
+      engine.loadScene(this.definition.scene);
+    }
+    engine.applyConfig(run.parameters);
+
+    // La semilla de la ejecución sustituye a la de la escena
+    engine.setSeed(run.seed);
+    const random = engine.random;
+    const created = this.spawnLayout(engine, random);
+
+    if (this.definition.applyImpulse) {
+      const impulse = engine.config.impulse;
+      created.forEach(object => engine.applyImpulse(object, [
+        (random() - 0.5) * impulse,
+        impulse,
+        (random() - 0.5) * impulse
+      ]));
+    }
+
+    // Métricas paso a paso: la velocidad y la energía pico pueden durar un solo paso
+    const steps = Math.round(this.duration / engine.config.fixedTimeStep);
+    let maxVelocity = 0;
+    let peakEnergy = 0;
+    let lastMotion = 0;
+    let moving = false;
+
+    for (let i = 0; i < steps; i++) {
+      engine.advance();
+
+      let kineticEnergy = 0;
+      moving = false;
+      engine.objects.forEach(object => {
+        const speed = object.body.velocity.norm();
+        kineticEnergy += 0.5 * object.mass * speed * speed;
+        if (speed > maxVelocity) maxVelocity = speed;
+        if (speed > this.settleSpeed) moving = true;
+      });
+
+      if (kineticEnergy > peakEnergy) peakEnergy = kineticEnergy;
+      if (moving) lastMotion = engine.simulationTime;
+    }
+
+    return {
+      run: run.index,
+      combination: run.combination,
+      seed: run.seed,
+      parameters: { ...run.parameters },
+      objects: engine.objects.length,
+      collisions: engine.collisionMonitor.totalCount,
+      maxVelocity,
+      peakEnergy,
+      damage: engine.damage.totalDamage,
+      brokenParts: engine.damage.brokenCount,
+      // Sin reposo si algo seguía moviéndose al terminar
+      settleTime: moving ? null : lastMotion
+    };
+  }
+
+  spawnLayout(engine, random) {
+    if (this.layout.objects) {
+      return this.layout.objects.map(spec => engine.spawnObject(spec));
+    }
+
+    const count = this.layout.count ?? 0;
+    const shapes = this.layout.shapes ?? Object.keys(EXPERIMENT_SHAPES);
+    const area = this.layout.area ?? 10;
+    const [minHeight, maxHeight] = this.layout.height ?? [5, 10];
+
+    const created = [];
+    for (let i = 0; i < count; i++) {
+      const shape = shapes[Math.floor(random() * shapes.length)];
+      created.push(engine.spawnObject({
+        shape,
+        dimensions: EXPERIMENT_SHAPES[shape](random),
+        position: [
+          (random() * 2 - 1) * area,
+          minHeight + random() * (maxHeight - minHeight),
+          (random() * 2 - 1) * area
+        ]
+      }));
+    }
+    return created;
+  }
+
+  cancel() {
+    this.cancelled = true;
+  }
+
+  async run(onProgress = () => {}) {
+    const runs = this.plan();
+    this.results = [];
+
+    for (const run of runs) {
+      if (this.cancelled) break;
+      this.results.push(this.runOnce(run));
+      onProgress({ completed: this.results.length, total: runs.length, result: this.results[this.results.length - 1] });
+
+      // Ceder el control entre ejecuciones para no bloquear la página
+      await new Promise(resolve => setTimeout(resolve, 0));
+    }
+
+    return this.summarize();
+  }
+
+  summarize() {
+    const summary = {
+      mode: this.mode,
+      seed: this.seed,
+      runs: this.results.length,
+      cancelled: this.cancelled,
+      metrics: summarizeMetrics(this.results)
+    };
+
+    // En grid, además, un resumen por cada combinación de parámetros
+    if (this.mode === 'grid') {
+      const groups = new Map();
+      this.results.forEach(result => {
+        if (!groups.has(result.combination)) groups.set(result.combination, []);
+        groups.get(result.combination).push(result);
+      });
+      summary.combinations = [...groups.values()].map(results => ({
+        parameters: results[0].parameters,
+        runs: results.length,
+        metrics: summarizeMetrics(results)
+      }));
+    }
+
+    return summary;
+  }
+
+  toCSV() {
+    const keys = Object.keys(this.parameters);
+    const header = ['run', 'seed', ...keys, 'objects', 'collisions', 'max_velocity_m_s', 'peak_energy_J', 'damage_J', 'broken_parts', 'settle_time_s'];
+    const format = (value) => (value === null ? '' : Number.isInteger(value) ? value : value.toFixed(4));
+
+    const rows = this.results.map(result => [
+      result.run,
+      result.seed,
+      ...keys.map(key => format(result.parameters[key])),
+      result.objects,
+      result.collisions,
+      format(result.maxVelocity),
+      format(result.peakEnergy),
+      format(result.damage),
+      result.brokenParts,
+      format(result.settleTime)
+    ].join(','));
+
+    return [header.join(','), ...rows].join('\n');
+  }
+
+  toJSON() {
+    return {
+      definition: this.definition,
+      summary: this.summarize(),
+      results: this.results
+    };
+  }
+}
+
+function checkCount(errors, container, key, path, min = 1) {
+  const value = container[key];
+  if (!Number.isInteger(value) || value < min) {
+    errors.push(`${path}: debe ser un entero mayor o igual a ${min} (se recibió ${JSON.stringify(value)})`);
+  }
+}
+
+function checkRange(errors, parameters, key, path, mode) {
+  // Los valores intermedios de un rango se redondean en los parámetros enteros, así que
+  // sus extremos solo tienen que respetar los límites
+  const { integer, ...bounds } = CONFIG_LIMITS[key];
+  const range = parameters[key];
+  if (typeof range === 'number') {
+    checkNumber(errors, parameters, key, path, CONFIG_LIMITS[key]);
+    return;
+  }
+  if (!isPlainObject(range)) {
+    errors.push(`${path}: debe ser un número, { values }, { min, max } o { distribution }`);
+    return;
+  }
+
+  if (range.values !== undefined) {
+    if (!Array.isArray(range.values) || range.values.length === 0 ||
+        !range.values.every(value => typeof value === 'number' && Number.isFinite(value))) {
+      errors.push(`${path}.values: debe ser una lista no vacía de números`);
+      return;
+    }
+    range.values.forEach((value, index) => checkNumber(errors, range.values, index, `${path}.values[${index}]`, CONFIG_LIMITS[key]));
+    return;
+  }
+
+  const distribution = range.distribution ?? 'uniform';
+  if (distribution === 'normal') {
+    if (mode === 'grid') {
+      errors.push(`${path}: la distribución normal solo se admite en modo monteCarlo`);
+      return;
+    }
+    checkNumber(errors, range, 'mean', `${path}.mean`, bounds);
+    checkNumber(errors, range, 'std', `${path}.std`, { min: 0 });
+    ['min', 'max'].forEach(limit => {
+      if (range[limit] !== undefined) {
+        checkNumber(errors, range, limit, `${path}.${limit}`, bounds);
+      } else if (bounds[limit] !== undefined) {
+        // Sin recortar, la normal daría valores fuera de los límites del parámetro
+        errors.push(`${path}.${limit}: es obligatorio para recortar la normal a los valores válidos de ${key}`);
+      }
+    });
+    return;
+  }
+  if (distribution !== 'uniform') {
+    errors.push(`${path}.distribution: debe ser "uniform" o "normal"`);
+    return;
+  }
+
+  checkNumber(errors, range, 'min', `${path}.min`, bounds);
+  checkNumber(errors, range, 'max', `${path}.max`, bounds);
+  if (range.min > range.max) {
+    errors.push(`${path}: min (${range.min}) es mayor que max (${range.max})`);
+  }
+  if (mode === 'grid') {
+    checkCount(errors, range, 'steps', `${path}.steps`);
+  }
+}
+
+function configValue(key, value) {
+  return CONFIG_LIMITS[key].integer ? Math.round(value) : value;
+}
+
+function gridValues(range) {
+  if (typeof range === 'number') return [range];
+  if (range.values) return range.values;
+  if (range.steps === 1) return [range.min];
+
+  const values = [];
+  for (let i = 0; i < range.steps; i++) {
+    values.push(range.min + (range.max - range.min) * i / (range.steps - 1));
+  }
+  return values;
+}
+
+function sampleValue(range, random) {
+  if (typeof range === 'number') return range;
+  if (range.values) return range.values[Math.floor(random() * range.values.length)];
+
+  if (range.distribution === 'normal') {
+    // Normal recortada a [min, max] cuando se indican límites
+    const value = randomNormal(random, range.mean, range.std);
+    return Math.min(range.max ?? Infinity, Math.max(range.min ?? -Infinity, value));
+  }
+  return range.min + random() * (range.max - range.min);
+}
+
+function summarizeMetrics(results) {
+  const summary = {};
+  Object.keys(EXPERIMENT_METRICS).forEach(metric => {
+    // Las ejecuciones sin reposo no cuentan en el tiempo de reposo
+    const values = results.map(result => result[metric]).filter(value => value !== null);
+    summary[metric] = describeValues(values);
+  });
+  summary.settleTime.unsettled = results.filter(result => result.settleTime === null).length;
+  return summary;
+}
+
+function describeValues(values) {
+  if (values.length === 0) {
+    return { count: 0, mean: null, std: null, min: null, p50: null, p95: null, max: null };
+  }
+
+  const sorted = [...values].sort((a, b) => a - b);
+  const mean = sorted.reduce((sum, value) => sum + value, 0) / sorted.length;
+  const variance = sorted.reduce((sum, value) => sum + (value - mean) ** 2, 0) / sorted.length;
+
+  // Percentil por interpolación lineal entre muestras ordenadas
+  const percentile = (p) => {
+    const position = (sorted.length - 1) * p;
+    const lower = Math.floor(position);
+    const upper = Math.ceil(position);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+  };
+
+  return {
+    count: sorted.length,
+    mean,
+    std: Math.sqrt(variance),
+    min: sorted[0],
+    p50: percentile(0.5),
+    p95: percentile(0.95),
+    max: sorted[sorted.length - 1]
+  };
+}
+
+if (typeof module !== 'undefined') {
+  module.exports = { EXPERIMENT_METRICS, ExperimentError, ExperimentRunner };
+}
@@ -0,0 +1,91 @@
+/**
+ * Pinza del Robot
+ * Cuerpo cinemático que sigue a la herramienta y sujeta objetos con una
+ * restricción rígida de Cannon.js mientras el brazo los transporta
+ */
+
+class Gripper {
+  constructor(world, options = {}) {
+    this.world = world;
+    this.graspRadius = options.graspRadius ?? 0.5; // distancia máxima entre la pinza y la superficie del objeto
+
+    // Cuerpo cinemático sin formas: no colisiona, solo ancla la restricción.
+    // Nunca se duerme: dormido, Cannon dejaría de moverlo con la herramienta
+    this.body = new CANNON.Body({ mass: 0, type: CANNON.Body.KINEMATIC, allowSleep: false });
+    this.world.add(this.body);
+
+    // Rotación relativa entre herramienta y objeto en el momento del agarre
+    this.toolQuaternion = new CANNON.Quaternion();
+    this.graspOffset = new CANNON.Quaternion();
+
+    this.constraint = null;
+    this.heldBody = null;
+  }
+
+  get isHolding() {
+    return this.heldBody !== null;
+  }
+
+  follow(position, quaternion, dt) {
+    // Velocidad necesaria para llegar a la pose de la herramienta en este paso
+    this.body.velocity.set(
+      (position.x - this.body.position.x) / dt,
+      (position.y - this.body.position.y) / dt,
+      (position.z - this.body.position.z) / dt
+    );
+
+    this.toolQuaternion.set(quaternion.x, quaternion.y, quaternion.z, quaternion.w);
+    this.toolQuaternion.mult(this.graspOffset, this.body.quaternion);
+  }
+
+  teleport(position, quaternion) {
+    this.body.position.set(position.x, position.y, position.z);
+    this.body.velocity.set(0, 0, 0);
+    this.toolQuaternion.set(quaternion.x, quaternion.y, quaternion.z, quaternion.w);
+    this.toolQuaternion.mult(this.graspOffset, this.body.quaternion);
+  }
+
+  distanceTo(body) {
+    // Distancia aproximada a la superficie usando el radio envolvente del cuerpo
+    const distance = this.body.position.distanceTo(body.position);
+    return Math.max(0, distance - body.boundingRadius);
+  }
+
+  canGrasp(body) {
+    return !this.isHolding && body.mass > 0 && this.distanceTo(body) <= this.graspRadius;
+  }
+
+  grasp(body) {
+    if (!this.canGrasp(body)) return false;
+
+    // La restricción bloquea la orientación relativa actual como identidad
+    this.toolQuaternion.inverse(this.graspOffset);
+    this.graspOffset.mult(body.quaternion, this.graspOffset);
+    this.toolQuaternion.mult(this.graspOffset, this.body.quaternion);
+
+    this.constraint = new CANNON.LockConstraint(this.body, body);
+    this.world.addConstraint(this.constraint);
+    this.heldBody = body;
+    // La restricción no despierta al objeto: mientras se sujeta no puede dormirse
+    body.allowSleep = false;
+    body.wakeUp();
+    return true;
+  }
+
+  release() {
+    if (!this.isHolding) return null;
+
+    const released = this.heldBody;
+    released.allowSleep = true;
+    this.world.removeConstraint(this.constraint);
+    this.constraint = null;
+    this.heldBody = null;
+    this.graspOffset.set(0, 0, 0, 1);
+    this.toolQuaternion.mult(this.graspOffset, this.body.quaternion);
+    return released;
+  }
+}
+
+if (typeof module !== 'undefined') {
+  module.exports = { Gripper };
+}
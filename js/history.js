@@ -0,0 +1,133 @@
+/**
+ * Historial de Ediciones
+ * Deshacer y rehacer los cambios de la escena (objetos, configuración, línea de producción,
+ * disposiciones, reinicios) guardando la escena serializada antes de cada edición. Deshacer
+ * carga esa escena como si se abriera desde un archivo: el tiempo vuelve a 0 y la grabación
+ * se descarta.
+ */
+
+const HISTORY_CAPACITY = 50;
+
+class SceneHistory {
+  /**
+   * options:
+   *   capacity: ediciones guardadas; las más antiguas se olvidan
+   *   restore(scene): carga una escena guardada (por defecto engine.loadScene); la página
+   *                   la usa para sincronizar además sus controles
+   *   onChange(): el historial cambió (nueva edición, deshacer o rehacer)
+   */
+  constructor(engine, options = {}) {
+    this.engine = engine;
+    this.capacity = options.capacity ?? HISTORY_CAPACITY;
+    this.restoreScene = options.restore ?? ((scene) => engine.loadScene(scene));
+    this.onChange = options.onChange ?? (() => {});
+
+    // entries[i] = { label, before, after }; las primeras `index` están aplicadas
+    this.entries = [];
+    this.index = 0;
+    this.pending = null;
+    this.restoring = false;
+  }
+
+  get canUndo() {
+    return this.index > 0;
+  }
+
+  get canRedo() {
+    return this.index < this.entries.length;
+  }
+
+  record(label, edit) {
+    // label puede ser una función del resultado (p. ej. para nombrar el objeto creado).
+    // Las ediciones anidadas forman parte de la más externa
+    if (this.restoring || this.pending) return edit();
+
+    this.begin(typeof label === 'function' ? '' : label);
+    let result;
+    try {
+      result = edit();
+    } catch (error) {
+      this.cancel();
+      throw error;
+    }
+    this.commit(typeof label === 'function' ? label(result) : undefined);
+    return result;
+  }
+
+  begin(label) {
+    // Ediciones continuas (arrastrar el gizmo, mover un slider): begin al empezar, commit al soltar
+    if (this.restoring || this.pending) return;
+    this.pending = { label, before: this.engine.serializeScene() };
+  }
+
+  commit(label) {
+    if (!this.pending) return;
+    const entry = { label: label ?? this.pending.label, before: this.pending.before, after: null };
+    this.pending = null;
+
+    // Una edición nueva descarta lo que se había deshecho
+    this.entries.splice(this.index);
+    this.entries.push(entry);
+    if (this.entries.length > this.capacity) {
+      this.entries.shift();
+    }
+    this.index = this.entries.length;
+    this.onChange();
+  }
+
+  cancel() {
+    this.pending = null;
+  }
+
+  undo() {
+    return this.canUndo ? this.goTo(this.index - 1) : null;
+  }
+
+  redo() {
+    return this.canRedo ? this.goTo(this.index + 1) : null;
+  }
+
+  goTo(index) {
+    // Saltar varias ediciones carga una sola escena: las intermedias solo se anotan
+    if (index < 0 || index > this.entries.length || index === this.index) return null;
+    this.commit();
+
+    let scene;
+    if (index < this.index) {
+      // Lo deshecho se podrá rehacer desde el estado actual
+      this.entries[this.index - 1].after = this.engine.serializeScene();
+      for (let i = this.index - 1; i > index; i--) {
+        this.entries[i - 1].after = this.entries[i].before;
+      }
+      scene = this.entries[index].before;
+    } else {
+      this.entries[this.index].before = this.engine.serializeScene();
+      for (let i = this.index + 1; i < index; i++) {
+        this.entries[i].before = this.entries[i - 1].after;
+      }
+      scene = this.entries[index - 1].after;
+    }
+
+    const entry = this.entries[Math.min(index, this.index)];
+    this.index = index;
+    this.restoring = true;
+    try {
+      this.restoreScene(scene);
+    } finally {
+      this.restoring = false;
+    }
+    this.onChange();
+    return entry;
+  }
+
+  clear() {
+    this.entries = [];
+    this.index = 0;
+    this.pending = null;
+    this.onChange();
+  }
+}
+
+if (typeof module !== 'undefined') {
+  module.exports = { HISTORY_CAPACITY, SceneHistory };
+}
@@ -0,0 +1,264 @@
+/**
+ * Cinemática del Brazo Robótico
+ * Cadena cinemática descrita con parámetros Denavit-Hartenberg (convención estándar),
+ * cinemática directa para la pose de la herramienta e inversa por mínimos cuadrados amortiguados.
+ *
+ * Las coordenadas de la cadena usan Z hacia arriba (convención DH). La escena de Three.js
+ * usa Y hacia arriba: ver KinematicChain.toScene() / KinematicChain.fromScene().
+ */
+
+const DEG = Math.PI / 180;
+
+// Brazo de 5 ejes: giro de base, hombro, codo, cabeceo y giro de muñeca
+const DEFAULT_ARM_LINKS = [
+  { name: 'base', label: 'Base', d: 0.5, a: 0, alpha: Math.PI / 2, offset: 0, min: -180 * DEG, max: 180 * DEG },
+  { name: 'shoulder', label: 'Hombro', d: 0, a: 2.2, alpha: 0, offset: Math.PI / 2, min: -100 * DEG, max: 100 * DEG },
+  { name: 'elbow', label: 'Codo', d: 0, a: 1.8, alpha: 0, offset: 0, min: -150 * DEG, max: 150 * DEG },
+  { name: 'wristPitch', label: 'Muñeca (cabeceo)', d: 0, a: 0, alpha: Math.PI / 2, offset: Math.PI / 2, min: -120 * DEG, max: 120 * DEG },
+  { name: 'wristRoll', label: 'Muñeca (giro)', d: 0.5, a: 0, alpha: 0, offset: 0, min: -180 * DEG, max: 180 * DEG }
+];
+
+class KinematicChain {
+  constructor(links = DEFAULT_ARM_LINKS) {
+    this.links = links.map(link => ({ ...link }));
+  }
+
+  get dof() {
+    return this.links.length;
+  }
+
+  get reach() {
+    // Alcance máximo aproximado desde el eje del hombro
+    return this.links.slice(1).reduce((sum, link) => sum + Math.abs(link.a) + Math.abs(link.d), 0);
+  }
+
+  // Conversión entre la convención DH (Z arriba) y la escena (Y arriba)
+  static toScene([x, y, z]) {
+    return [x, z, -y];
+  }
+
+  static fromScene([x, y, z]) {
+    return [x, -z, y];
+  }
+
+  static dhMatrix(theta, d, a, alpha) {
+    const ct = Math.cos(theta);
+    const st = Math.sin(theta);
+    const ca = Math.cos(alpha);
+    const sa = Math.sin(alpha);
+
+    // Matriz homogénea 4x4 por filas
+    return [
+      ct, -st * ca, st * sa, a * ct,
+      st, ct * ca, -ct * sa, a * st,
+      0, sa, ca, d,
+      0, 0, 0, 1
+    ];
+  }
+
+  static multiply(m, n) {
+    const result = new Array(16);
+    for (let row = 0; row < 4; row++) {
+      for (let col = 0; col < 4; col++) {
+        result[row * 4 + col] =
+          m[row * 4] * n[col] +
+          m[row * 4 + 1] * n[4 + col] +
+          m[row * 4 + 2] * n[8 + col] +
+          m[row * 4 + 3] * n[12 + col];
+      }
+    }
+    return result;
+  }
+
+  clamp(joints) {
+    return joints.map((value, i) => Math.max(this.links[i].min, Math.min(this.links[i].max, value)));
+  }
+
+  withinLimits(joints) {
+    return joints.every((value, i) => value >= this.links[i].min - 1e-9 && value <= this.links[i].max + 1e-9);
+  }
+
+  forward(joints) {
+    let transform = [1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1];
+    const frames = [transform];
+
+    this.links.forEach((link, i) => {
+      const local = KinematicChain.dhMatrix(joints[i] + link.offset, link.d, link.a, link.alpha);
+      transform = KinematicChain.multiply(transform, local);
+      frames.push(transform);
+    });
+
+    const tool = frames[frames.length - 1];
+    return {
+      frames,
+      // Origen de cada sistema de referencia (base, tras cada articulación)
+      points: frames.map(frame => [frame[3], frame[7], frame[11]]),
+      tool: {
+        position: [tool[3], tool[7], tool[11]],
+        xAxis: [tool[0], tool[4], tool[8]],
+        yAxis: [tool[1], tool[5], tool[9]],
+        zAxis: [tool[2], tool[6], tool[10]]
+      }
+    };
+  }
+
+  toolYaw(joints) {
+    // Rumbo del eje X de la herramienta alrededor de la vertical
+    const { xAxis } = this.forward(joints).tool;
+    return Math.atan2(xAxis[1], xAxis[0]);
+  }
+
+  alignToolYaw(joints, yaw) {
+    // Ajustar el último eje (giro de muñeca) para orientar la herramienta
+    const last = this.dof - 1;
+    const current = this.toolYaw(joints);
+    const probe = [...joints];
+    probe[last] += 0.1;
+    const direction = Math.sign(wrapAngle(this.toolYaw(probe) - current)) || 1;
+
+    const aligned = [...joints];
+    aligned[last] += direction * wrapAngle(yaw - current);
+    return this.clamp(aligned);
+  }
+
+  taskVector(joints, approach, orientationWeight) {
+    const { tool } = this.forward(joints);
+    const task = [...tool.position];
+    if (approach) {
+      task.push(...tool.zAxis.map(component => component * orientationWeight));
+    }
+    return task;
+  }
+
+  solveIK(target, initialJoints, options = {}) {
+    const {
+      approach = null, // dirección deseada del eje Z de la herramienta (p. ej. [0, 0, -1])
+      orientationWeight = 0.5,
+      tolerance = 1e-3,
+      maxIterations = 200,
+      damping = 0.05
+    } = options;
+
+    const goal = [...target];
+    if (approach) {
+      goal.push(...approach.map(component => component * orientationWeight));
+    }
+
+    // Semillas: configuración actual y dos posturas a cada lado del centro de los límites
+    // (codo arriba y abajo), con la base orientada al objetivo
+    const yaw = Math.atan2(target[1], target[0]);
+    const posture = (side) => this.links.map((link, j) => (
+      j === 0 ? yaw : (link.min + link.max) / 2 + side * (link.max - link.min) / 4
+    ));
+    const seeds = [initialJoints, posture(1), posture(-1)];
+
+    let best = null;
+    for (const seed of seeds) {
+      const result = this.solveFromSeed(goal, this.clamp(seed), approach, orientationWeight, tolerance, maxIterations, damping);
+      if (!best || result.error < best.error) {
+        best = result;
+      }
+      if (best.success) break;
+    }
+
+    return best;
+  }
+
+  solveFromSeed(goal, seed, approach, orientationWeight, tolerance, maxIterations, damping) {
+    let joints = [...seed];
+    let error = Infinity;
+    let positionError = Infinity;
+    const epsilon = 1e-6;
+    const maxStep = 0.2;
+
+    for (let iteration = 0; iteration < maxIterations; iteration++) {
+      const current = this.taskVector(joints, approach, orientationWeight);
+      const residual = goal.map((value, i) => value - current[i]);
+      error = Math.hypot(...residual);
+      positionError = Math.hypot(residual[0], residual[1], residual[2]);
+
+      if (error < tolerance) {
+        return { success: true, joints, error, positionError, iterations: iteration };
+      }
+
+      // Jacobiano numérico por diferencias hacia adelante
+      const jacobian = residual.map(() => new Array(this.dof).fill(0));
+      for (let j = 0; j < this.dof; j++) {
+        const perturbed = [...joints];
+        perturbed[j] += epsilon;
+        const shifted = this.taskVector(perturbed, approach, orientationWeight);
+        for (let i = 0; i < residual.length; i++) {
+          jacobian[i][j] = (shifted[i] - current[i]) / epsilon;
+        }
+      }
+
+      // Mínimos cuadrados amortiguados: dq = J^T (J J^T + λ² I)^-1 e
+      const size = residual.length;
+      const system = [];
+      for (let i = 0; i < size; i++) {
+        system.push([]);
+        for (let k = 0; k < size; k++) {
+          let sum = i === k ? damping * damping : 0;
+          for (let j = 0; j < this.dof; j++) {
+            sum += jacobian[i][j] * jacobian[k][j];
+          }
+          system[i].push(sum);
+        }
+      }
+      const y = solveLinearSystem(system, residual);
+
+      const delta = new Array(this.dof).fill(0);
+      for (let j = 0; j < this.dof; j++) {
+        for (let i = 0; i < size; i++) {
+          delta[j] += jacobian[i][j] * y[i];
+        }
+      }
+
+      // Limitar el paso para mantener la convergencia estable
+      const stepSize = Math.max(...delta.map(Math.abs));
+      const scale = stepSize > maxStep ? maxStep / stepSize : 1;
+      joints = this.clamp(joints.map((value, j) => value + delta[j] * scale));
+    }
+
+    return { success: false, joints, error, positionError, iterations: maxIterations };
+  }
+}
+
+function wrapAngle(angle) {
+  return Math.atan2(Math.sin(angle), Math.cos(angle));
+}
+
+function solveLinearSystem(matrix, vector) {
+  // Eliminación gaussiana con pivoteo parcial
+  const size = vector.length;
+  const a = matrix.map((row, i) => [...row, vector[i]]);
+
+  for (let col = 0; col < size; col++) {
+    let pivot = col;
+    for (let row = col + 1; row < size; row++) {
+      if (Math.abs(a[row][col]) > Math.abs(a[pivot][col])) pivot = row;
+    }
+    [a[col], a[pivot]] = [a[pivot], a[col]];
+
+    for (let row = col + 1; row < size; row++) {
+      const factor = a[row][col] / a[col][col];
+      for (let k = col; k <= size; k++) {
+        a[row][k] -= factor * a[col][k];
+      }
+    }
+  }
+
+  const result = new Array(size).fill(0);
+  for (let row = size - 1; row >= 0; row--) {
+    let sum = a[row][size];
+    for (let k = row + 1; k < size; k++) {
+      sum -= a[row][k] * result[k];
+    }
+    result[row] = sum / a[row][row];
+  }
+  return result;
+}
+
+if (typeof module !== 'undefined') {
+  module.exports = { DEFAULT_ARM_LINKS, KinematicChain, wrapAngle, solveLinearSystem };
+}
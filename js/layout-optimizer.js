@@ -0,0 +1,170 @@
+/**
+ * Optimizador de Disposición
+ * Recocido simulado sobre la posición en planta de los objetos dinámicos. Cada
+ * disposición candidata se evalúa con una simulación sin interfaz que parte del estado
+ * actual de los objetos (altura, orientación y velocidades) cambiando solo su X y Z, y
+ * mide los choques entre ellos (número y energía de impacto) y si el robot puede
+ * alcanzarlos para recogerlos cuando se detienen.
+ */
+
+class LayoutOptimizer {
+  /**
+   * options:
+   *   config: { gravity, friction, restitution, fixedTimeStep }
+   *   objects: [spec] objetos dinámicos a colocar, con su estado actual
+   *   materials: biblioteca de materiales de los objetos (por defecto la predefinida)
+   *   meshes: biblioteca con la geometría de los objetos de forma 'mesh'
+   *   fixtures: { statics: [spec], conveyors: [conveyor] } elementos que no se mueven
+   *   kinematics, basePosition: robot que debe alcanzar los objetos
+   */
+  constructor(options) {
+    this.config = options.config;
+    this.objects = options.objects;
+    this.materials = options.materials ?? new MaterialLibrary();
+    this.meshes = options.meshes ?? new MeshLibrary();
+    this.fixtures = { statics: [], conveyors: [], ...options.fixtures };
+    this.kinematics = options.kinematics;
+    this.basePosition = options.basePosition ?? [0, 0, 0];
+
+    this.bounds = options.bounds ?? 8; // semiancho del área de colocación (m)
+    this.duration = options.duration ?? 3; // tiempo simulado por evaluación (s)
+    this.iterations = options.iterations ?? 80;
+    this.cooling = options.cooling ?? 0.93;
+    this.keepOutRadius = options.keepOutRadius ?? 1.6; // zona ocupada por la base del robot (m)
+    this.approachHeight = options.approachHeight ?? 0.5;
+    this.random = options.random ?? Math.random;
+
+    // Pesos de la puntuación: energía de impacto (J) más penalizaciones
+    this.weights = { collision: 0.5, unreachable: 50, keepOut: 50, ...options.weights };
+
+    this.cancelled = false;
+  }
+
+  cancel() {
+    this.cancelled = true;
+  }
+
+  evaluate(layout) {
+    const world = new CANNON.World();
+    world.gravity.set(0, this.config.gravity, 0);
+    world.broadphase = new CANNON.SAPBroadphase(world);
+    world.solver.iterations = 10;
+    world.defaultContactMaterial.friction = this.config.friction;
+    world.defaultContactMaterial.restitution = this.config.restitution;
+    this.materials.attach(world);
+
+    const ground = new CANNON.Body({
+      mass: 0,
+      material: this.materials.has(GROUND_MATERIAL) ? this.materials.bodyMaterial(GROUND_MATERIAL) : null
+    });
+    ground.addShape(new CANNON.Plane());
+    ground.quaternion.setFromAxisAngle(new CANNON.Vec3(1, 0, 0), -Math.PI / 2);
+    world.add(ground);
+
+    this.fixtures.statics.forEach(spec => world.add(createObjectBody(spec, this.materials, this.meshes)));
+    const line = new ProductionLine(world, { objects: [], materials: this.materials });
+    this.fixtures.conveyors.forEach(conveyor => line.addConveyor(conveyor));
+
+    const bodies = this.objects.map((object, index) => {
+      const [x, z] = layout[index];
+      const body = createObjectBody({ ...object, position: [x, object.position[1], z] }, this.materials, this.meshes);
+      world.add(body);
+      return body;
+    });
+
+    // Daño: choques que no son contra el suelo (objeto-objeto y objeto-instalación)
+    let collisions = 0;
+    let damage = 0;
+    const monitor = new CollisionMonitor(world, { getTime: () => world.time });
+    monitor.onCollision(impact => {
+      if (impact.bodyIdA === ground.id || impact.bodyIdB === ground.id) return;
+      collisions++;
+      damage += impact.energy;
+    });
+
+    const steps = Math.round(this.duration / this.config.fixedTimeStep);
+    for (let step = 0; step < steps; step++) {
+      world.step(this.config.fixedTimeStep);
+    }
+
+    // Alcance: la pinza debe llegar encima del objeto y bajar hasta él
+    let unreachable = 0;
+    let keepOut = 0;
+    const [bx, by, bz] = this.basePosition;
+    bodies.forEach(body => {
+      const { x, z } = body.position;
+      if (Math.hypot(x - bx, z - bz) < this.keepOutRadius) keepOut++;
+
+      body.computeAABB();
+      const top = body.aabb.upperBound.y;
+      const reachable = [top + 0.05, top + this.approachHeight].every(height => {
+        const target = KinematicChain.fromScene([x - bx, height - by, z - bz]);
+        const seed = new Array(this.kinematics.dof).fill(0);
+        return this.kinematics.solveIK(target, seed, { approach: [0, 0, -1], maxIterations: 100 }).success;
+      });
+      if (!reachable) unreachable++;
+    });
+
+    const score = damage +
+      this.weights.collision * collisions +
+      this.weights.unreachable * unreachable +
+      this.weights.keepOut * keepOut;
+
+    return { score, damage, collisions, unreachable, keepOut, reachable: bodies.length - unreachable };
+  }
+
+  neighbor(layout, stepSize) {
+    // Desplazar un objeto al azar con un paso gaussiano dentro del área
+    const candidate = layout.map(position => [...position]);
+    const index = Math.floor(this.random() * candidate.length);
+    candidate[index] = candidate[index].map(value => {
+      const moved = value + randomNormal(this.random) * stepSize;
+      return Math.max(-this.bounds, Math.min(this.bounds, moved));
+    });
+    return candidate;
+  }
+
+  async optimize(initialLayout, onProgress = () => {}) {
+    const baseline = this.evaluate(initialLayout);
+    let current = { layout: initialLayout, result: baseline };
+    let best = current;
+
+    const initialTemperature = Math.max(1, baseline.score * 0.3);
+    let temperature = initialTemperature;
+
+    for (let iteration = 1; iteration <= this.iterations && !this.cancelled && this.objects.length > 0; iteration++) {
+      // Pasos grandes al principio que se reducen al enfriar
+      const stepSize = 0.3 + this.bounds * 0.3 * (temperature / initialTemperature);
+      const layout = this.neighbor(current.layout, stepSize);
+      const result = this.evaluate(layout);
+
+      const delta = result.score - current.result.score;
+      if (delta < 0 || this.random() < Math.exp(-delta / temperature)) {
+        current = { layout, result };
+      }
+      if (current.result.score < best.result.score) {
+        best = current;
+      }
+
+      temperature *= this.cooling;
+      onProgress({ iteration, iterations: this.iterations, baseline, best: best.result });
+
+      // Ceder el hilo para que la interfaz muestre el progreso
+      await new Promise(resolve => setTimeout(resolve, 0));
+    }
+
+    return {
+      cancelled: this.cancelled,
+      baseline,
+      best: best.result,
+      layout: best.layout,
+      damageReduction: baseline.damage > 0
+        ? Math.max(0, (baseline.damage - best.result.damage) / baseline.damage * 100)
+        : 0
+    };
+  }
+}
+
+if (typeof module !== 'undefined') {
+  module.exports = { LayoutOptimizer };
+}
@@ -0,0 +1,153 @@
+/**
+ * Materiales Físicos
+ * Biblioteca de materiales (densidad, fricción y restitución) y tabla de contacto que
+ * fija el comportamiento de cada par. Los objetos con un material de la biblioteca toman
+ * la masa de su densidad y su volumen, y sus choques usan los coeficientes del par.
+ */
+
+const DEFAULT_MATERIALS = {
+  steel: { label: 'Acero', density: 7850, friction: 0.45, restitution: 0.55, color: 0x8a9199 },
+  aluminum: { label: 'Aluminio', density: 2700, friction: 0.4, restitution: 0.5, color: 0xc8ccd0 },
+  rubber: { label: 'Caucho', density: 1100, friction: 0.9, restitution: 0.8, color: 0x333333 },
+  wood: { label: 'Madera', density: 600, friction: 0.45, restitution: 0.4, color: 0xa5773f },
+  plastic: { label: 'Plástico', density: 950, friction: 0.35, restitution: 0.45, color: 0x3d8bd9 },
+  // Densidad aparente de una caja de cartón vacía, no la de la lámina
+  cardboard: { label: 'Cartón (caja)', density: 120, friction: 0.5, restitution: 0.15, color: 0xc8a165 },
+  concrete: { label: 'Hormigón', density: 2400, friction: 0.6, restitution: 0.3, color: 0x9e9e9e },
+  belt: { label: 'Banda transportadora', density: 1200, friction: 1, restitution: 0, color: 0x333333 }
+};
+
+// Pares con coeficientes propios; el resto combina los de cada material (media geométrica)
+const DEFAULT_CONTACT_MATERIALS = [
+  { materials: ['steel', 'steel'], friction: 0.42, restitution: 0.6 },
+  { materials: ['steel', 'rubber'], friction: 0.8, restitution: 0.7 },
+  { materials: ['steel', 'wood'], friction: 0.35, restitution: 0.45 },
+  { materials: ['steel', 'concrete'], friction: 0.5, restitution: 0.4 },
+  { materials: ['rubber', 'rubber'], friction: 1.1, restitution: 0.85 },
+  { materials: ['rubber', 'concrete'], friction: 1, restitution: 0.75 },
+  { materials: ['wood', 'wood'], friction: 0.4, restitution: 0.45 },
+  { materials: ['cardboard', 'cardboard'], friction: 0.55, restitution: 0.1 }
+];
+
+// Material del suelo y de la superficie de las cintas
+const GROUND_MATERIAL = 'concrete';
+const BELT_MATERIAL = 'belt';
+
+class MaterialLibrary {
+  /**
+   * definitions: { nombre: { label, density (kg/m³), friction, restitution, color } }
+   * contacts: [{ materials: [a, b], friction, restitution }] pares con coeficientes propios
+   */
+  constructor(definitions = DEFAULT_MATERIALS, contacts = DEFAULT_CONTACT_MATERIALS) {
+    this.definitions = {};
+    Object.entries(definitions).forEach(([name, definition]) => {
+      this.definitions[name] = { ...definition };
+    });
+    this.contacts = contacts.map(contact => ({ ...contact, materials: [...contact.materials] }));
+
+    // Un CANNON.Material compartido por nombre, sin coeficientes propios: así Cannon
+    // usa los de la tabla de contacto en lugar de multiplicar los de cada cuerpo
+    this.bodyMaterials = {};
+    Object.keys(this.definitions).forEach(name => {
+      this.bodyMaterials[name] = new CANNON.Material(name);
+    });
+  }
+
+  get names() {
+    return Object.keys(this.definitions);
+  }
+
+  has(name) {
+    return Object.prototype.hasOwnProperty.call(this.definitions, name);
+  }
+
+  get(name) {
+    if (!this.has(name)) {
+      throw new Error(`Material desconocido: "${name}"`);
+    }
+    return this.definitions[name];
+  }
+
+  resolve(material) {
+    // Coeficientes de un material por nombre o de uno propio ({ friction, restitution })
+    return typeof material === 'string' ? this.get(material) : material;
+  }
+
+  getContact(a, b) {
+    const contact = this.contacts.find(({ materials: [first, second] }) =>
+      (first === a && second === b) || (first === b && second === a)
+    );
+    if (contact) {
+      return { friction: contact.friction, restitution: contact.restitution };
+    }
+
+    const first = this.get(a);
+    const second = this.get(b);
+    return {
+      friction: Math.sqrt(first.friction * second.friction),
+      restitution: Math.sqrt(first.restitution * second.restitution)
+    };
+  }
+
+  massOf(name, volume) {
+    return this.get(name).density * volume;
+  }
+
+  bodyMaterial(material) {
+    // Los materiales propios conservan el comportamiento anterior: Cannon multiplica
+    // los coeficientes de los dos cuerpos, o usa el contacto por defecto del mundo
+    if (typeof material === 'string') {
+      this.get(material);
+      return this.bodyMaterials[material];
+    }
+    return new CANNON.Material({ friction: material.friction, restitution: material.restitution });
+  }
+
+  attach(world) {
+    // Sustituye la tabla de contacto del mundo por todos los pares de la biblioteca
+    world.contactmaterials = [];
+    world.contactMaterialTable.reset();
+
+    const names = this.names;
+    names.forEach((a, index) => {
+      names.slice(index).forEach(b => {
+        world.addContactMaterial(
+          new CANNON.ContactMaterial(this.bodyMaterials[a], this.bodyMaterials[b], this.getContact(a, b))
+        );
+      });
+    });
+  }
+
+  toJSON() {
+    return {
+      definitions: Object.fromEntries(Object.entries(this.definitions).map(([name, definition]) => [name, { ...definition }])),
+      contacts: this.contacts.map(contact => ({ ...contact, materials: [...contact.materials] }))
+    };
+  }
+}
+
+function shapeVolume(shape, dimensions) {
+  if (shape === 'box') {
+    return dimensions.size ** 3;
+  } else if (shape === 'sphere') {
+    return 4 / 3 * Math.PI * dimensions.radius ** 3;
+  }
+  return Math.PI * dimensions.radius ** 2 * dimensions.height;
+}
+
+function copyMaterial(material) {
+  // Los nombres se comparten; los coeficientes propios se copian
+  return typeof material === 'string' ? material : { ...material };
+}
+
+if (typeof module !== 'undefined') {
+  module.exports = {
+    DEFAULT_MATERIALS,
+    DEFAULT_CONTACT_MATERIALS,
+    GROUND_MATERIAL,
+    BELT_MATERIAL,
+    MaterialLibrary,
+    shapeVolume,
+    copyMaterial
+  };
+}
@@ -0,0 +1,415 @@
+/**
+ * Mallas Importadas
+ * Geometría de las piezas importadas (STL, OBJ, glTF) como vértices y triángulos, y
+ * colisionador generado a partir de ella: caja envolvente, envolvente convexa o
+ * compuesto de cajas. La lectura de los archivos está en la página (script.js).
+ */
+
+const MESH_COLLIDERS = {
+  box: { label: 'Caja envolvente' },
+  hull: { label: 'Envolvente convexa' },
+  compound: { label: 'Compuesto de cajas' }
+};
+
+const DEFAULT_MESH_COLLIDER = 'hull';
+
+// Vértices de la envolvente y cajas del compuesto: más detalle encarece cada contacto
+const MAX_HULL_VERTICES = 32;
+const MAX_COMPOUND_PARTS = 8;
+
+// Resolución de los vértices guardados (m) y grosor mínimo de una caja (semieje, m)
+const MESH_PRECISION = 1e-5;
+const MIN_HALF_EXTENT = 0.005;
+
+class MeshLibrary {
+  /**
+   * meshes: { nombre: { vertices: [x, y, z, ...], indices: [a, b, c, ...] } } en metros
+   */
+  constructor(meshes = {}) {
+    this.meshes = {};
+    Object.entries(meshes).forEach(([name, mesh]) => this.add(name, mesh));
+  }
+
+  get names() {
+    return Object.keys(this.meshes);
+  }
+
+  has(name) {
+    return Object.prototype.hasOwnProperty.call(this.meshes, name);
+  }
+
+  get(name) {
+    if (!this.has(name)) {
+      throw new Error(`Malla desconocida: "${name}"`);
+    }
+    return this.meshes[name];
+  }
+
+  add(name, { vertices, indices }) {
+    // Une los vértices repetidos, descarta los triángulos degenerados y lleva el origen al
+    // centro de masas (el de la envolvente si la malla no es cerrada), que es el del cuerpo
+    const welded = weldVertices(vertices, indices ?? Array.from({ length: vertices.length / 3 }, (_, i) => i));
+    if (welded.indices.length === 0) {
+      throw new Error(`La malla "${name}" no tiene triángulos`);
+    }
+
+    const closed = isClosedMesh(welded.indices);
+    const solid = meshVolume(welded.vertices, welded.indices);
+    let center;
+    if (closed && Math.abs(solid.volume) > 0) {
+      center = solid.center;
+    } else {
+      const hull = convexHull(toPoints(welded.vertices));
+      center = hull
+        ? meshVolume(hull.vertices.flat(), hull.faces.flat()).center
+        : boundsCenter(meshBounds(welded.vertices));
+    }
+
+    const round = (value) => Number((Math.round(value / MESH_PRECISION) * MESH_PRECISION).toFixed(5));
+    const offset = center.map(round);
+    const mesh = {
+      vertices: welded.vertices.map((value, index) => round(value - offset[index % 3])),
+      indices: welded.indices,
+      closed,
+      // Colisionadores sin escalar, calculados la primera vez que se piden
+      colliders: {}
+    };
+    mesh.bounds = meshBounds(mesh.vertices);
+    mesh.volume = closed ? Math.abs(solid.volume) : null;
+
+    this.meshes[name] = mesh;
+    return mesh;
+  }
+
+  remove(name) {
+    delete this.meshes[name];
+  }
+
+  volume(name, scale = 1) {
+    // Volumen de la malla cerrada o, si no lo es, el de su colisionador convexo
+    const mesh = this.get(name);
+    if (mesh.volume === null) {
+      mesh.volume = this.colliderParts(name, 'hull').reduce((total, part) => total + partVolume(part), 0);
+    }
+    return mesh.volume * scale ** 3;
+  }
+
+  halfExtents(name, scale = 1) {
+    // Semiejes de una caja centrada en el origen que contiene la malla
+    const { min, max } = this.get(name).bounds;
+    return min.map((value, axis) => Math.max(-value, max[axis], MIN_HALF_EXTENT) * scale);
+  }
+
+  colliderParts(name, collider = DEFAULT_MESH_COLLIDER) {
+    if (!MESH_COLLIDERS[collider]) {
+      throw new Error(`Colisionador desconocido: "${collider}"`);
+    }
+    const mesh = this.get(name);
+    if (!mesh.colliders[collider]) {
+      mesh.colliders[collider] = buildCollider(mesh, collider);
+    }
+    return mesh.colliders[collider];
+  }
+
+  createShapes(name, collider = DEFAULT_MESH_COLLIDER, scale = 1) {
+    // Formas de Cannon del colisionador a la escala del objeto, con su desplazamiento
+    return this.colliderParts(name, collider).map(part => {
+      if (part.type === 'hull') {
+        const points = part.vertices.map(([x, y, z]) => new CANNON.Vec3(x * scale, y * scale, z * scale));
+        return {
+          shape: new CANNON.ConvexPolyhedron(points, part.faces.map(face => [...face])),
+          offset: new CANNON.Vec3(0, 0, 0)
+        };
+      }
+      const half = part.halfExtents.map(value => Math.max(value * scale, MIN_HALF_EXTENT));
+      return {
+        shape: new CANNON.Box(new CANNON.Vec3(...half)),
+        offset: new CANNON.Vec3(...part.center.map(value => value * scale))
+      };
+    });
+  }
+
+  toJSON() {
+    return Object.fromEntries(Object.entries(this.meshes).map(([name, mesh]) => [
+      name,
+      { vertices: [...mesh.vertices], indices: [...mesh.indices] }
+    ]));
+  }
+}
+
+function buildCollider(mesh, collider) {
+  if (collider === 'hull') {
+    let hull = convexHull(toPoints(mesh.vertices));
+    if (hull && hull.vertices.length > MAX_HULL_VERTICES) {
+      // Envolvente de los puntos extremos en direcciones repartidas por la esfera
+      hull = convexHull(supportPoints(hull.vertices, MAX_HULL_VERTICES));
+    }
+    // Una malla plana no tiene envolvente con volumen: se usa su caja con el grosor mínimo
+    if (hull) return [{ type: 'hull', vertices: hull.vertices, faces: hull.faces }];
+  } else if (collider === 'compound') {
+    return compoundBoxes(mesh.vertices, mesh.indices, MAX_COMPOUND_PARTS).map(boxPart);
+  }
+  return [boxPart(mesh.bounds)];
+}
+
+function boxPart(bounds) {
+  return {
+    type: 'box',
+    center: boundsCenter(bounds),
+    halfExtents: bounds.min.map((value, axis) => (bounds.max[axis] - value) / 2)
+  };
+}
+
+function partVolume(part) {
+  if (part.type === 'hull') {
+    return Math.abs(meshVolume(part.vertices.flat(), part.faces.flat()).volume);
+  }
+  return part.halfExtents.reduce((volume, half) => volume * 2 * Math.max(half, MIN_HALF_EXTENT), 1);
+}
+
+function toPoints(vertices) {
+  const points = [];
+  for (let i = 0; i < vertices.length; i += 3) {
+    points.push([vertices[i], vertices[i + 1], vertices[i + 2]]);
+  }
+  return points;
+}
+
+function weldVertices(vertices, indices) {
+  // Vértices a la resolución de MESH_PRECISION: los coincidentes pasan a ser uno
+  const lookup = new Map();
+  const welded = [];
+  const remap = [];
+  for (let i = 0; i < vertices.length; i += 3) {
+    const key = [0, 1, 2].map(axis => Math.round(vertices[i + axis] / MESH_PRECISION)).join(',');
+    if (!lookup.has(key)) {
+      lookup.set(key, welded.length / 3);
+      welded.push(vertices[i], vertices[i + 1], vertices[i + 2]);
+    }
+    remap.push(lookup.get(key));
+  }
+
+  const triangles = [];
+  for (let i = 0; i + 2 < indices.length; i += 3) {
+    const [a, b, c] = [remap[indices[i]], remap[indices[i + 1]], remap[indices[i + 2]]];
+    if (a !== b && b !== c && a !== c) triangles.push(a, b, c);
+  }
+  return { vertices: welded, indices: triangles };
+}
+
+function isClosedMesh(indices) {
+  // Cerrada si cada arista la comparten exactamente dos triángulos
+  const edges = new Map();
+  for (let i = 0; i < indices.length; i += 3) {
+    for (let k = 0; k < 3; k++) {
+      const a = indices[i + k];
+      const b = indices[i + (k + 1) % 3];
+      const key = a < b ? `${a},${b}` : `${b},${a}`;
+      edges.set(key, (edges.get(key) ?? 0) + 1);
+    }
+  }
+  return [...edges.values()].every(count => count === 2);
+}
+
+function meshVolume(vertices, indices) {
+  // Suma de los tetraedros con vértice en el origen: volumen con signo y su centroide
+  let volume = 0;
+  const moment = [0, 0, 0];
+  for (let i = 0; i < indices.length; i += 3) {
+    const [a, b, c] = [indices[i], indices[i + 1], indices[i + 2]].map(index => vertices.slice(index * 3, index * 3 + 3));
+    const tetra = (
+      a[0] * (b[1] * c[2] - b[2] * c[1]) -
+      a[1] * (b[0] * c[2] - b[2] * c[0]) +
+      a[2] * (b[0] * c[1] - b[1] * c[0])
+    ) / 6;
+    volume += tetra;
+    for (let axis = 0; axis < 3; axis++) {
+      moment[axis] += tetra * (a[axis] + b[axis] + c[axis]) / 4;
+    }
+  }
+  return { volume, center: volume !== 0 ? moment.map(value => value / volume) : [0, 0, 0] };
+}
+
+function meshBounds(vertices) {
+  const min = [Infinity, Infinity, Infinity];
+  const max = [-Infinity, -Infinity, -Infinity];
+  for (let i = 0; i < vertices.length; i++) {
+    const axis = i % 3;
+    min[axis] = Math.min(min[axis], vertices[i]);
+    max[axis] = Math.max(max[axis], vertices[i]);
+  }
+  return { min, max };
+}
+
+function boundsCenter({ min, max }) {
+  return min.map((value, axis) => (value + max[axis]) / 2);
+}
+
+function convexHull(points) {
+  // Envolvente incremental: tetraedro inicial y, por cada punto exterior, sustitución de
+  // las caras que ve por un abanico desde su horizonte. Caras en sentido antihorario
+  // vistas desde fuera (el de Cannon); null si los puntos no encierran volumen
+  if (points.length < 4) return null;
+
+  const sub = (a, b) => [a[0] - b[0], a[1] - b[1], a[2] - b[2]];
+  const dot = (a, b) => a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+  const cross = (a, b) => [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]];
+  const norm = (a) => Math.sqrt(dot(a, a));
+
+  const { min, max } = meshBounds(points.flat());
+  const epsilon = norm(sub(max, min)) * 1e-9;
+  const farthest = (distance) => points.reduce((best, point, index) => (
+    distance(point) > distance(points[best]) ? index : best
+  ), 0);
+
+  // Tetraedro inicial con los puntos más separados
+  const i0 = farthest(point => -point[0]);
+  const i1 = farthest(point => norm(sub(point, points[i0])));
+  const direction = sub(points[i1], points[i0]);
+  const i2 = farthest(point => norm(cross(sub(point, points[i0]), direction)));
+  const planeNormal = cross(direction, sub(points[i2], points[i0]));
+  const i3 = farthest(point => Math.abs(dot(sub(point, points[i0]), planeNormal)));
+  if (norm(planeNormal) <= epsilon ** 2 ||
+      Math.abs(dot(sub(points[i3], points[i0]), planeNormal)) / norm(planeNormal) <= epsilon) {
+    return null;
+  }
+
+  const inside = [0, 1, 2].map(axis => (points[i0][axis] + points[i1][axis] + points[i2][axis] + points[i3][axis]) / 4);
+  const makeFace = (a, b, c) => {
+    let normal = cross(sub(points[b], points[a]), sub(points[c], points[a]));
+    if (dot(normal, sub(inside, points[a])) > 0) {
+      [b, c] = [c, b];
+      normal = normal.map(value => -value);
+    }
+    const length = norm(normal);
+    normal = normal.map(value => value / length);
+    return { indices: [a, b, c], normal, offset: dot(normal, points[a]) };
+  };
+
+  let faces = [
+    makeFace(i0, i1, i2), makeFace(i0, i1, i3), makeFace(i0, i2, i3), makeFace(i1, i2, i3)
+  ];
+  const initial = new Set([i0, i1, i2, i3]);
+
+  points.forEach((point, index) => {
+    if (initial.has(index)) return;
+    const visible = faces.filter(face => dot(face.normal, point) - face.offset > epsilon);
+    if (visible.length === 0) return;
+
+    // Horizonte: aristas de las caras visibles cuya gemela no es visible
+    const edges = new Set();
+    visible.forEach(({ indices: [a, b, c] }) => edges.add(`${a},${b}`).add(`${b},${c}`).add(`${c},${a}`));
+    const horizon = [];
+    visible.forEach(({ indices: [a, b, c] }) => {
+      [[a, b], [b, c], [c, a]].forEach(([from, to]) => {
+        if (!edges.has(`${to},${from}`)) horizon.push([from, to]);
+      });
+    });
+
+    faces = faces.filter(face => !visible.includes(face));
+    horizon.forEach(([from, to]) => faces.push(makeFace(from, to, index)));
+  });
+
+  // Solo los puntos que quedan en la envolvente, renumerados
+  const used = new Map();
+  const vertices = [];
+  const hullFaces = faces.map(face => face.indices.map(index => {
+    if (!used.has(index)) {
+      used.set(index, vertices.length);
+      vertices.push([...points[index]]);
+    }
+    return used.get(index);
+  }));
+  return { vertices, faces: hullFaces };
+}
+
+function supportPoints(points, count) {
+  // Punto más lejano en cada una de count direcciones (espiral de Fibonacci sobre la esfera)
+  const selected = new Set();
+  const golden = Math.PI * (3 - Math.sqrt(5));
+  for (let i = 0; i < count; i++) {
+    const y = 1 - 2 * (i + 0.5) / count;
+    const radius = Math.sqrt(1 - y * y);
+    const direction = [Math.cos(golden * i) * radius, y, Math.sin(golden * i) * radius];
+    let best = 0;
+    points.forEach((point, index) => {
+      const projection = point[0] * direction[0] + point[1] * direction[1] + point[2] * direction[2];
+      const bestProjection = points[best][0] * direction[0] + points[best][1] * direction[1] + points[best][2] * direction[2];
+      if (projection > bestProjection) best = index;
+    });
+    selected.add(best);
+  }
+  return [...selected].map(index => points[index]);
+}
+
+function compoundBoxes(vertices, indices, maxParts) {
+  // Partición voraz de los triángulos: en cada paso se divide la caja cuyo mejor corte
+  // (cualquier eje, por el centro de los triángulos) ahorra más volumen, hasta maxParts
+  // cajas o hasta que ningún corte ahorre al menos el 5% del volumen de la caja completa
+  const triangles = [];
+  for (let i = 0; i < indices.length; i += 3) {
+    const corners = [indices[i], indices[i + 1], indices[i + 2]].map(index => vertices.slice(index * 3, index * 3 + 3));
+    const bounds = meshBounds(corners.flat());
+    triangles.push({ bounds, center: boundsCenter(bounds) });
+  }
+
+  const merge = (a, b) => ({
+    min: a.min.map((value, axis) => Math.min(value, b.min[axis])),
+    max: a.max.map((value, axis) => Math.max(value, b.max[axis]))
+  });
+  const empty = { min: [Infinity, Infinity, Infinity], max: [-Infinity, -Infinity, -Infinity] };
+  const volumeOf = ({ min, max }) => min.reduce((volume, value, axis) => (
+    volume * Math.max(max[axis] - value, 2 * MIN_HALF_EXTENT)
+  ), 1);
+  const makePart = (list) => {
+    const bounds = list.reduce((total, triangle) => merge(total, triangle.bounds), empty);
+    return { list, bounds, volume: volumeOf(bounds) };
+  };
+
+  const bestSplit = (part) => {
+    let best = null;
+    for (let axis = 0; axis < 3; axis++) {
+      const sorted = [...part.list].sort((a, b) => a.center[axis] - b.center[axis]);
+      // Cajas acumuladas desde la derecha para probar todos los cortes en una pasada
+      const suffix = new Array(sorted.length + 1).fill(empty);
+      for (let i = sorted.length - 1; i >= 0; i--) {
+        suffix[i] = merge(suffix[i + 1], sorted[i].bounds);
+      }
+      let prefix = empty;
+      for (let i = 1; i < sorted.length; i++) {
+        prefix = merge(prefix, sorted[i - 1].bounds);
+        const volume = volumeOf(prefix) + volumeOf(suffix[i]);
+        if (!best || volume < best.volume) {
+          best = { volume, axis, sorted, at: i };
+        }
+      }
+    }
+    return best && { saving: part.volume - best.volume, left: best.sorted.slice(0, best.at), right: best.sorted.slice(best.at) };
+  };
+
+  const root = makePart(triangles);
+  let parts = [root];
+  while (parts.length < maxParts) {
+    let chosen = null;
+    parts.forEach(part => {
+      if (part.list.length < 2) return;
+      if (part.split === undefined) part.split = bestSplit(part);
+      if (part.split && (!chosen || part.split.saving > chosen.split.saving)) chosen = part;
+    });
+    if (!chosen || chosen.split.saving < root.volume * 0.05) break;
+
+    parts = parts.filter(part => part !== chosen);
+    parts.push(makePart(chosen.split.left), makePart(chosen.split.right));
+  }
+  return parts.map(part => part.bounds);
+}
+
+if (typeof module !== 'undefined') {
+  module.exports = {
+    MESH_COLLIDERS,
+    DEFAULT_MESH_COLLIDER,
+    MeshLibrary,
+    convexHull,
+    meshVolume
+  };
+}
@@ -0,0 +1,245 @@
+/**
+ * Planificador de Movimiento
+ * Búsqueda de caminos libres de colisiones en el espacio articular (RRT-Connect)
+ * entre la postura actual del brazo y una postura objetivo, con los objetos de la
+ * escena como obstáculos y el brazo modelado como cápsulas alrededor de sus eslabones
+ */
+
+class MotionPlanner {
+  constructor(kinematics, options = {}) {
+    this.kinematics = kinematics;
+    this.basePosition = options.basePosition ?? [0, 0, 0];
+    this.linkRadius = options.linkRadius ?? 0.2; // radio de las cápsulas de los eslabones (m)
+    this.clearance = options.clearance ?? 0.05; // margen adicional con los obstáculos (m)
+    this.resolution = options.resolution ?? 0.05; // paso articular máximo entre comprobaciones (rad)
+    this.stepSize = options.stepSize ?? 0.3; // avance de cada extensión del árbol (rad)
+    this.maxIterations = options.maxIterations ?? 3000;
+    this.smoothingAttempts = options.smoothingAttempts ?? 100;
+    this.random = options.random ?? Math.random;
+
+    // obstáculos: { shape: 'box'|'sphere'|'cylinder', position, quaternion, halfExtents | radius, height }
+    this.obstacles = [];
+  }
+
+  setObstacles(obstacles) {
+    this.obstacles = obstacles;
+  }
+
+  linkPoints(joints) {
+    // Puntos muestreados a lo largo de cada eslabón, en coordenadas de la escena
+    const [bx, by, bz] = this.basePosition;
+    const origins = this.kinematics.forward(joints).points.map(point => {
+      const [x, y, z] = KinematicChain.toScene(point);
+      return [x + bx, y + by, z + bz];
+    });
+
+    const samples = [];
+    for (let i = 0; i < origins.length - 1; i++) {
+      const start = origins[i];
+      const end = origins[i + 1];
+      const length = Math.hypot(end[0] - start[0], end[1] - start[1], end[2] - start[2]);
+      if (length < 1e-6) continue;
+
+      const count = Math.max(1, Math.ceil(length / this.linkRadius));
+      for (let k = 0; k <= count; k++) {
+        const t = k / count;
+        samples.push({
+          link: i,
+          point: start.map((value, axis) => value + (end[axis] - value) * t)
+        });
+      }
+    }
+    return samples;
+  }
+
+  isColliding(joints) {
+    const margin = this.linkRadius + this.clearance;
+
+    return this.linkPoints(joints).some(({ link, point }) => {
+      // El primer eslabón es la columna de la base, apoyada en el suelo
+      if (link > 0 && point[1] - this.basePosition[1] < margin) return true;
+      return this.obstacles.some(obstacle => obstacleDistance(point, obstacle) < margin);
+    });
+  }
+
+  isSegmentFree(from, to) {
+    const steps = Math.max(1, Math.ceil(jointDistance(from, to) / this.resolution));
+    for (let step = 1; step <= steps; step++) {
+      if (this.isColliding(interpolateJoints(from, to, step / steps))) return false;
+    }
+    return true;
+  }
+
+  sampleJoints() {
+    return this.kinematics.links.map(link => link.min + (link.max - link.min) * this.random());
+  }
+
+  planToPoint(point, start) {
+    // Probar varias soluciones de cinemática inversa y quedarse con la primera libre de colisiones
+    const [bx, by, bz] = this.basePosition;
+    const target = KinematicChain.fromScene([point[0] - bx, point[1] - by, point[2] - bz]);
+    const seeds = [start, ...Array.from({ length: 8 }, () => this.sampleJoints())];
+
+    let reachable = false;
+    for (const seed of seeds) {
+      const solution = this.kinematics.solveIK(target, seed);
+      if (!solution.success) continue;
+      reachable = true;
+      if (!this.isColliding(solution.joints)) {
+        return this.plan(start, solution.joints);
+      }
+    }
+
+    return {
+      success: false,
+      path: [],
+      iterations: 0,
+      reason: reachable
+        ? 'Todas las posturas que alcanzan el objetivo colisionan con la escena'
+        : 'El objetivo está fuera del alcance del robot'
+    };
+  }
+
+  plan(start, goal) {
+    if (this.isColliding(start)) {
+      return { success: false, path: [], iterations: 0, reason: 'La postura actual del brazo ya está en colisión' };
+    }
+    if (this.isColliding(goal)) {
+      return { success: false, path: [], iterations: 0, reason: 'La postura objetivo está en colisión' };
+    }
+    if (this.isSegmentFree(start, goal)) {
+      return { success: true, path: [[...start], [...goal]], iterations: 0, reason: null };
+    }
+
+    // RRT-Connect: un árbol crece desde cada extremo y se intenta unirlos tras cada extensión
+    const startTree = [{ joints: [...start], parent: -1 }];
+    let treeA = startTree;
+    let treeB = [{ joints: [...goal], parent: -1 }];
+
+    for (let iteration = 1; iteration <= this.maxIterations; iteration++) {
+      const added = this.extend(treeA, this.sampleJoints());
+      if (added !== null) {
+        const joined = this.connect(treeB, treeA[added].joints);
+        if (joined !== null) {
+          // Ambos nodos son la misma postura: unir la rama del inicio con la del objetivo
+          const [fromStart, fromGoal] = treeA === startTree
+            ? [this.tracePath(treeA, added), this.tracePath(treeB, joined)]
+            : [this.tracePath(treeB, joined), this.tracePath(treeA, added)];
+          const path = [...fromStart, ...fromGoal.reverse().slice(1)];
+          return { success: true, path: this.shortcut(path), iterations: iteration, reason: null };
+        }
+      }
+      [treeA, treeB] = [treeB, treeA];
+    }
+
+    return {
+      success: false,
+      path: [],
+      iterations: this.maxIterations,
+      reason: 'No se encontró un camino libre de colisiones'
+    };
+  }
+
+  extend(tree, target) {
+    // Avanzar desde el nodo más cercano hacia el objetivo como mucho stepSize
+    let nearest = 0;
+    let nearestDistance = Infinity;
+    tree.forEach((node, index) => {
+      const distance = jointDistance(node.joints, target);
+      if (distance < nearestDistance) {
+        nearest = index;
+        nearestDistance = distance;
+      }
+    });
+
+    const from = tree[nearest].joints;
+    const next = nearestDistance <= this.stepSize
+      ? [...target]
+      : interpolateJoints(from, target, this.stepSize / nearestDistance);
+
+    if (!this.isSegmentFree(from, next)) return null;
+    tree.push({ joints: next, parent: nearest });
+    return tree.length - 1;
+  }
+
+  connect(tree, target) {
+    // Extender repetidamente hasta alcanzar el objetivo o quedar bloqueado
+    let added = this.extend(tree, target);
+    while (added !== null) {
+      if (jointDistance(tree[added].joints, target) < 1e-9) return added;
+      added = this.extend(tree, target);
+    }
+    return null;
+  }
+
+  tracePath(tree, index) {
+    const path = [];
+    for (let node = index; node !== -1; node = tree[node].parent) {
+      path.unshift(tree[node].joints);
+    }
+    return path;
+  }
+
+  shortcut(path) {
+    // Suavizado: sustituir tramos por uniones directas cuando están libres
+    let result = path.map(joints => [...joints]);
+    for (let attempt = 0; attempt < this.smoothingAttempts && result.length > 2; attempt++) {
+      const i = Math.floor(this.random() * (result.length - 2));
+      const j = i + 2 + Math.floor(this.random() * (result.length - i - 2));
+      if (j < result.length && this.isSegmentFree(result[i], result[j])) {
+        result = [...result.slice(0, i + 1), ...result.slice(j)];
+      }
+    }
+    return result;
+  }
+}
+
+function jointDistance(a, b) {
+  return Math.max(...a.map((value, i) => Math.abs(value - b[i])));
+}
+
+function interpolateJoints(from, to, t) {
+  return from.map((value, i) => value + (to[i] - value) * t);
+}
+
+function rotateByInverse(quaternion, vector) {
+  // Girar un vector por el conjugado del cuaternión [x, y, z, w]
+  const [qx, qy, qz, qw] = quaternion;
+  const [x, y, z] = vector;
+  const ux = -qx;
+  const uy = -qy;
+  const uz = -qz;
+  const tx = 2 * (uy * z - uz * y);
+  const ty = 2 * (uz * x - ux * z);
+  const tz = 2 * (ux * y - uy * x);
+  return [
+    x + qw * tx + (uy * tz - uz * ty),
+    y + qw * ty + (uz * tx - ux * tz),
+    z + qw * tz + (ux * ty - uy * tx)
+  ];
+}
+
+function obstacleDistance(point, obstacle) {
+  // Distancia con signo del punto a la superficie del obstáculo (negativa en su interior)
+  const offset = point.map((value, i) => value - obstacle.position[i]);
+
+  if (obstacle.shape === 'sphere') {
+    return Math.hypot(...offset) - obstacle.radius;
+  }
+
+  const local = rotateByInverse(obstacle.quaternion, offset);
+
+  if (obstacle.shape === 'cylinder') {
+    const radial = Math.hypot(local[0], local[2]) - obstacle.radius;
+    const axial = Math.abs(local[1]) - obstacle.height / 2;
+    return Math.hypot(Math.max(radial, 0), Math.max(axial, 0)) + Math.min(Math.max(radial, axial), 0);
+  }
+
+  const q = local.map((value, i) => Math.abs(value) - obstacle.halfExtents[i]);
+  const outside = Math.hypot(...q.map(value => Math.max(value, 0)));
+  return outside + Math.min(Math.max(...q), 0);
+}
+
+if (typeof module !== 'undefined') {
+  module.exports = { MotionPlanner, jointDistance, interpolateJoints, rotateByInverse, obstacleDistance };
+}
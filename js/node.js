@@ -0,0 +1,50 @@
+/**
+ * Punto de Entrada para Node
+ * Carga el motor de simulación sin navegador. En la página los módulos se ven entre sí
+ * como globales de las etiquetas <script>; aquí cada módulo se compila como una función
+ * que recibe Cannon.js y lo que exportan los anteriores, en orden de dependencias, sin
+ * tocar el ámbito global de quien lo carga.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const MODULES = [
+  'random',
+  'collisions',
+  'damage',
+  'materials',
+  'meshes',
+  'bodies',
+  'recorder',
+  'telemetry',
+  'kinematics',
+  'gripper',
+  'tasks',
+  'production-line',
+  'trajectory',
+  'motion-planner',
+  'safety',
+  'layout-optimizer',
+  'scene-format',
+  'engine',
+  'history',
+  'experiment',
+  'scenario',
+  'benchmark'
+];
+
+const shared = { CANNON: require('cannon') };
+MODULES.forEach(name => {
+  const filename = path.join(__dirname, `${name}.js`);
+  const load = vm.compileFunction(fs.readFileSync(filename, 'utf8'), ['module', ...Object.keys(shared)], { filename });
+  const loaded = { exports: {} };
+  load(loaded, ...Object.values(shared));
+  Object.assign(shared, loaded.exports);
+});
+
+// API pública: clases y constantes; las funciones auxiliares que comparten los módulos quedan dentro
+module.exports = Object.fromEntries(
+  Object.entries(shared).filter(([name]) => name !== 'CANNON' && /^[A-Z]/.test(name))
+);
@@ -0,0 +1,153 @@
+/**
+ * Dibujo Instanciado de Objetos
+ * Un InstancedMesh por forma (caja, esfera, cilindro y cada malla importada), así que
+ * miles de piezas cuestan una llamada de dibujo por forma. Cada objeto tiene además un
+ * Object3D sin geometría con su pose y visibilidad, que la página mueve y el gizmo arrastra;
+ * update() copia esas poses, la escala y el color de cada objeto a su instancia.
+ */
+
+class InstancedObjectRenderer {
+  /**
+   * options:
+   *   describe(object): { key, scale: [x, y, z], createGeometry() } forma del objeto; los
+   *                     objetos con la misma key comparten la geometría (de tamaño unidad)
+   *   capacity: instancias iniciales de cada forma; se duplica al llenarse
+   */
+  constructor(scene, options) {
+    this.scene = scene;
+    this.describe = options.describe;
+    this.initialCapacity = options.capacity ?? 64;
+
+    this.batches = new Map();
+    this.entries = new Map();
+
+    // El gizmo necesita que el objeto esté en la escena: los proxies cuelgan de un grupo invisible
+    this.proxies = new THREE.Group();
+    this.proxies.visible = false;
+    scene.add(this.proxies);
+
+    this.matrix = new THREE.Matrix4();
+    this.hidden = new THREE.Vector3(0, 0, 0);
+    this.highlight = new THREE.Color(0xffffff);
+    this.color = new THREE.Color();
+  }
+
+  add(object) {
+    const shape = this.describe(object);
+    let batch = this.batches.get(shape.key);
+    if (!batch) {
+      batch = {
+        key: shape.key,
+        geometry: shape.createGeometry(),
+        material: new THREE.MeshLambertMaterial({ color: 0xffffff }),
+        objects: [],
+        mesh: null
+      };
+      this.createBatchMesh(batch, this.initialCapacity);
+      this.batches.set(shape.key, batch);
+    } else if (batch.objects.length === batch.mesh.instanceMatrix.count) {
+      this.createBatchMesh(batch, batch.mesh.instanceMatrix.count * 2);
+    }
+
+    const proxy = new THREE.Object3D();
+    this.proxies.add(proxy);
+    batch.objects.push(object);
+    this.entries.set(object, {
+      batch,
+      proxy,
+      scale: new THREE.Vector3(...shape.scale),
+      color: new THREE.Color(object.color),
+      highlighted: false
+    });
+    return proxy;
+  }
+
+  createBatchMesh(batch, capacity) {
+    // Sustituye la malla del lote por otra con más instancias; update() las rellena
+    if (batch.mesh) {
+      this.scene.remove(batch.mesh);
+      batch.mesh.dispose();
+    }
+
+    const mesh = new THREE.InstancedMesh(batch.geometry, batch.material, capacity);
+    mesh.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+    mesh.instanceColor = new THREE.InstancedBufferAttribute(new Float32Array(capacity * 3), 3);
+    mesh.count = batch.objects.length;
+    mesh.castShadow = true;
+    mesh.receiveShadow = true;
+    // La esfera envolvente es la de la geometría unidad, no la de todas las instancias
+    mesh.frustumCulled = false;
+    this.scene.add(mesh);
+    batch.mesh = mesh;
+  }
+
+  refresh(object) {
+    // Dimensiones editadas: misma forma, otra escala
+    this.entries.get(object).scale.set(...this.describe(object).scale);
+  }
+
+  setColor(object, color) {
+    this.entries.get(object).color.copy(color);
+  }
+
+  setHighlight(object, highlighted) {
+    const entry = this.entries.get(object);
+    if (entry) entry.highlighted = highlighted;
+  }
+
+  remove(object) {
+    const entry = this.entries.get(object);
+    if (!entry) return;
+
+    // La última instancia ocupa el hueco; un lote vacío desaparece con su geometría
+    const { batch } = entry;
+    const index = batch.objects.indexOf(object);
+    batch.objects[index] = batch.objects[batch.objects.length - 1];
+    batch.objects.pop();
+    this.proxies.remove(entry.proxy);
+    this.entries.delete(object);
+
+    if (batch.objects.length === 0) {
+      this.scene.remove(batch.mesh);
+      batch.mesh.dispose();
+      batch.geometry.dispose();
+      batch.material.dispose();
+      this.batches.delete(batch.key);
+    }
+  }
+
+  update() {
+    this.batches.forEach(batch => {
+      const mesh = batch.mesh;
+      batch.objects.forEach((object, index) => {
+        const entry = this.entries.get(object);
+        const { proxy } = entry;
+        this.matrix.compose(proxy.position, proxy.quaternion, proxy.visible ? entry.scale : this.hidden);
+        mesh.setMatrixAt(index, this.matrix);
+
+        // El objeto seleccionado se aclara en lugar de brillar (no hay material por instancia)
+        this.color.copy(entry.color);
+        if (entry.highlighted) this.color.lerp(this.highlight, 0.35);
+        mesh.setColorAt(index, this.color);
+      });
+      mesh.count = batch.objects.length;
+      mesh.instanceMatrix.needsUpdate = true;
+      mesh.instanceColor.needsUpdate = true;
+    });
+  }
+
+  pick(raycaster) {
+    // Objeto visible más cercano bajo el rayo
+    const meshes = [...this.batches.values()].map(batch => batch.mesh);
+    for (const intersection of raycaster.intersectObjects(meshes)) {
+      const batch = [...this.batches.values()].find(candidate => candidate.mesh === intersection.object);
+      const object = batch.objects[intersection.instanceId];
+      if (object && this.entries.get(object).proxy.visible) return object;
+    }
+    return null;
+  }
+}
+
+if (typeof module !== 'undefined') {
+  module.exports = { InstancedObjectRenderer };
+}
@@ -0,0 +1,145 @@
+/**
+ * Hilo de Física
+ * Web Worker con su propio SimulationEngine: avanza el mundo físico, el robot y la línea
+ * fuera del hilo de la página y devuelve los frames de cada paso con los estados de los
+ * cuerpos en buffers transferibles. La página (js/worker-bridge.js) le reenvía los cambios
+ * de la escena. Ver docs/engine.md para el protocolo de mensajes.
+ */
+
+importScripts(
+  'https://cdn.jsdelivr.net/npm/cannon@0.6.2/build/cannon.min.js',
+  'random.js',
+  'collisions.js',
+  'damage.js',
+  'materials.js',
+  'meshes.js',
+  'bodies.js',
+  'recorder.js',
+  'telemetry.js',
+  'kinematics.js',
+  'gripper.js',
+  'tasks.js',
+  'production-line.js',
+  'trajectory.js',
+  'motion-planner.js',
+  'safety.js',
+  'layout-optimizer.js',
+  'scene-format.js',
+  'engine.js'
+);
+
+// El grabador hace de buzón: guarda los frames de un mensaje de paso y se vacía al enviarlos
+const engine = new SimulationEngine({ recorderCapacity: 1000 });
+
+// Cambios producidos al avanzar (no por órdenes de la página), pendientes de enviar
+let stepping = false;
+let calls = 0;
+const outbox = { added: [], retired: [], impacts: [], violations: [] };
+
+engine.on('objectAdded', (object) => {
+  if (stepping) outbox.added.push(engine.getObjectSpec(object));
+});
+engine.on('objectRetired', (object) => {
+  if (stepping) outbox.retired.push(object.id);
+});
+engine.on('safetyViolation', (violation) => {
+  outbox.violations.push(violation);
+});
+engine.collisionMonitor.onCollision((impact) => {
+  // Los ids de los cuerpos de Cannon no coinciden entre hilos: viajan los de los objetos
+  const objectId = (bodyId) => {
+    const object = engine.objects.find(obj => obj.body.id === bodyId);
+    return object ? object.id : null;
+  };
+  outbox.impacts.push({ ...impact, objectIdA: objectId(impact.bodyIdA), objectIdB: objectId(impact.bodyIdB) });
+});
+
+const handlers = {
+  sync({ state }) {
+    // Estado completo de la página: escena, instante, contadores y robot
+    engine.loadScene(state.scene);
+    engine.simulationTime = state.time;
+    engine.stepCount = state.step;
+    engine.collisionMonitor.totalCount = state.collisionCount;
+    engine.setRobotState(state.robot);
+    engine.activateRobot(state.robotActive);
+    engine.productionLine.setState(state.line);
+    state.parts.forEach(id => engine.productionLine.partIds.add(id));
+    engine.recorder.clear();
+  },
+
+  call({ method, args, seed, random }) {
+    // Misma secuencia aleatoria que la página al ejecutar la orden (p. ej. el planificador)
+    engine.setSeed(seed, random);
+    const decoded = args.map(decodeArgument);
+
+    // Un sumidero de este hilo ya retiró el objeto al que se refiere la orden
+    if (args.some((arg, index) => isObjectRef(arg) && decoded[index] === undefined)) return;
+    engine[method](...decoded);
+  },
+
+  step({ seconds, steps, nextObjectId }) {
+    // Los ids de las piezas de los generadores salen del bloque que reserva la página
+    engine.nextObjectId = nextObjectId;
+    const start = performance.now();
+
+    stepping = true;
+    try {
+      if (steps !== undefined) {
+        engine.step(steps);
+      } else {
+        engine.runFixedSteps(seconds);
+      }
+    } finally {
+      stepping = false;
+    }
+
+    const frames = [];
+    for (let i = 0; i < engine.recorder.length; i++) {
+      frames.push(engine.recorder.get(i));
+    }
+    engine.recorder.clear();
+
+    const task = engine.activeTask;
+    self.postMessage({
+      type: 'frames',
+      calls,
+      duration: performance.now() - start,
+      frames,
+      added: outbox.added.splice(0),
+      retired: outbox.retired.splice(0),
+      impacts: outbox.impacts.splice(0),
+      violations: outbox.violations.splice(0),
+      runtime: {
+        nextObjectId: engine.nextObjectId,
+        robotActive: engine.robotArm.isActive,
+        trajectory: engine.activeTrajectory !== null,
+        holding: engine.objects.find(obj => obj.body === engine.gripper.heldBody)?.id ?? null,
+        task: task && { state: task.state, stateTime: task.stateTime, elapsed: task.elapsed, result: task.result }
+      }
+    }, frames.map(frame => frame.states.buffer));
+  }
+};
+
+function isObjectRef(value) {
+  return value !== null && typeof value === 'object' && 'objectRef' in value;
+}
+
+function decodeArgument(value) {
+  // Referencias a objetos ({ objectRef: id }); undefined si el objeto ya no existe aquí
+  if (Array.isArray(value)) return value.map(decodeArgument);
+  if (isObjectRef(value)) return engine.findObject(value.objectRef) ?? undefined;
+  if (value && typeof value === 'object' && value.constructor === Object) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, decodeArgument(item)]));
+  }
+  return value;
+}
+
+self.onmessage = ({ data }) => {
+  try {
+    if (data.type !== 'step') calls++;
+    handlers[data.type](data);
+  } catch (error) {
+    self.postMessage({ type: 'error', source: data.type, message: error.message });
+  }
+};
@@ -0,0 +1,336 @@
+/**
+ * Línea de Producción
+ * Cintas transportadoras que arrastran los cuerpos por velocidad de superficie,
+ * generadores que emiten piezas a ritmo fijo y sumideros que las retiran y cuentan
+ */
+
+class ConveyorBelt {
+  constructor(world, options = {}, materials = null) {
+    this.world = world;
+    this.kind = 'conveyor';
+    this.id = options.id ?? 1;
+    this.length = options.length ?? 8;
+    this.width = options.width ?? 1.2;
+    this.height = options.height ?? 0.4;
+    this.speed = options.speed ?? 1; // m/s; negativo invierte el sentido
+    this.direction = options.direction ?? 0; // rumbo del eje longitudinal alrededor de Y (rad)
+    this.position = options.position ? [...options.position] : [0, this.height / 2, 0];
+
+    // Cuerpo cinemático: no se desplaza, pero su velocidad arrastra por fricción lo que tiene encima.
+    // Siempre despierto, para que al tocar piezas dormidas las despierte
+    this.body = new CANNON.Body({
+      mass: 0,
+      type: CANNON.Body.KINEMATIC,
+      allowSleep: false,
+      material: materials && materials.has(BELT_MATERIAL)
+        ? materials.bodyMaterial(BELT_MATERIAL)
+        : new CANNON.Material({ friction: 1, restitution: 0 })
+    });
+    this.body.addShape(new CANNON.Box(new CANNON.Vec3(this.length / 2, this.height / 2, this.width / 2)));
+    this.anchor();
+    this.world.add(this.body);
+  }
+
+  get axis() {
+    // Eje X local girado por la dirección (misma convención que rotation.y de Three.js)
+    return [Math.cos(this.direction), 0, -Math.sin(this.direction)];
+  }
+
+  get surfaceHeight() {
+    return this.position[1] + this.height / 2;
+  }
+
+  pointAt(distance) {
+    // Punto de la superficie sobre el eje central, medido desde el extremo de entrada
+    const [ax, , az] = this.axis;
+    const from = distance - this.length / 2;
+    const sign = this.speed < 0 ? -1 : 1;
+    return [
+      this.position[0] + ax * from * sign,
+      this.surfaceHeight,
+      this.position[2] + az * from * sign
+    ];
+  }
+
+  anchor() {
+    // Cannon integra la posición de los cuerpos cinemáticos; devolver la cinta a su sitio
+    const [ax, , az] = this.axis;
+    this.body.position.set(...this.position);
+    this.body.quaternion.setFromAxisAngle(new CANNON.Vec3(0, 1, 0), this.direction);
+    this.body.velocity.set(ax * this.speed, 0, az * this.speed);
+    this.body.angularVelocity.set(0, 0, 0);
+    this.body.aabbNeedsUpdate = true;
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      position: [...this.position],
+      length: this.length,
+      width: this.width,
+      height: this.height,
+      speed: this.speed,
+      direction: this.direction
+    };
+  }
+}
+
+class PartSpawner {
+  constructor(options = {}) {
+    this.kind = 'spawner';
+    this.id = options.id ?? 1;
+    this.position = options.position ? [...options.position] : [0, 1, 0];
+    this.interval = options.interval ?? 3; // segundos entre piezas
+    this.shape = options.shape ?? 'box';
+    this.dimensions = { ...(options.dimensions ?? { size: 0.6 }) };
+    this.color = options.color ?? 0xffaa00;
+    // Nombre de un material de la biblioteca o coeficientes propios
+    this.material = typeof options.material === 'string'
+      ? options.material
+      : { friction: 0.5, restitution: 0.1, ...options.material };
+    // Sin masa indicada, las piezas de un material de la biblioteca la toman de su densidad
+    this.mass = options.mass ?? (typeof this.material === 'string' ? undefined : 2);
+    this.fragility = copyFragility(options.fragility ?? DEFAULT_FRAGILITY);
+    this.maxParts = options.maxParts ?? 0; // 0 = sin límite
+
+    this.elapsed = 0;
+    this.emitted = 0;
+  }
+
+  get partSize() {
+    // Mayor dimensión de la pieza, usada como distancia libre para emitir
+    const { size, radius, height } = this.dimensions;
+    return Math.max(size ?? 0, (radius ?? 0) * 2, height ?? 0);
+  }
+
+  get exhausted() {
+    return this.maxParts > 0 && this.emitted >= this.maxParts;
+  }
+
+  update(dt, blocked) {
+    if (this.exhausted) return null;
+
+    // Si la salida está ocupada la pieza espera hasta que quede libre
+    this.elapsed = Math.min(this.elapsed + dt, this.interval);
+    if (this.elapsed < this.interval || blocked) return null;
+
+    this.elapsed = 0;
+    this.emitted++;
+    return {
+      shape: this.shape,
+      dimensions: { ...this.dimensions },
+      mass: this.mass,
+      color: this.color,
+      material: copyMaterial(this.material),
+      fragility: copyFragility(this.fragility),
+      position: [...this.position]
+    };
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      position: [...this.position],
+      interval: this.interval,
+      shape: this.shape,
+      dimensions: { ...this.dimensions },
+      mass: this.mass,
+      color: this.color,
+      material: copyMaterial(this.material),
+      fragility: copyFragility(this.fragility),
+      maxParts: this.maxParts
+    };
+  }
+}
+
+class PartSink {
+  constructor(options = {}) {
+    this.kind = 'sink';
+    this.id = options.id ?? 1;
+    this.position = options.position ? [...options.position] : [0, 1, 0];
+    this.size = options.size ? [...options.size] : [1.5, 2, 1.5];
+    this.direction = options.direction ?? 0;
+
+    this.count = 0;
+    this.countsByShape = {};
+  }
+
+  contains(point) {
+    // Caja orientada: pasar el punto a coordenadas locales del sumidero
+    const dx = point.x - this.position[0];
+    const dz = point.z - this.position[2];
+    const cos = Math.cos(this.direction);
+    const sin = Math.sin(this.direction);
+    const localX = dx * cos - dz * sin;
+    const localZ = dx * sin + dz * cos;
+
+    return Math.abs(localX) <= this.size[0] / 2 &&
+      Math.abs(point.y - this.position[1]) <= this.size[1] / 2 &&
+      Math.abs(localZ) <= this.size[2] / 2;
+  }
+
+  absorb(shape) {
+    this.count++;
+    this.countsByShape[shape] = (this.countsByShape[shape] ?? 0) + 1;
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      position: [...this.position],
+      size: [...this.size],
+      direction: this.direction
+    };
+  }
+}
+
+class ProductionLine {
+  /**
+   * host: interfaz del simulador usada por la línea
+   *   objects, spawnObject(spec), removeObject(object)
+   *   materials: biblioteca de materiales opcional (superficie de las cintas)
+   */
+  constructor(world, host) {
+    this.world = world;
+    this.host = host;
+    this.conveyors = [];
+    this.spawners = [];
+    this.sinks = [];
+    this.nextId = 1;
+
+    // Ids de los objetos emitidos por los generadores
+    this.partIds = new Set();
+
+    this.world.addEventListener('postStep', () => {
+      this.conveyors.forEach(conveyor => conveyor.anchor());
+    });
+  }
+
+  get components() {
+    return [...this.conveyors, ...this.spawners, ...this.sinks];
+  }
+
+  get produced() {
+    return this.spawners.reduce((sum, spawner) => sum + spawner.emitted, 0);
+  }
+
+  get consumed() {
+    return this.sinks.reduce((sum, sink) => sum + sink.count, 0);
+  }
+
+  get inProcess() {
+    return this.host.objects.filter(obj => this.partIds.has(obj.id)).length;
+  }
+
+  assignId(options) {
+    const id = options.id ?? this.nextId;
+    this.nextId = Math.max(this.nextId, id + 1);
+    return { ...options, id };
+  }
+
+  addConveyor(options = {}) {
+    const conveyor = new ConveyorBelt(this.world, this.assignId(options), this.host.materials);
+    this.conveyors.push(conveyor);
+    return conveyor;
+  }
+
+  addSpawner(options = {}) {
+    const spawner = new PartSpawner(this.assignId(options));
+    this.spawners.push(spawner);
+    return spawner;
+  }
+
+  addSink(options = {}) {
+    const sink = new PartSink(this.assignId(options));
+    this.sinks.push(sink);
+    return sink;
+  }
+
+  findConveyor(body) {
+    return this.conveyors.find(conveyor => conveyor.body === body) ?? null;
+  }
+
+  remove(component) {
+    if (component.kind === 'conveyor') {
+      this.world.remove(component.body);
+      this.conveyors = this.conveyors.filter(conveyor => conveyor !== component);
+    } else if (component.kind === 'spawner') {
+      this.spawners = this.spawners.filter(spawner => spawner !== component);
+    } else if (component.kind === 'sink') {
+      this.sinks = this.sinks.filter(sink => sink !== component);
+    }
+  }
+
+  clear() {
+    this.components.forEach(component => this.remove(component));
+    this.partIds.clear();
+    this.nextId = 1;
+  }
+
+  update(dt) {
+    this.spawners.forEach(spawner => {
+      const clearance = spawner.partSize;
+      const blocked = this.host.objects.some(obj => {
+        const { x, y, z } = obj.body.position;
+        return Math.hypot(x - spawner.position[0], y - spawner.position[1], z - spawner.position[2]) < clearance;
+      });
+
+      const spec = spawner.update(dt, blocked);
+      if (spec) {
+        this.partIds.add(this.host.spawnObject(spec).id);
+      }
+    });
+
+    // Retirar las piezas dinámicas que entran en un sumidero
+    this.sinks.forEach(sink => {
+      this.host.objects
+        .filter(obj => obj.body.mass > 0 && sink.contains(obj.body.position))
+        .forEach(obj => {
+          sink.absorb(obj.type);
+          this.host.removeObject(obj);
+        });
+    });
+  }
+
+  resetCounters() {
+    this.spawners.forEach(spawner => {
+      spawner.elapsed = 0;
+      spawner.emitted = 0;
+    });
+    this.sinks.forEach(sink => {
+      sink.count = 0;
+      sink.countsByShape = {};
+    });
+  }
+
+  getState() {
+    // Contadores para la grabación; la geometría de la línea no cambia durante la simulación
+    return {
+      spawners: this.spawners.map(spawner => [spawner.id, spawner.elapsed, spawner.emitted]),
+      sinks: this.sinks.map(sink => [sink.id, sink.count, { ...sink.countsByShape }])
+    };
+  }
+
+  setState(state) {
+    state.spawners.forEach(([id, elapsed, emitted]) => {
+      const spawner = this.spawners.find(item => item.id === id);
+      if (spawner) Object.assign(spawner, { elapsed, emitted });
+    });
+    state.sinks.forEach(([id, count, countsByShape]) => {
+      const sink = this.sinks.find(item => item.id === id);
+      if (sink) Object.assign(sink, { count, countsByShape: { ...countsByShape } });
+    });
+  }
+
+  toJSON() {
+    return {
+      conveyors: this.conveyors.map(conveyor => conveyor.toJSON()),
+      spawners: this.spawners.map(spawner => spawner.toJSON()),
+      sinks: this.sinks.map(sink => sink.toJSON())
+    };
+  }
+}
+
+if (typeof module !== 'undefined') {
+  module.exports = { ConveyorBelt, PartSpawner, PartSink, ProductionLine };
+}
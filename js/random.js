@@ -0,0 +1,47 @@
+/**
+ * Números Aleatorios con Semilla
+ * Generador pseudoaleatorio reproducible (mulberry32) con la misma interfaz que
+ * Math.random: una función sin argumentos que devuelve valores en [0, 1)
+ */
+
+function createRandom(seed, state = hashSeed(seed)) {
+  const random = function random() {
+    state = (state + 0x6d2b79f5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+
+  // Estado interno para continuar la misma secuencia (p. ej. al cargar una escena)
+  random.getState = () => state >>> 0;
+  return random;
+}
+
+function hashSeed(seed) {
+  // Semillas numéricas o de texto a un entero de 32 bits (FNV-1a sobre el texto)
+  if (typeof seed === 'number' && Number.isInteger(seed)) {
+    return seed >>> 0;
+  }
+
+  let hash = 0x811c9dc5;
+  for (const char of String(seed)) {
+    hash = Math.imul(hash ^ char.charCodeAt(0), 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+function deriveSeed(seed, index) {
+  // Semilla independiente para la ejecución número index de un experimento
+  return (hashSeed(seed) ^ Math.imul(index + 1, 0x9e3779b1)) >>> 0;
+}
+
+function randomNormal(random, mean = 0, deviation = 1) {
+  // Box-Muller
+  const u = 1 - random();
+  const v = random();
+  return mean + deviation * Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+if (typeof module !== 'undefined') {
+  module.exports = { createRandom, hashSeed, deriveSeed, randomNormal };
+}
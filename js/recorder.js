@@ -0,0 +1,140 @@
+/**
+ * Grabador de Simulación
+ * Buffer circular con el estado de todos los cuerpos y del robot en cada paso
+ * de física, usado para la línea de tiempo y la reproducción
+ */
+
+// Valores por cuerpo: posición (3), cuaternión (4), velocidad (3), velocidad angular (3)
+const BODY_STATE_SIZE = 13;
+
+class SimulationRecorder {
+  /**
+   * options:
+   *   capacity: frames guardados como máximo
+   *   maxBodyStates: estados de cuerpo entre todos los frames (memoria: 104 bytes cada uno);
+   *                  con miles de objetos se descartan frames antiguos antes de llenar el buffer
+   */
+  constructor(options = {}) {
+    this.capacity = options.capacity ?? 3600;
+    this.maxBodyStates = options.maxBodyStates ?? 2000000;
+    this.frames = new Array(this.capacity);
+    this.start = 0;
+    this.length = 0;
+    this.bodyStates = 0;
+  }
+
+  static captureBodies(entries) {
+    // entries: [{ id, body }]
+    const ids = new Array(entries.length);
+    const states = new Float64Array(entries.length * BODY_STATE_SIZE);
+
+    entries.forEach((entry, i) => {
+      const { position, quaternion, velocity, angularVelocity } = entry.body;
+      const offset = i * BODY_STATE_SIZE;
+      ids[i] = entry.id;
+      states[offset] = position.x;
+      states[offset + 1] = position.y;
+      states[offset + 2] = position.z;
+      states[offset + 3] = quaternion.x;
+      states[offset + 4] = quaternion.y;
+      states[offset + 5] = quaternion.z;
+      states[offset + 6] = quaternion.w;
+      states[offset + 7] = velocity.x;
+      states[offset + 8] = velocity.y;
+      states[offset + 9] = velocity.z;
+      states[offset + 10] = angularVelocity.x;
+      states[offset + 11] = angularVelocity.y;
+      states[offset + 12] = angularVelocity.z;
+    });
+
+    return { ids, states };
+  }
+
+  static applyBodyState(body, states, index) {
+    const offset = index * BODY_STATE_SIZE;
+    body.position.set(states[offset], states[offset + 1], states[offset + 2]);
+    body.quaternion.set(states[offset + 3], states[offset + 4], states[offset + 5], states[offset + 6]);
+    body.velocity.set(states[offset + 7], states[offset + 8], states[offset + 9]);
+    body.angularVelocity.set(states[offset + 10], states[offset + 11], states[offset + 12]);
+
+    // Cannon interpola con la posición previa; evitar saltos al restaurar
+    body.previousPosition.copy(body.position);
+    body.aabbNeedsUpdate = true;
+  }
+
+  record(frame) {
+    // Buffer lleno: descartar el frame más antiguo
+    if (this.length === this.capacity) {
+      this.dropFirst();
+    }
+
+    const index = (this.start + this.length) % this.capacity;
+    this.frames[index] = frame;
+    this.length++;
+    this.bodyStates += frame.ids.length;
+
+    while (this.bodyStates > this.maxBodyStates && this.length > 1) {
+      this.dropFirst();
+    }
+  }
+
+  dropFirst() {
+    this.bodyStates -= this.frames[this.start].ids.length;
+    this.frames[this.start] = undefined;
+    this.start = (this.start + 1) % this.capacity;
+    this.length--;
+  }
+
+  get(index) {
+    if (index < 0 || index >= this.length) return null;
+    return this.frames[(this.start + index) % this.capacity];
+  }
+
+  get first() {
+    return this.get(0);
+  }
+
+  get last() {
+    return this.get(this.length - 1);
+  }
+
+  findIndexAtTime(time) {
+    // Búsqueda binaria del último frame con tiempo <= time
+    let low = 0;
+    let high = this.length - 1;
+    let result = 0;
+
+    while (low <= high) {
+      const mid = (low + high) >> 1;
+      if (this.get(mid).time <= time) {
+        result = mid;
+        low = mid + 1;
+      } else {
+        high = mid - 1;
+      }
+    }
+
+    return result;
+  }
+
+  truncateAfter(index) {
+    // Descartar el futuro grabado al reanudar desde un punto anterior
+    for (let i = index + 1; i < this.length; i++) {
+      const position = (this.start + i) % this.capacity;
+      this.bodyStates -= this.frames[position].ids.length;
+      this.frames[position] = undefined;
+    }
+    this.length = Math.min(this.length, index + 1);
+  }
+
+  clear() {
+    this.frames = new Array(this.capacity);
+    this.start = 0;
+    this.length = 0;
+    this.bodyStates = 0;
+  }
+}
+
+if (typeof module !== 'undefined') {
+  module.exports = { BODY_STATE_SIZE, SimulationRecorder };
+}
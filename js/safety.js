@@ -0,0 +1,209 @@
+/**
+ * Zonas de Seguridad del Robot
+ * Volúmenes de protección alrededor de los eslabones del brazo (cápsulas ampliadas con la
+ * distancia de aviso y la de parada) y monitorización de velocidad y separación: según la
+ * separación mínima entre el brazo y los cuerpos de la escena, el brazo sigue a velocidad
+ * normal, la reduce o hace una parada protectora, y cada intrusión queda registrada.
+ */
+
+const DEFAULT_SAFETY_CONFIG = {
+  enabled: true,
+  linkRadius: 0.4, // radio de las cápsulas que envuelven los eslabones (m)
+  warningDistance: 1.5, // separación bajo la que el brazo reduce la velocidad (m)
+  stopDistance: 0.5, // separación mínima de protección con el brazo quieto (m)
+  reducedSpeed: 0.3, // fracción de la velocidad articular máxima en la zona de aviso
+  reactionTime: 0.2, // tiempo de reacción y frenado del brazo (s)
+  resumeDelay: 1 // tiempo con la zona de parada libre antes de rearrancar (s)
+};
+
+const SAFETY_STATES = {
+  normal: 'Normal',
+  warning: 'Velocidad reducida',
+  stop: 'Parada protectora'
+};
+
+// Estados por gravedad creciente
+const SAFETY_LEVELS = ['normal', 'warning', 'stop'];
+
+class SafetyMonitor {
+  /**
+   * options:
+   *   config: valores que sustituyen a DEFAULT_SAFETY_CONFIG
+   *   maxLogSize: intrusiones guardadas; al superarlo se descartan las más antiguas
+   *   labelFor(id): nombre de un cuerpo vigilado para el registro
+   */
+  constructor(options = {}) {
+    this.config = { ...DEFAULT_SAFETY_CONFIG, ...options.config };
+    this.maxLogSize = options.maxLogSize ?? 500;
+    this.labelFor = options.labelFor || (id => `Cuerpo ${id}`);
+    this.clear();
+  }
+
+  get stateLabel() {
+    return SAFETY_STATES[this.state];
+  }
+
+  configure(values) {
+    Object.assign(this.config, values);
+    if (!this.config.enabled) this.resetState();
+  }
+
+  clear() {
+    this.violations = [];
+    this.warningCount = 0;
+    this.stopCount = 0;
+    this.resetState();
+  }
+
+  resetState() {
+    this.state = 'normal';
+    this.speedScale = 1;
+    this.separation = null; // separación mínima actual (m); null sin cuerpos vigilados
+    this.protectiveDistance = this.config.stopDistance; // separación de protección frente al cuerpo más cercano
+    this.closest = null; // { objectId, label, link } del cuerpo más cercano
+    this.clearTime = 0; // tiempo con la zona de parada libre durante una parada
+  }
+
+  /**
+   * points: orígenes de los sistemas de referencia de la cadena en la escena (los eslabones
+   *         van de cada uno al siguiente); links: nombre de cada eslabón
+   * robotSpeed: rapidez del punto del brazo que más rápido se mueve (m/s)
+   * intruders: [{ id, position, velocity, radius }], cada cuerpo como su esfera envolvente
+   * Devuelve la intrusión registrada si el estado empeora, o null.
+   */
+  update({ time, points, links, robotSpeed, intruders }, dt) {
+    if (!this.config.enabled) return null;
+    const config = this.config;
+    const warningBand = Math.max(0, config.warningDistance - config.stopDistance);
+
+    const segments = linkSegments(points);
+    let separation = null;
+    let closest = null;
+    let protectiveDistance = config.stopDistance;
+    let level = 0;
+    let trigger = null;
+
+    intruders.forEach(intruder => {
+      const nearest = nearestLinkPoint(segments, intruder.position);
+      const gap = Math.max(0, nearest.distance - config.linkRadius - intruder.radius);
+
+      // Velocidad del cuerpo hacia el punto más cercano del brazo
+      const [vx, vy, vz] = intruder.velocity;
+      const approach = nearest.distance > 1e-9
+        ? Math.max(0, (vx * nearest.dx + vy * nearest.dy + vz * nearest.dz) / nearest.distance)
+        : Math.hypot(vx, vy, vz);
+
+      // Separación de protección: la mínima más lo que recorren cuerpo y brazo hasta detenerse
+      const required = config.stopDistance + (approach + robotSpeed) * config.reactionTime;
+      const intruderLevel = gap < required ? 2 : (gap < required + warningBand ? 1 : 0);
+
+      if (separation === null || gap < separation) {
+        separation = gap;
+        closest = { id: intruder.id, link: nearest.link };
+        protectiveDistance = required;
+      }
+      if (intruderLevel > level) {
+        level = intruderLevel;
+        trigger = { id: intruder.id, link: nearest.link, separation: gap, protectiveDistance: required };
+      }
+    });
+
+    // Nombres solo del cuerpo más cercano y del que provoca el cambio de estado
+    const describe = ({ id, link }) => ({ objectId: id, label: this.labelFor(id), link: links[link] ?? `Eslabón ${link + 1}` });
+
+    // Tras una parada el brazo rearranca solo cuando la zona de parada sigue libre un tiempo
+    let next = SAFETY_LEVELS[level];
+    if (this.state === 'stop' && level < 2) {
+      this.clearTime += dt;
+      if (this.clearTime < config.resumeDelay) next = 'stop';
+    }
+    if (level === 2 || next !== 'stop') this.clearTime = 0;
+
+    const escalated = SAFETY_LEVELS.indexOf(next) > SAFETY_LEVELS.indexOf(this.state);
+    this.state = next;
+    this.speedScale = next === 'stop' ? 0 : (next === 'warning' ? config.reducedSpeed : 1);
+    this.separation = separation;
+    this.closest = closest && describe(closest);
+    this.protectiveDistance = protectiveDistance;
+
+    if (!escalated) return null;
+    const violation = {
+      time,
+      state: next,
+      ...describe(trigger),
+      separation: trigger.separation,
+      protectiveDistance: trigger.protectiveDistance
+    };
+    this.record(violation);
+    return violation;
+  }
+
+  record(violation) {
+    this.violations.push(violation);
+    if (violation.state === 'stop') this.stopCount++;
+    else this.warningCount++;
+
+    if (this.violations.length > this.maxLogSize) {
+      this.violations.shift();
+    }
+  }
+
+  truncateAfter(time) {
+    // Reanudar desde un instante anterior descarta las intrusiones posteriores
+    const removed = this.violations.filter(violation => violation.time > time);
+    this.violations = this.violations.filter(violation => violation.time <= time);
+    this.stopCount -= removed.filter(violation => violation.state === 'stop').length;
+    this.warningCount -= removed.filter(violation => violation.state !== 'stop').length;
+  }
+
+  getState() {
+    return {
+      state: this.state,
+      speedScale: this.speedScale,
+      separation: this.separation,
+      protectiveDistance: this.protectiveDistance,
+      closest: this.closest && { ...this.closest },
+      clearTime: this.clearTime
+    };
+  }
+
+  setState(state) {
+    Object.assign(this, state, { closest: state.closest && { ...state.closest } });
+  }
+}
+
+function linkSegments(points) {
+  // Eslabones entre orígenes consecutivos: inicio, vector y longitud al cuadrado
+  const segments = [];
+  for (let i = 0; i < points.length - 1; i++) {
+    const [x, y, z] = points[i];
+    const ex = points[i + 1][0] - x;
+    const ey = points[i + 1][1] - y;
+    const ez = points[i + 1][2] - z;
+    segments.push({ x, y, z, ex, ey, ez, lengthSq: ex * ex + ey * ey + ez * ez });
+  }
+  return segments;
+}
+
+function nearestLinkPoint(segments, [px, py, pz]) {
+  // Punto más cercano de los eslabones; (dx, dy, dz) va del cuerpo a ese punto
+  let nearest = null;
+  segments.forEach((segment, link) => {
+    const t = segment.lengthSq < 1e-12
+      ? 0
+      : Math.max(0, Math.min(1, ((px - segment.x) * segment.ex + (py - segment.y) * segment.ey + (pz - segment.z) * segment.ez) / segment.lengthSq));
+    const dx = segment.x + segment.ex * t - px;
+    const dy = segment.y + segment.ey * t - py;
+    const dz = segment.z + segment.ez * t - pz;
+    const distance = Math.sqrt(dx * dx + dy * dy + dz * dz);
+
+    if (!nearest || distance < nearest.distance) {
+      nearest = { link, distance, dx, dy, dz };
+    }
+  });
+  return nearest;
+}
+
+if (typeof module !== 'undefined') {
+  module.exports = { DEFAULT_SAFETY_CONFIG, SAFETY_STATES, SafetyMonitor };
+}
@@ -0,0 +1,667 @@
+/**
+ * Escenarios Programados
+ * Línea de tiempo de acciones (crear piezas, impulsos, robot, línea de producción) y de
+ * comprobaciones sobre el motor, ejecutada paso a paso con paso fijo y semilla propia:
+ * un mismo escenario da siempre el mismo resultado, en la página o en Node.
+ * Ver docs/scenarios.md para el formato.
+ */
+
+// Acciones de la línea de tiempo: check(errors, event, path) valida y run(context, event) ejecuta
+const SCENARIO_ACTIONS = {
+  spawn: {
+    check(errors, event, path) {
+      if (!isPlainObject(event.object) || !SCENE_SHAPES[event.object.shape]) {
+        errors.push(`${path}.object: debe ser un objeto con shape ${Object.keys(SCENE_SHAPES).join(', ')}`);
+      }
+      if (event.count !== undefined) checkInteger(errors, event, 'count', `${path}.count`);
+      if (event.conveyor !== undefined) {
+        checkInteger(errors, event, 'conveyor', `${path}.conveyor`);
+        if (event.spacing !== undefined) checkNumber(errors, event, 'spacing', `${path}.spacing`, { min: 0 });
+        if (event.height !== undefined) checkNumber(errors, event, 'height', `${path}.height`, { min: 0 });
+      } else {
+        checkVector(errors, event.object?.position, `${path}.object.position`, 3);
+        if (event.offset !== undefined) checkVector(errors, event.offset, `${path}.offset`, 3);
+      }
+    },
+    run({ engine }, event) {
+      // Sobre una cinta, las piezas se reparten a lo largo de su eje desde el extremo de entrada
+      const count = event.count ?? 1;
+      const conveyor = event.conveyor === undefined ? null : findConveyor(engine, event.conveyor);
+      const created = [];
+      for (let i = 0; i < count; i++) {
+        let position;
+        if (conveyor) {
+          const spacing = event.spacing ?? conveyor.length / count;
+          const [x, y, z] = conveyor.pointAt(spacing * (i + 0.5));
+          position = [x, y + (event.height ?? 0.5), z];
+        } else {
+          const offset = event.offset ?? [0, 0, 0];
+          position = event.object.position.map((value, axis) => value + offset[axis] * i);
+        }
+        created.push(engine.spawnObject({ ...event.object, position }));
+      }
+      return `${count} × ${event.object.shape} (ids ${created.map(object => object.id).join(', ')})`;
+    }
+  },
+
+  impulse: {
+    check(errors, event, path) {
+      checkObjectId(errors, event, path);
+      checkVector(errors, event.impulse, `${path}.impulse`, 3);
+    },
+    run({ engine, object }, event) {
+      engine.applyImpulse(object(event.object), event.impulse);
+      return `Impulso [${event.impulse.join(', ')}] N·s al objeto ${event.object}`;
+    }
+  },
+
+  update: {
+    check(errors, event, path) {
+      checkObjectId(errors, event, path);
+      if (!isPlainObject(event.changes)) errors.push(`${path}.changes: debe ser un objeto`);
+    },
+    run({ engine, object }, event) {
+      engine.updateObject(object(event.object), event.changes);
+      return `Objeto ${event.object}: ${Object.keys(event.changes).join(', ')}`;
+    }
+  },
+
+  pin: {
+    check(errors, event, path) {
+      checkObjectId(errors, event, path);
+      if (event.pinned !== undefined && typeof event.pinned !== 'boolean') errors.push(`${path}.pinned: debe ser true o false`);
+    },
+    run({ engine, object }, event) {
+      const pinned = event.pinned ?? true;
+      engine.pinObject(object(event.object), pinned);
+      return `Objeto ${event.object} ${pinned ? 'fijado' : 'liberado'}`;
+    }
+  },
+
+  remove: {
+    check: checkObjectId,
+    run({ engine, object }, event) {
+      engine.removeObject(object(event.object));
+      return `Objeto ${event.object} retirado`;
+    }
+  },
+
+  config: {
+    check(errors, event, path) {
+      if (!isPlainObject(event.values)) {
+        errors.push(`${path}.values: debe ser un objeto`);
+        return;
+      }
+      checkConfig(errors, event.values, `${path}.values`);
+    },
+    run({ engine }, event) {
+      engine.applyConfig(event.values);
+      return `Configuración: ${Object.entries(event.values).map(([key, value]) => `${key} = ${value}`).join(', ')}`;
+    }
+  },
+
+  safety: {
+    check(errors, event, path) {
+      if (!isPlainObject(event.values)) {
+        errors.push(`${path}.values: debe ser un objeto`);
+        return;
+      }
+      Object.keys(event.values).forEach(key => {
+        if (!(key in DEFAULT_SAFETY_CONFIG)) {
+          errors.push(`${path}.values.${key}: parámetro desconocido (válidos: ${Object.keys(DEFAULT_SAFETY_CONFIG).join(', ')})`);
+        } else if (key === 'enabled') {
+          if (typeof event.values.enabled !== 'boolean') errors.push(`${path}.values.enabled: debe ser true o false`);
+        } else {
+          checkNumber(errors, event.values, key, `${path}.values.${key}`, { min: 0, max: key === 'reducedSpeed' ? 1 : undefined });
+        }
+      });
+    },
+    run({ engine }, event) {
+      engine.setSafetyConfig(event.values);
+      return `Seguridad: ${Object.entries(event.values).map(([key, value]) => `${key} = ${value}`).join(', ')}`;
+    }
+  },
+
+  activateRobot: {
+    check(errors, event, path) {
+      if (event.active !== undefined && typeof event.active !== 'boolean') errors.push(`${path}.active: debe ser true o false`);
+    },
+    run({ engine }, event) {
+      const active = event.active ?? true;
+      engine.activateRobot(active);
+      return active ? 'Robot activado' : 'Robot detenido';
+    }
+  },
+
+  moveTool: {
+    check(errors, event, path) {
+      checkVector(errors, event.point, `${path}.point`, 3);
+    },
+    run({ engine }, event) {
+      const result = engine.commandTool(event.point, { approach: event.approach });
+      return `Herramienta hacia [${event.point.join(', ')}] (error ${result.positionError.toFixed(3)} m)`;
+    }
+  },
+
+  pickAndPlace: {
+    check(errors, event, path) {
+      checkObjectId(errors, event, path);
+      if (!isPlainObject(event.place)) {
+        errors.push(`${path}.place: debe ser un objeto con position`);
+      } else if (!Array.isArray(event.place.position) || event.place.position.length !== 3) {
+        errors.push(`${path}.place.position: debe ser una lista [x, y | null, z]`);
+      }
+    },
+    run({ engine, object }, event) {
+      // La tarea no busca el objeto hasta empezar: comprobar antes que existe
+      object(event.object);
+      const { at, action, object: objectId, ...definition } = event;
+      engine.startPickAndPlace({ ...definition, objectId });
+      return `Pick & Place del objeto ${objectId}`;
+    }
+  },
+
+  cancelTask: {
+    check() {},
+    run({ engine }) {
+      engine.cancelTask();
+      return 'Tarea cancelada';
+    }
+  },
+
+  addConveyor: {
+    check: checkComponent,
+    run({ engine }, event) {
+      const conveyor = engine.addConveyor(componentOptions(event));
+      return `Cinta ${conveyor.id}`;
+    }
+  },
+
+  addSpawner: {
+    check: checkComponent,
+    run({ engine }, event) {
+      const spawner = engine.addSpawner(componentOptions(event));
+      return `Generador ${spawner.id}`;
+    }
+  },
+
+  addSink: {
+    check: checkComponent,
+    run({ engine }, event) {
+      const sink = engine.addSink(componentOptions(event));
+      return `Sumidero ${sink.id}`;
+    }
+  }
+};
+
+// Comprobaciones: check(errors, assertion, path) valida, describe(assertion) da el enunciado y
+// evaluate(context, assertion) devuelve { passed, value, detail }
+const SCENARIO_ASSERTIONS = {
+  maxImpactEnergy: {
+    check: (errors, assertion, path) => checkNumber(errors, assertion, 'max', `${path}.max`, { min: 0 }),
+    describe: (assertion) => `Ningún impacto por encima de ${assertion.max} J`,
+    evaluate({ strongestImpact }, assertion) {
+      const energy = strongestImpact ? strongestImpact.energy : 0;
+      return {
+        passed: energy <= assertion.max,
+        value: energy,
+        detail: strongestImpact
+          ? `máx. ${energy.toFixed(2)} J a los ${strongestImpact.time.toFixed(2)} s (${strongestImpact.bodyA} – ${strongestImpact.bodyB})`
+          : 'sin impactos'
+      };
+    }
+  },
+
+  maxSpeed: {
+    check: (errors, assertion, path) => checkNumber(errors, assertion, 'max', `${path}.max`, { min: 0 }),
+    describe: (assertion) => `Ningún objeto por encima de ${assertion.max} m/s`,
+    evaluate: ({ maxSpeed }, assertion) => ({
+      passed: maxSpeed <= assertion.max,
+      value: maxSpeed,
+      detail: `máx. ${maxSpeed.toFixed(2)} m/s`
+    })
+  },
+
+  collisions: {
+    check: checkBounds,
+    describe: (assertion) => `Colisiones ${describeBounds(assertion)}`,
+    evaluate: ({ engine }, assertion) => evaluateBounds(engine.collisionMonitor.totalCount, assertion, 'colisiones')
+  },
+
+  damage: {
+    check: (errors, assertion, path) => checkNumber(errors, assertion, 'max', `${path}.max`, { min: 0 }),
+    describe: (assertion) => `Daño total ≤ ${assertion.max} J`,
+    evaluate: ({ engine }, assertion) => ({
+      passed: engine.damage.totalDamage <= assertion.max,
+      value: engine.damage.totalDamage,
+      detail: `${engine.damage.totalDamage.toFixed(2)} J`
+    })
+  },
+
+  brokenParts: {
+    check: checkBounds,
+    describe: (assertion) => `Piezas rotas ${describeBounds(noneByDefault(assertion))}`,
+    evaluate: ({ engine }, assertion) => evaluateBounds(engine.damage.brokenCount, noneByDefault(assertion), 'rotas')
+  },
+
+  objectCount: {
+    check: checkBounds,
+    describe: (assertion) => `Objetos en la escena ${describeBounds(assertion)}`,
+    evaluate: ({ engine }, assertion) => evaluateBounds(engine.objects.length, assertion, 'objetos')
+  },
+
+  consumed: {
+    check: checkBounds,
+    describe: (assertion) => `Piezas retiradas por los sumideros ${describeBounds(assertion)}`,
+    evaluate: ({ engine }, assertion) => evaluateBounds(engine.productionLine.consumed, assertion, 'retiradas')
+  },
+
+  objectPosition: {
+    check(errors, assertion, path) {
+      checkObjectId(errors, assertion, path);
+      checkVector(errors, assertion.position, `${path}.position`, 3);
+      if (assertion.tolerance !== undefined) checkNumber(errors, assertion, 'tolerance', `${path}.tolerance`, { min: 0 });
+    },
+    describe: (assertion) =>
+      `Objeto ${assertion.object} a menos de ${assertion.tolerance ?? 0.1} m de [${assertion.position.join(', ')}]`,
+    evaluate({ engine }, assertion) {
+      const object = engine.findObject(assertion.object);
+      if (!object) return { passed: false, value: null, detail: 'el objeto no está en la escena' };
+
+      const { x, y, z } = object.body.position;
+      const [px, py, pz] = assertion.position;
+      const distance = Math.hypot(x - px, y - py, z - pz);
+      return {
+        passed: distance <= (assertion.tolerance ?? 0.1),
+        value: distance,
+        detail: `a ${distance.toFixed(3)} m, en [${[x, y, z].map(value => value.toFixed(2)).join(', ')}]`
+      };
+    }
+  },
+
+  settled: {
+    check(errors, assertion, path) {
+      if (assertion.speed !== undefined) checkNumber(errors, assertion, 'speed', `${path}.speed`, { min: 0 });
+    },
+    describe: (assertion) => `Todos los objetos por debajo de ${assertion.speed ?? 0.05} m/s`,
+    evaluate({ engine }, assertion) {
+      const moving = engine.objects.filter(object => object.body.velocity.norm() > (assertion.speed ?? 0.05));
+      return {
+        passed: moving.length === 0,
+        value: moving.length,
+        detail: moving.length === 0 ? 'en reposo' : `en movimiento: ${moving.map(object => object.id).join(', ')}`
+      };
+    }
+  },
+
+  protectiveStops: {
+    check: checkBounds,
+    describe: (assertion) => `Paradas protectoras ${describeBounds(noneByDefault(assertion))}`,
+    evaluate: ({ engine }, assertion) => evaluateBounds(engine.safety.stopCount, noneByDefault(assertion), 'paradas')
+  },
+
+  minSeparation: {
+    check: (errors, assertion, path) => checkNumber(errors, assertion, 'min', `${path}.min`, { min: 0 }),
+    describe: (assertion) => `Ningún cuerpo a menos de ${assertion.min} m del brazo`,
+    evaluate({ closestApproach }, assertion) {
+      if (!closestApproach) return { passed: true, value: null, detail: 'sin cuerpos vigilados' };
+      return {
+        passed: closestApproach.separation >= assertion.min,
+        value: closestApproach.separation,
+        detail: `mín. ${closestApproach.separation.toFixed(3)} m a los ${closestApproach.time.toFixed(2)} s (${closestApproach.label} – ${closestApproach.link})`
+      };
+    }
+  },
+
+  taskSucceeded: {
+    check() {},
+    describe: () => 'La tarea de Pick & Place termina con éxito',
+    evaluate({ engine }) {
+      const task = engine.activeTask;
+      if (!task) return { passed: false, value: null, detail: 'no se inició ninguna tarea' };
+      if (!task.isFinished) return { passed: false, value: null, detail: `sin terminar (${task.stateLabel})` };
+      return { passed: task.result.success, value: task.elapsed, detail: task.result.message };
+    }
+  }
+};
+
+class ScenarioError extends Error {
+  constructor(message, details = []) {
+    super(details.length > 0 ? `${message}:\n- ${details.join('\n- ')}` : message);
+    this.name = 'ScenarioError';
+    this.details = details;
+  }
+}
+
+class ScenarioRunner {
+  /**
+   * script:
+   *   name: nombre del escenario; seed: semilla (por defecto 1); duration: tiempo simulado (s)
+   *   scene: documento de escena de partida (por defecto la escena vacía de fábrica)
+   *   timeline: [{ at, action, ...parámetros }] o, desde código, [{ at, run(engine) }]
+   *   assertions: [{ type, at?, ...parámetros }] o, desde código, [{ at?, description, check(engine) }]
+   * options:
+   *   frame(): dibuja un frame de la página tras cada grupo de pasos; sin él no se cede el control
+   *   stepsPerFrame: pasos entre frames (por defecto 2)
+   */
+  constructor(engine, script, options = {}) {
+    ScenarioRunner.validate(script);
+
+    this.engine = engine;
+    this.script = script;
+    this.name = script.name ?? 'Escenario';
+    this.seed = script.seed ?? 1;
+    this.duration = script.duration ?? 10;
+    this.frame = options.frame ?? null;
+    this.stepsPerFrame = options.stepsPerFrame ?? 2;
+
+    this.result = null;
+    this.cancelled = false;
+  }
+
+  static validate(script) {
+    const errors = [];
+    if (!isPlainObject(script)) {
+      throw new ScenarioError('El escenario debe ser un objeto');
+    }
+
+    if (script.name !== undefined && typeof script.name !== 'string') {
+      errors.push('name: debe ser un texto');
+    }
+    if (script.seed !== undefined && !['number', 'string'].includes(typeof script.seed)) {
+      errors.push('seed: debe ser un número o un texto');
+    }
+    if (script.duration !== undefined) {
+      checkNumber(errors, script, 'duration', 'duration', { min: 0, exclusiveMin: true });
+    }
+    const duration = typeof script.duration === 'number' ? script.duration : 10;
+
+    if (script.scene !== undefined) {
+      try {
+        SceneFormat.validate(SceneFormat.migrate(script.scene));
+      } catch (error) {
+        if (!(error instanceof SceneFormatError)) throw error;
+        errors.push(`scene: ${error.message}`);
+      }
+    }
+
+    const checkTime = (entry, path) => {
+      checkNumber(errors, entry, 'at', `${path}.at`, { min: 0, max: duration });
+    };
+
+    if (script.timeline !== undefined && !Array.isArray(script.timeline)) {
+      errors.push('timeline: debe ser una lista de acciones');
+    }
+    asList(script.timeline).forEach((event, index) => {
+      const path = `timeline[${index}]`;
+      if (!isPlainObject(event)) {
+        errors.push(`${path}: debe ser un objeto con at y action`);
+        return;
+      }
+      checkTime(event, path);
+      if (typeof event.run === 'function') return;
+
+      const action = SCENARIO_ACTIONS[event.action];
+      if (!action) {
+        errors.push(`${path}.action: acción desconocida ${JSON.stringify(event.action)} (válidas: ${Object.keys(SCENARIO_ACTIONS).join(', ')})`);
+        return;
+      }
+      action.check(errors, event, path);
+    });
+
+    if (script.assertions !== undefined && !Array.isArray(script.assertions)) {
+      errors.push('assertions: debe ser una lista de comprobaciones');
+    }
+    asList(script.assertions).forEach((assertion, index) => {
+      const path = `assertions[${index}]`;
+      if (!isPlainObject(assertion)) {
+        errors.push(`${path}: debe ser un objeto con type`);
+        return;
+      }
+      // Sin at, la comprobación se hace al terminar
+      if (assertion.at !== undefined) checkTime(assertion, path);
+      if (typeof assertion.check === 'function') return;
+
+      const type = SCENARIO_ASSERTIONS[assertion.type];
+      if (!type) {
+        errors.push(`${path}.type: comprobación desconocida ${JSON.stringify(assertion.type)} (válidas: ${Object.keys(SCENARIO_ASSERTIONS).join(', ')})`);
+        return;
+      }
+      type.check(errors, assertion, path);
+    });
+
+    if (errors.length > 0) {
+      throw new ScenarioError('El escenario no es válido', errors);
+    }
+    return script;
+  }
+
+  static parse(text) {
+    let script;
+    try {
+      script = JSON.parse(text);
+    } catch (error) {
+      throw new ScenarioError(`El archivo no es JSON válido (${error.message})`);
+    }
+    return ScenarioRunner.validate(script);
+  }
+
+  static defaultScene() {
+    // Escena vacía con la configuración, el robot y los materiales de fábrica
+    return new SimulationEngine({ record: false }).serializeScene();
+  }
+
+  cancel() {
+    this.cancelled = true;
+  }
+
+  async run() {
+    const engine = this.engine;
+    engine.loadScene(this.script.scene ? SceneFormat.migrate(this.script.scene) : ScenarioRunner.defaultScene());
+    engine.setSeed(this.seed);
+
+    // Cada entrada se ejecuta en el primer paso cuyo instante alcanza su at; el orden de la lista
+    // desempata las que coinciden. Los pasos se cuentan desde origin con el paso fijo vigente
+    let dt = engine.config.fixedTimeStep;
+    let origin = { step: 0, time: 0 };
+    const stepAt = (time) => origin.step + Math.ceil((time - origin.time) / dt - 1e-6);
+    const lastStep = () => origin.step + Math.round((this.duration - origin.time) / dt);
+    let steps = lastStep();
+    const events = asList(this.script.timeline)
+      .map((event, index) => ({ event, index, step: stepAt(event.at) }))
+      .sort((a, b) => a.step - b.step || a.index - b.index);
+    const assertions = asList(this.script.assertions)
+      .map((assertion, index) => ({ assertion, index, step: assertion.at === undefined ? steps : stepAt(assertion.at) }))
+      .sort((a, b) => a.step - b.step || a.index - b.index);
+
+    // Máximos de toda la ejecución para las comprobaciones de "nunca por encima de"
+    const context = {
+      engine,
+      strongestImpact: null,
+      maxSpeed: 0,
+      closestApproach: null,
+      object: (id) => {
+        const object = engine.findObject(id);
+        if (!object) throw new ScenarioError(`el objeto ${id} no está en la escena`);
+        return object;
+      }
+    };
+    const watchImpact = (impact) => {
+      if (!context.strongestImpact || impact.energy > context.strongestImpact.energy) {
+        context.strongestImpact = impact;
+      }
+    };
+    engine.collisionMonitor.onCollision(watchImpact);
+
+    const log = [];
+    const errors = [];
+    const checks = [];
+    let nextEvent = 0;
+    let nextAssertion = 0;
+
+    try {
+      for (let step = 0; step <= steps; step++) {
+        // Comprobaciones del instante antes que las acciones del mismo instante
+        while (nextAssertion < assertions.length && assertions[nextAssertion].step <= step) {
+          checks.push(this.evaluate(context, assertions[nextAssertion]));
+          nextAssertion++;
+        }
+
+        while (nextEvent < events.length && events[nextEvent].step <= step) {
+          const { event, index } = events[nextEvent++];
+          const time = engine.simulationTime;
+          try {
+            let description;
+            if (typeof event.run === 'function') {
+              const returned = event.run(engine);
+              description = typeof returned === 'string' ? returned : event.description ?? 'Acción de código';
+            } else {
+              description = SCENARIO_ACTIONS[event.action].run(context, event);
+            }
+            log.push({ time, index, action: event.action ?? 'run', description });
+          } catch (error) {
+            // Una acción que falla no detiene el escenario, pero lo da por fallido
+            errors.push({ time, index, action: event.action ?? 'run', message: error.message });
+          }
+        }
+
+        // Un cambio de paso fijo reparte lo que queda de escenario en pasos del nuevo tamaño
+        if (engine.config.fixedTimeStep !== dt) {
+          dt = engine.config.fixedTimeStep;
+          origin = { step, time: engine.simulationTime };
+          steps = lastStep();
+          events.slice(nextEvent).forEach(entry => { entry.step = stepAt(entry.event.at); });
+          assertions.slice(nextAssertion).forEach(entry => {
+            entry.step = entry.assertion.at === undefined ? steps : stepAt(entry.assertion.at);
+          });
+        }
+
+        if (step === steps) break;
+        engine.advance();
+        engine.objects.forEach(object => {
+          const speed = object.body.velocity.norm();
+          if (speed > context.maxSpeed) context.maxSpeed = speed;
+        });
+        const { separation, closest } = engine.safety;
+        if (separation !== null && (!context.closestApproach || separation < context.closestApproach.separation)) {
+          context.closestApproach = { separation, time: engine.simulationTime, ...closest };
+        }
+
+        if (this.frame && (step + 1) % this.stepsPerFrame === 0) {
+          engine.updateStatistics();
+          this.frame();
+          await new Promise(resolve => setTimeout(resolve, 0));
+          if (this.cancelled) break;
+        }
+      }
+    } finally {
+      engine.collisionMonitor.offCollision(watchImpact);
+      engine.updateStatistics();
+    }
+
+    checks.sort((a, b) => a.index - b.index);
+    this.result = {
+      name: this.name,
+      seed: this.seed,
+      duration: this.duration,
+      time: engine.simulationTime,
+      cancelled: this.cancelled,
+      passed: !this.cancelled && errors.length === 0 && checks.every(check => check.passed),
+      assertions: checks,
+      errors,
+      log
+    };
+    return this.result;
+  }
+
+  evaluate(context, { assertion, index }) {
+    const time = context.engine.simulationTime;
+    let outcome;
+    let description;
+    try {
+      if (typeof assertion.check === 'function') {
+        description = assertion.description ?? `Comprobación ${index + 1}`;
+        const checked = assertion.check(context.engine);
+        outcome = typeof checked === 'boolean' ? { passed: checked, value: null, detail: '' } : checked;
+      } else {
+        const type = SCENARIO_ASSERTIONS[assertion.type];
+        description = assertion.description ?? type.describe(assertion);
+        outcome = type.evaluate(context, assertion);
+      }
+    } catch (error) {
+      outcome = { passed: false, value: null, detail: error.message };
+    }
+
+    return {
+      index,
+      type: assertion.type ?? 'check',
+      time,
+      description,
+      passed: Boolean(outcome.passed),
+      value: outcome.value ?? null,
+      detail: outcome.detail ?? ''
+    };
+  }
+
+  toJSON() {
+    return this.result;
+  }
+}
+
+function checkInteger(errors, container, key, path) {
+  const value = container[key];
+  if (!Number.isInteger(value) || value < 1) {
+    errors.push(`${path}: debe ser un entero mayor o igual a 1 (se recibió ${JSON.stringify(value)})`);
+  }
+}
+
+function checkObjectId(errors, entry, path) {
+  const value = entry.object;
+  if (!Number.isInteger(value) || value < 1) {
+    errors.push(`${path}.object: debe ser el id de un objeto (se recibió ${JSON.stringify(value)})`);
+  }
+}
+
+function checkComponent(errors, event, path) {
+  if (event.position !== undefined) checkVector(errors, event.position, `${path}.position`, 3);
+}
+
+function componentOptions(event) {
+  const { at, action, ...options } = event;
+  return options;
+}
+
+function findConveyor(engine, id) {
+  const conveyor = engine.productionLine.conveyors.find(candidate => candidate.id === id);
+  if (!conveyor) throw new ScenarioError(`la cinta ${id} no está en la escena`);
+  return conveyor;
+}
+
+function checkBounds(errors, assertion, path) {
+  ['min', 'max'].forEach(limit => {
+    if (assertion[limit] !== undefined) checkNumber(errors, assertion, limit, `${path}.${limit}`, { min: 0 });
+  });
+}
+
+function noneByDefault(assertion) {
+  // Sin límites, la cuenta debe ser cero
+  return assertion.min === undefined && assertion.max === undefined ? { ...assertion, max: 0 } : assertion;
+}
+
+function describeBounds({ min, max }) {
+  if (min !== undefined && max !== undefined) return `entre ${min} y ${max}`;
+  if (min !== undefined) return `≥ ${min}`;
+  return max !== undefined ? `≤ ${max}` : 'sin límite';
+}
+
+function evaluateBounds(value, { min, max }, unit) {
+  return {
+    passed: (min === undefined || value >= min) && (max === undefined || value <= max),
+    value,
+    detail: `${value} ${unit}`
+  };
+}
+
+if (typeof module !== 'undefined') {
+  module.exports = { SCENARIO_ACTIONS, SCENARIO_ASSERTIONS, ScenarioError, ScenarioRunner };
+}
@@ -0,0 +1,609 @@
+/**
+ * Formato de Escena
+ * Documento JSON versionado con objetos, robot, línea de producción y configuración de física.
+ * Ver docs/scene-format.md para la especificación completa.
+ */
+
+const SCENE_FORMAT_ID = 'simulador-industrial-3d/scene';
+const SCENE_FORMAT_VERSION = 9;
+
+const SCENE_SHAPES = {
+  box: ['size'],
+  sphere: ['radius'],
+  cylinder: ['radius', 'height'],
+  // Pieza importada: la geometría está en meshes y la dimensión es su escala
+  mesh: ['scale']
+};
+
+// Límites de cada parámetro de la configuración de física (los de DEFAULT_SIMULATION_CONFIG)
+const CONFIG_LIMITS = {
+  gravity: {},
+  friction: { min: 0 },
+  restitution: { min: 0, max: 1 },
+  mass: { min: 0, exclusiveMin: true },
+  impulse: { min: 0 },
+  angularVelocity: { min: 0, exclusiveMin: true },
+  angularAcceleration: { min: 0, exclusiveMin: true },
+  rotation: {},
+  fixedTimeStep: { min: 0, exclusiveMin: true },
+  maxSubSteps: { min: 1, integer: true },
+  timeScale: { min: 0 },
+  sleepSpeed: { min: 0 }
+};
+
+// Parámetros que guarda config; los del brazo van en robot
+const SCENE_CONFIG_KEYS = ['gravity', 'friction', 'restitution', 'mass', 'impulse', 'fixedTimeStep', 'maxSubSteps', 'timeScale', 'sleepSpeed'];
+const SCENE_REQUIRED_CONFIG_KEYS = ['gravity', 'friction', 'restitution'];
+
+// Migraciones: cada entrada transforma un documento de la versión N a la N+1
+const SCENE_MIGRATIONS = {
+  // v1 -> v2: el robot pasa de un ángulo de base a una cadena DH con todas sus articulaciones
+  1: (scene) => {
+    const { angle, targetAngle, ...robot } = scene.robot || {};
+    const rest = DEFAULT_ARM_LINKS.slice(1).map(() => 0);
+    return {
+      ...scene,
+      robot: {
+        ...robot,
+        links: DEFAULT_ARM_LINKS.map(link => ({ ...link })),
+        joints: [angle ?? 0, ...rest],
+        targetJoints: [targetAngle ?? angle ?? 0, ...rest]
+      }
+    };
+  },
+
+  // v2 -> v3: se añade la línea de producción (cintas, generadores y sumideros)
+  2: (scene) => ({
+    ...scene,
+    line: { conveyors: [], spawners: [], sinks: [] }
+  }),
+
+  // v3 -> v4: se guarda la semilla del generador aleatorio; las escenas antiguas usan la de por defecto
+  3: (scene) => ({
+    ...scene,
+    random: { seed: 1 }
+  }),
+
+  // v4 -> v5: vistas de cámara con nombre
+  4: (scene) => ({
+    ...scene,
+    views: []
+  }),
+
+  // v5 -> v6: biblioteca de materiales y tabla de contacto; los objetos antiguos conservan sus coeficientes propios
+  5: (scene) => ({
+    ...scene,
+    materials: new MaterialLibrary().toJSON()
+  }),
+
+  // v6 -> v7: fragilidad y daño acumulado de cada pieza; las escenas antiguas parten intactas.
+  // Lo que no tenga la forma esperada se deja como está para que lo señale validate()
+  6: (scene) => {
+    const addFragility = (entry, extra) => isPlainObject(entry) ? { ...entry, fragility: DEFAULT_FRAGILITY, ...extra } : entry;
+    const line = isPlainObject(scene.line) && Array.isArray(scene.line.spawners)
+      ? { ...scene.line, spawners: scene.line.spawners.map(spawner => addFragility(spawner)) }
+      : scene.line;
+    return {
+      ...scene,
+      line,
+      objects: Array.isArray(scene.objects) ? scene.objects.map(object => addFragility(object, { damage: 0 })) : scene.objects
+    };
+  },
+
+  // v7 -> v8: geometría de las piezas importadas (STL, OBJ, glTF)
+  7: (scene) => ({
+    ...scene,
+    meshes: {}
+  }),
+
+  // v8 -> v9: zonas de seguridad del brazo; las escenas antiguas las tienen desactivadas
+  8: (scene) => ({
+    ...scene,
+    robot: { ...scene.robot, safety: { ...DEFAULT_SAFETY_CONFIG, enabled: false } }
+  })
+};
+
+class SceneFormatError extends Error {
+  constructor(message, details = []) {
+    super(details.length > 0 ? `${message}:\n- ${details.join('\n- ')}` : message);
+    this.name = 'SceneFormatError';
+    this.details = details;
+  }
+}
+
+class SceneFormat {
+  static createDocument({ config, random, robot, line, materials, meshes, views, objects }) {
+    return {
+      format: SCENE_FORMAT_ID,
+      version: SCENE_FORMAT_VERSION,
+      createdAt: new Date().toISOString(),
+      config: { ...config },
+      random: { ...random },
+      robot: { ...robot },
+      line: {
+        conveyors: line.conveyors.map(conveyor => ({ ...conveyor })),
+        spawners: line.spawners.map(spawner => ({ ...spawner })),
+        sinks: line.sinks.map(sink => ({ ...sink }))
+      },
+      materials: {
+        definitions: Object.fromEntries(
+          Object.entries(materials.definitions).map(([name, definition]) => [name, { ...definition }])
+        ),
+        contacts: materials.contacts.map(contact => ({ ...contact, materials: [...contact.materials] }))
+      },
+      meshes: Object.fromEntries(
+        Object.entries(meshes).map(([name, mesh]) => [name, { vertices: [...mesh.vertices], indices: [...mesh.indices] }])
+      ),
+      views: views.map(view => ({ name: view.name, position: [...view.position], target: [...view.target] })),
+      objects: objects.map(object => ({ ...object }))
+    };
+  }
+
+  static parse(text) {
+    let document;
+    try {
+      document = JSON.parse(text);
+    } catch (error) {
+      throw new SceneFormatError(`El archivo no es JSON válido (${error.message})`);
+    }
+
+    return SceneFormat.validate(SceneFormat.migrate(document));
+  }
+
+  static migrate(document) {
+    if (!isPlainObject(document) || document.format !== SCENE_FORMAT_ID) {
+      throw new SceneFormatError(`El archivo no es una escena del simulador (se esperaba format "${SCENE_FORMAT_ID}")`);
+    }
+
+    if (!Number.isInteger(document.version) || document.version < 1) {
+      throw new SceneFormatError(`Versión de escena inválida: ${JSON.stringify(document.version)}`);
+    }
+
+    if (document.version > SCENE_FORMAT_VERSION) {
+      throw new SceneFormatError(
+        `La escena usa la versión ${document.version}, pero este simulador solo soporta hasta la ${SCENE_FORMAT_VERSION}`
+      );
+    }
+
+    // Aplicar migraciones en cadena hasta la versión actual
+    let migrated = document;
+    while (migrated.version < SCENE_FORMAT_VERSION) {
+      const migration = SCENE_MIGRATIONS[migrated.version];
+      if (!migration) {
+        throw new SceneFormatError(`No existe migración desde la versión ${migrated.version}`);
+      }
+      try {
+        migrated = { ...migration(migrated), version: migrated.version + 1 };
+      } catch (error) {
+        throw new SceneFormatError(`No se pudo migrar la escena desde la versión ${migrated.version} (${error.message})`);
+      }
+    }
+
+    return migrated;
+  }
+
+  static validate(document) {
+    const errors = [];
+
+    // Configuración de física
+    if (!isPlainObject(document.config)) {
+      errors.push('config: debe ser un objeto');
+    } else {
+      SCENE_REQUIRED_CONFIG_KEYS
+        .filter(key => document.config[key] === undefined)
+        .forEach(key => checkNumber(errors, document.config, key, `config.${key}`));
+      checkConfig(errors, document.config, 'config', SCENE_CONFIG_KEYS);
+    }
+
+    // Generador aleatorio
+    if (!isPlainObject(document.random)) {
+      errors.push('random: debe ser un objeto');
+    } else {
+      const seed = document.random.seed;
+      if (!(typeof seed === 'string' || (typeof seed === 'number' && Number.isFinite(seed)))) {
+        errors.push(`random.seed: debe ser un número o un texto (se recibió ${JSON.stringify(seed)})`);
+      }
+      const state = document.random.state;
+      if (state !== undefined && (!Number.isInteger(state) || state < 0 || state > 0xffffffff)) {
+        errors.push(`random.state: debe ser un entero de 32 bits sin signo (se recibió ${JSON.stringify(state)})`);
+      }
+    }
+
+    // Materiales: biblioteca y pares de la tabla de contacto
+    const materialNames = new Set();
+    if (!isPlainObject(document.materials)) {
+      errors.push('materials: debe ser un objeto');
+    } else {
+      const { definitions, contacts } = document.materials;
+      if (!isPlainObject(definitions)) {
+        errors.push('materials.definitions: debe ser un objeto');
+      } else {
+        Object.entries(definitions).forEach(([name, definition]) => {
+          const path = `materials.definitions.${name}`;
+          materialNames.add(name);
+          if (!isPlainObject(definition)) {
+            errors.push(`${path}: debe ser un objeto`);
+            return;
+          }
+          checkNumber(errors, definition, 'density', `${path}.density`, { min: 0, exclusiveMin: true });
+          checkNumber(errors, definition, 'friction', `${path}.friction`, { min: 0 });
+          checkNumber(errors, definition, 'restitution', `${path}.restitution`, { min: 0, max: 1 });
+          if (definition.color !== undefined) {
+            checkNumber(errors, definition, 'color', `${path}.color`, { min: 0, max: 0xffffff });
+          }
+        });
+      }
+
+      if (!Array.isArray(contacts)) {
+        errors.push('materials.contacts: debe ser una lista');
+      } else {
+        const pairs = new Set();
+        contacts.forEach((contact, index) => {
+          const path = `materials.contacts[${index}]`;
+          if (!isPlainObject(contact)) {
+            errors.push(`${path}: debe ser un objeto`);
+            return;
+          }
+          const pair = contact.materials;
+          if (!Array.isArray(pair) || pair.length !== 2 || !pair.every(name => materialNames.has(name))) {
+            errors.push(`${path}.materials: debe ser una lista de dos materiales definidos en materials.definitions`);
+          } else {
+            const key = [...pair].sort().join('|');
+            if (pairs.has(key)) {
+              errors.push(`${path}.materials: el par ${pair.join('-')} está repetido`);
+            }
+            pairs.add(key);
+          }
+          checkNumber(errors, contact, 'friction', `${path}.friction`, { min: 0 });
+          checkNumber(errors, contact, 'restitution', `${path}.restitution`, { min: 0, max: 1 });
+        });
+      }
+    }
+
+    // Mallas importadas: vértices (x, y, z) y triángulos con índices de esos vértices
+    const meshNames = new Set();
+    if (!isPlainObject(document.meshes)) {
+      errors.push('meshes: debe ser un objeto');
+    } else {
+      Object.entries(document.meshes).forEach(([name, mesh]) => {
+        const path = `meshes.${name}`;
+        meshNames.add(name);
+        if (!isPlainObject(mesh)) {
+          errors.push(`${path}: debe ser un objeto`);
+          return;
+        }
+        const { vertices, indices } = mesh;
+        if (!Array.isArray(vertices) || vertices.length === 0 || vertices.length % 3 !== 0 ||
+            !vertices.every(value => typeof value === 'number' && Number.isFinite(value))) {
+          errors.push(`${path}.vertices: debe ser una lista de números con tres coordenadas por vértice`);
+          return;
+        }
+        const count = vertices.length / 3;
+        if (!Array.isArray(indices) || indices.length === 0 || indices.length % 3 !== 0 ||
+            !indices.every(index => Number.isInteger(index) && index >= 0 && index < count)) {
+          errors.push(`${path}.indices: debe ser una lista de triángulos con índices de vértice entre 0 y ${count - 1}`);
+        }
+      });
+    }
+
+    // Robot
+    if (!isPlainObject(document.robot)) {
+      errors.push('robot: debe ser un objeto');
+    } else {
+      checkVector(errors, document.robot.position, 'robot.position', 3);
+      checkNumber(errors, document.robot, 'maxAngularVelocity', 'robot.maxAngularVelocity', CONFIG_LIMITS.angularVelocity);
+      if (document.robot.maxAngularAcceleration !== undefined) {
+        checkNumber(errors, document.robot, 'maxAngularAcceleration', 'robot.maxAngularAcceleration', CONFIG_LIMITS.angularAcceleration);
+      }
+
+      if (!Array.isArray(document.robot.links) || document.robot.links.length === 0) {
+        errors.push('robot.links: debe ser una lista no vacía de eslabones DH');
+      } else {
+        const dof = document.robot.links.length;
+        document.robot.links.forEach((link, index) => {
+          const path = `robot.links[${index}]`;
+          if (!isPlainObject(link)) {
+            errors.push(`${path}: debe ser un objeto`);
+            return;
+          }
+          ['d', 'a', 'alpha', 'offset', 'min', 'max'].forEach(key => checkNumber(errors, link, key, `${path}.${key}`));
+          if (link.min > link.max) {
+            errors.push(`${path}: el límite min (${link.min}) es mayor que max (${link.max})`);
+          }
+        });
+
+        checkVector(errors, document.robot.joints, 'robot.joints', dof);
+        if (document.robot.targetJoints !== undefined) {
+          checkVector(errors, document.robot.targetJoints, 'robot.targetJoints', dof);
+        }
+      }
+
+      // Zonas de seguridad: los campos que falten toman el valor por defecto
+      const safety = document.robot.safety;
+      if (!isPlainObject(safety)) {
+        errors.push('robot.safety: debe ser un objeto');
+      } else {
+        if (safety.enabled !== undefined && typeof safety.enabled !== 'boolean') {
+          errors.push('robot.safety.enabled: debe ser true o false');
+        }
+        ['linkRadius', 'warningDistance', 'stopDistance', 'reactionTime', 'resumeDelay'].forEach(key => {
+          if (safety[key] !== undefined) checkNumber(errors, safety, key, `robot.safety.${key}`, { min: 0 });
+        });
+        if (safety.reducedSpeed !== undefined) {
+          checkNumber(errors, safety, 'reducedSpeed', 'robot.safety.reducedSpeed', { min: 0, max: 1 });
+        }
+        const { warningDistance, stopDistance } = { ...DEFAULT_SAFETY_CONFIG, ...safety };
+        if (warningDistance < stopDistance) {
+          errors.push(`robot.safety: la distancia de aviso (${warningDistance}) es menor que la de parada (${stopDistance})`);
+        }
+      }
+    }
+
+    // Línea de producción
+    if (!isPlainObject(document.line)) {
+      errors.push('line: debe ser un objeto');
+    } else {
+      const lineIds = new Set();
+      const checkComponent = (component, path) => {
+        if (!isPlainObject(component)) {
+          errors.push(`${path}: debe ser un objeto`);
+          return false;
+        }
+        if (!Number.isInteger(component.id) || component.id < 1) {
+          errors.push(`${path}.id: debe ser un entero positivo`);
+        } else if (lineIds.has(component.id)) {
+          errors.push(`${path}.id: el id ${component.id} está repetido`);
+        }
+        lineIds.add(component.id);
+        checkVector(errors, component.position, `${path}.position`, 3);
+        return true;
+      };
+
+      ['conveyors', 'spawners', 'sinks'].forEach(key => {
+        if (!Array.isArray(document.line[key])) {
+          errors.push(`line.${key}: debe ser una lista`);
+        }
+      });
+
+      asList(document.line.conveyors).forEach((conveyor, index) => {
+        const path = `line.conveyors[${index}]`;
+        if (!checkComponent(conveyor, path)) return;
+        ['length', 'width', 'height'].forEach(key => {
+          checkNumber(errors, conveyor, key, `${path}.${key}`, { min: 0, exclusiveMin: true });
+        });
+        checkNumber(errors, conveyor, 'speed', `${path}.speed`);
+        checkNumber(errors, conveyor, 'direction', `${path}.direction`);
+      });
+
+      asList(document.line.spawners).forEach((spawner, index) => {
+        const path = `line.spawners[${index}]`;
+        if (!checkComponent(spawner, path)) return;
+        checkNumber(errors, spawner, 'interval', `${path}.interval`, { min: 0, exclusiveMin: true });
+        // Las piezas de un material de la biblioteca pueden tomar la masa de su densidad
+        if (spawner.mass !== undefined || typeof spawner.material !== 'string') {
+          checkNumber(errors, spawner, 'mass', `${path}.mass`, { min: 0, exclusiveMin: true });
+        }
+        checkNumber(errors, spawner, 'color', `${path}.color`, { min: 0, max: 0xffffff });
+        if (spawner.maxParts !== undefined && (!Number.isInteger(spawner.maxParts) || spawner.maxParts < 0)) {
+          errors.push(`${path}.maxParts: debe ser un entero mayor o igual a 0`);
+        }
+
+        // Los generadores solo emiten formas primitivas
+        const dimensionKeys = spawner.shape === 'mesh' ? undefined : SCENE_SHAPES[spawner.shape];
+        if (!dimensionKeys) {
+          const shapes = Object.keys(SCENE_SHAPES).filter(shape => shape !== 'mesh');
+          errors.push(`${path}.shape: "${spawner.shape}" no es una forma soportada (${shapes.join(', ')})`);
+        } else if (!isPlainObject(spawner.dimensions)) {
+          errors.push(`${path}.dimensions: debe ser un objeto`);
+        } else {
+          dimensionKeys.forEach(key => {
+            checkNumber(errors, spawner.dimensions, key, `${path}.dimensions.${key}`, { min: 0, exclusiveMin: true });
+          });
+        }
+
+        checkMaterial(errors, spawner.material, `${path}.material`, materialNames);
+        checkFragility(errors, spawner.fragility, `${path}.fragility`);
+      });
+
+      asList(document.line.sinks).forEach((sink, index) => {
+        const path = `line.sinks[${index}]`;
+        if (!checkComponent(sink, path)) return;
+        checkVector(errors, sink.size, `${path}.size`, 3);
+        checkNumber(errors, sink, 'direction', `${path}.direction`);
+      });
+    }
+
+    // Vistas de cámara
+    if (!Array.isArray(document.views)) {
+      errors.push('views: debe ser una lista');
+    } else {
+      const names = new Set();
+      document.views.forEach((view, index) => {
+        const path = `views[${index}]`;
+        if (!isPlainObject(view)) {
+          errors.push(`${path}: debe ser un objeto`);
+          return;
+        }
+        if (typeof view.name !== 'string' || view.name.trim() === '') {
+          errors.push(`${path}.name: debe ser un texto no vacío`);
+        } else if (names.has(view.name)) {
+          errors.push(`${path}.name: el nombre "${view.name}" está repetido`);
+        }
+        names.add(view.name);
+        checkVector(errors, view.position, `${path}.position`, 3);
+        checkVector(errors, view.target, `${path}.target`, 3);
+      });
+    }
+
+    // Objetos
+    if (!Array.isArray(document.objects)) {
+      errors.push('objects: debe ser una lista');
+    } else {
+      const ids = new Set();
+      document.objects.forEach((object, index) => {
+        const path = `objects[${index}]`;
+        if (!isPlainObject(object)) {
+          errors.push(`${path}: debe ser un objeto`);
+          return;
+        }
+
+        if (!Number.isInteger(object.id) || object.id < 1) {
+          errors.push(`${path}.id: debe ser un entero positivo`);
+        } else if (ids.has(object.id)) {
+          errors.push(`${path}.id: el id ${object.id} está repetido`);
+        }
+        ids.add(object.id);
+
+        checkSceneObject(errors, object, path, { materialNames, meshNames });
+      });
+    }
+
+    if (errors.length > 0) {
+      throw new SceneFormatError('La escena no es válida', errors);
+    }
+
+    return document;
+  }
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function asList(value) {
+  return Array.isArray(value) ? value : [];
+}
+
+function checkNumber(errors, container, key, path, limits = {}) {
+  const value = container[key];
+  if (typeof value !== 'number' || !Number.isFinite(value)) {
+    errors.push(`${path}: debe ser un número (se recibió ${JSON.stringify(value)})`);
+    return;
+  }
+
+  if (limits.integer && !Number.isInteger(value)) {
+    errors.push(`${path}: debe ser un número entero (se recibió ${value})`);
+  }
+  if (limits.min !== undefined && (limits.exclusiveMin ? value <= limits.min : value < limits.min)) {
+    errors.push(`${path}: debe ser ${limits.exclusiveMin ? 'mayor que' : 'mayor o igual a'} ${limits.min} (se recibió ${value})`);
+  }
+  if (limits.max !== undefined && value > limits.max) {
+    errors.push(`${path}: debe ser menor o igual a ${limits.max} (se recibió ${value})`);
+  }
+}
+
+function checkConfig(errors, values, path, keys = Object.keys(CONFIG_LIMITS)) {
+  // Parámetros de configuración conocidos y dentro de sus límites
+  Object.keys(values).forEach(key => {
+    if (!keys.includes(key)) {
+      errors.push(`${path}.${key}: parámetro desconocido (válidos: ${keys.join(', ')})`);
+    } else {
+      checkNumber(errors, values, key, `${path}.${key}`, CONFIG_LIMITS[key]);
+    }
+  });
+}
+
+// Material de un objeto o de las piezas de un generador: nombre de la biblioteca o coeficientes propios
+function checkMaterial(errors, material, path, materialNames) {
+  if (typeof material === 'string') {
+    if (!materialNames.has(material)) {
+      errors.push(`${path}: el material "${material}" no está definido en materials.definitions`);
+    }
+  } else if (!isPlainObject(material)) {
+    errors.push(`${path}: debe ser el nombre de un material o un objeto { friction, restitution }`);
+  } else {
+    checkNumber(errors, material, 'friction', `${path}.friction`, { min: 0 });
+    checkNumber(errors, material, 'restitution', `${path}.restitution`, { min: 0, max: 1 });
+  }
+}
+
+// Fragilidad: nivel predefinido o umbrales propios en J
+function checkFragility(errors, fragility, path) {
+  if (typeof fragility === 'string') {
+    if (!FRAGILITY_LEVELS[fragility]) {
+      errors.push(`${path}: "${fragility}" no es un nivel de fragilidad (${Object.keys(FRAGILITY_LEVELS).join(', ')})`);
+    }
+  } else if (!isPlainObject(fragility)) {
+    errors.push(`${path}: debe ser un nivel de fragilidad o un objeto { threshold, capacity }`);
+  } else {
+    checkNumber(errors, fragility, 'threshold', `${path}.threshold`, { min: 0 });
+    checkNumber(errors, fragility, 'capacity', `${path}.capacity`, { min: 0, exclusiveMin: true });
+  }
+}
+
+function checkSceneObject(errors, object, path, { materialNames, meshNames, spec = false }) {
+  // Como especificación de spawnObject solo son obligatorias la forma, las dimensiones y
+  // la posición; el motor completa el resto
+  const required = (key) => !spec || object[key] !== undefined;
+
+  const dimensionKeys = SCENE_SHAPES[object.shape];
+  if (!dimensionKeys) {
+    errors.push(`${path}.shape: "${object.shape}" no es una forma soportada (${Object.keys(SCENE_SHAPES).join(', ')})`);
+  } else if (!isPlainObject(object.dimensions)) {
+    errors.push(`${path}.dimensions: debe ser un objeto`);
+  } else {
+    dimensionKeys.forEach(key => {
+      checkNumber(errors, object.dimensions, key, `${path}.dimensions.${key}`, { min: 0, exclusiveMin: true });
+    });
+  }
+  if (object.shape === 'mesh') {
+    if (!meshNames.has(object.mesh)) {
+      errors.push(`${path}.mesh: la malla ${JSON.stringify(object.mesh)} no está definida en meshes`);
+    }
+    if (!MESH_COLLIDERS[object.collider]) {
+      errors.push(`${path}.collider: "${object.collider}" no es un colisionador (${Object.keys(MESH_COLLIDERS).join(', ')})`);
+    }
+  }
+
+  // Sin masa, un objeto de un material de la biblioteca la toma de su densidad
+  if (object.mass !== undefined || (!spec && typeof object.material !== 'string')) {
+    checkNumber(errors, object, 'mass', `${path}.mass`, { min: 0 });
+  }
+  if (required('color')) {
+    checkNumber(errors, object, 'color', `${path}.color`, { min: 0, max: 0xffffff });
+  }
+  if (required('material')) {
+    checkMaterial(errors, object.material, `${path}.material`, materialNames);
+  }
+  if (required('fragility')) {
+    checkFragility(errors, object.fragility, `${path}.fragility`);
+  }
+  if (required('damage')) {
+    checkNumber(errors, object, 'damage', `${path}.damage`, { min: 0 });
+  }
+
+  checkVector(errors, object.position, `${path}.position`, 3);
+  [['quaternion', 4], ['velocity', 3], ['angularVelocity', 3]].forEach(([key, length]) => {
+    if (required(key)) {
+      checkVector(errors, object[key], `${path}.${key}`, length);
+    }
+  });
+}
+
+function checkVector(errors, value, path, length) {
+  const valid = Array.isArray(value) &&
+    value.length === length &&
+    value.every(component => typeof component === 'number' && Number.isFinite(component));
+
+  if (!valid) {
+    errors.push(`${path}: debe ser una lista de ${length} números`);
+  }
+}
+
+if (typeof module !== 'undefined') {
+  module.exports = {
+    SCENE_FORMAT_ID,
+    SCENE_FORMAT_VERSION,
+    SCENE_SHAPES,
+    CONFIG_LIMITS,
+    SCENE_CONFIG_KEYS,
+    SceneFormatError,
+    SceneFormat,
+    isPlainObject,
+    asList,
+    checkNumber,
+    checkConfig,
+    checkSceneObject,
+    checkVector
+  };
+}
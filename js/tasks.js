@@ -0,0 +1,223 @@
+/**
+ * Tareas del Robot
+ * Máquina de estados de pick-and-place: aproximarse al objeto, sujetarlo con la
+ * pinza, transportarlo y soltarlo en la pose objetivo, midiendo el tiempo de ciclo
+ */
+
+const PICK_AND_PLACE_STATES = {
+  approach: 'Aproximación',
+  descend: 'Descenso',
+  grasp: 'Agarre',
+  lift: 'Elevación',
+  transfer: 'Transporte',
+  lower: 'Colocación',
+  release: 'Liberación',
+  retreat: 'Retirada',
+  verify: 'Verificación',
+  done: 'Completada',
+  failed: 'Fallida'
+};
+
+class PickAndPlaceTask {
+  /**
+   * host: interfaz del simulador usada por la tarea
+   *   findObject(id), commandTool(point, options), isRobotSettled(), getTime(), gripper
+   * definition: { objectId, place: { position: [x, y|null, z], yaw? }, approachHeight, timeout, tolerance }
+   */
+  constructor(host, definition) {
+    this.host = host;
+    this.definition = {
+      approachHeight: 0.5,
+      timeout: 30,
+      tolerance: 0.3,
+      settleTime: 0.5,
+      ...definition
+    };
+
+    this.state = 'pending';
+    this.stateTime = 0;
+    this.elapsed = 0;
+    this.result = null;
+    this.object = null;
+
+    // Medidas tomadas durante el agarre
+    this.carryOffset = 0;
+    this.placeHeight = 0;
+    this.toolYawAtGrasp = 0;
+    this.objectYawAtGrasp = 0;
+  }
+
+  get isFinished() {
+    return this.state === 'done' || this.state === 'failed';
+  }
+
+  get stateLabel() {
+    return PICK_AND_PLACE_STATES[this.state] ?? 'Pendiente';
+  }
+
+  start() {
+    this.object = this.host.findObject(this.definition.objectId);
+    if (!this.object) {
+      this.fail(`No existe el objeto #${this.definition.objectId}`);
+      return;
+    }
+
+    this.enter('approach');
+  }
+
+  enter(state) {
+    this.state = state;
+    this.stateTime = 0;
+
+    const body = this.object.body;
+    const [placeX, , placeZ] = this.definition.place.position;
+
+    switch (state) {
+      case 'approach':
+        this.command([body.position.x, objectTop(body) + this.definition.approachHeight, body.position.z]);
+        break;
+      case 'descend':
+        this.command([body.position.x, objectTop(body) + 0.05, body.position.z]);
+        break;
+      case 'grasp':
+        this.grasp();
+        break;
+      case 'lift':
+        this.command([body.position.x, objectTop(body) + this.definition.approachHeight, body.position.z]);
+        break;
+      case 'transfer':
+        this.command([placeX, this.placeHeight + this.carryOffset + this.definition.approachHeight, placeZ], true);
+        break;
+      case 'lower':
+        this.command([placeX, this.placeHeight + this.carryOffset + 0.02, placeZ], true);
+        break;
+      case 'release':
+        this.host.gripper.release();
+        this.enter('retreat');
+        break;
+      case 'retreat':
+        this.command([placeX, this.placeHeight + this.carryOffset + this.definition.approachHeight, placeZ], true);
+        break;
+    }
+  }
+
+  command(point, keepYaw = false) {
+    if (this.isFinished) return;
+
+    const options = { approach: 'down' };
+    if (keepYaw && this.definition.place.yaw !== undefined) {
+      // Girar la muñeca para que el objeto llegue con la orientación pedida
+      options.toolYaw = this.toolYawAtGrasp + (this.definition.place.yaw - this.objectYawAtGrasp);
+    }
+
+    const result = this.host.commandTool(point, options);
+    if (!result.success) {
+      this.fail(`Punto fuera del alcance del robot (error ${result.positionError.toFixed(2)} m)`);
+    }
+  }
+
+  grasp() {
+    const body = this.object.body;
+    if (!this.host.gripper.grasp(body)) {
+      this.fail('La pinza no alcanzó el objeto');
+      return;
+    }
+
+    // Distancia vertical herramienta-centro y altura de colocación
+    body.computeAABB();
+    const halfHeight = (body.aabb.upperBound.y - body.aabb.lowerBound.y) / 2;
+    this.carryOffset = this.host.gripper.body.position.y - body.position.y;
+    this.placeHeight = this.definition.place.position[1] ?? halfHeight;
+    this.toolYawAtGrasp = this.host.getToolYaw();
+    this.objectYawAtGrasp = bodyYaw(body.quaternion);
+
+    this.enter('lift');
+  }
+
+  update(dt) {
+    if (this.isFinished || this.state === 'pending') return;
+
+    this.elapsed += dt;
+    this.stateTime += dt;
+
+    if (this.elapsed > this.definition.timeout) {
+      this.fail(`Tiempo agotado durante ${this.stateLabel.toLowerCase()}`);
+      return;
+    }
+
+    const carrying = ['lift', 'transfer', 'lower'].includes(this.state);
+    if (carrying && !this.host.gripper.isHolding) {
+      this.fail('El objeto se soltó durante el transporte');
+      return;
+    }
+
+    if (this.state === 'verify') {
+      if (this.stateTime >= this.definition.settleTime) {
+        this.verify();
+      }
+      return;
+    }
+
+    if (!this.host.isRobotSettled()) return;
+
+    const next = {
+      approach: 'descend',
+      descend: 'grasp',
+      lift: 'transfer',
+      transfer: 'lower',
+      lower: 'release',
+      retreat: 'verify'
+    }[this.state];
+    this.enter(next);
+  }
+
+  verify() {
+    // Error horizontal entre el centro del objeto y la posición objetivo
+    const [placeX, , placeZ] = this.definition.place.position;
+    const position = this.object.body.position;
+    const positionError = Math.hypot(position.x - placeX, position.z - placeZ);
+
+    if (positionError <= this.definition.tolerance) {
+      this.finish(true, 'Objeto colocado en el objetivo', positionError);
+    } else {
+      this.finish(false, `Objeto fuera de tolerancia (${positionError.toFixed(2)} m)`, positionError);
+    }
+  }
+
+  fail(message) {
+    if (this.isFinished) return;
+    if (this.host.gripper.isHolding) {
+      this.host.gripper.release();
+    }
+    this.finish(false, message, null);
+  }
+
+  cancel() {
+    this.fail('Tarea cancelada');
+  }
+
+  finish(success, message, positionError) {
+    this.state = success ? 'done' : 'failed';
+    this.result = {
+      success,
+      message,
+      cycleTime: this.elapsed,
+      positionError
+    };
+  }
+}
+
+function objectTop(body) {
+  body.computeAABB();
+  return body.aabb.upperBound.y;
+}
+
+function bodyYaw(quaternion) {
+  // Rotación alrededor del eje vertical (Y) de la escena
+  const { x, y, z, w } = quaternion;
+  return Math.atan2(2 * (w * y + x * z), 1 - 2 * (x * x + y * y));
+}
+
+if (typeof module !== 'undefined') {
+  module.exports = { PICK_AND_PLACE_STATES, PickAndPlaceTask, objectTop, bodyYaw };
+}
@@ -0,0 +1,177 @@
+/**
+ * Registro de Telemetría
+ * Muestras del estado de cada objeto y del robot sobre el tiempo simulado, con
+ * frecuencia configurable, exportables como CSV o JSON Lines para analizarlas fuera.
+ */
+
+const TELEMETRY_OBJECT_COLUMNS = [
+  'time_s', 'step', 'id', 'shape',
+  'x_m', 'y_m', 'z_m',
+  'vx_m_s', 'vy_m_s', 'vz_m_s',
+  'wx_rad_s', 'wy_rad_s', 'wz_rad_s',
+  'speed_m_s', 'kinetic_energy_J', 'potential_energy_J'
+];
+
+class TelemetryLogger {
+  /**
+   * options:
+   *   rate: muestras por segundo simulado (0 = todos los pasos)
+   *   capacity: muestras guardadas; al llenarse se descartan las más antiguas
+   *   maxRows: filas de objeto entre todas las muestras; con muchos objetos se descartan
+   *            muestras antiguas antes de llenar el buffer
+   */
+  constructor(options = {}) {
+    this.rate = options.rate ?? 0;
+    this.capacity = options.capacity ?? 20000;
+    this.maxRows = options.maxRows ?? 500000;
+    this.enabled = false;
+    this.clear();
+  }
+
+  start(rate = this.rate) {
+    this.rate = rate;
+    this.enabled = true;
+    this.nextSampleTime = -Infinity;
+  }
+
+  stop() {
+    this.enabled = false;
+  }
+
+  clear() {
+    // Buffer circular: las muestras van de head a head + length (módulo capacity)
+    this.buffer = new Array(this.capacity);
+    this.head = 0;
+    this.length = 0;
+    this.rows = 0;
+    this.dropped = 0;
+    this.nextSampleTime = -Infinity;
+  }
+
+  get(index) {
+    if (index < 0 || index >= this.length) return null;
+    return this.buffer[(this.head + index) % this.capacity];
+  }
+
+  get samples() {
+    // Copia en orden cronológico
+    return Array.from({ length: this.length }, (_, i) => this.get(i));
+  }
+
+  capture(engine) {
+    // Llamado tras cada paso fijo; respeta la frecuencia de muestreo pedida
+    const time = engine.simulationTime;
+    if (time < this.nextSampleTime - 1e-9) return;
+    this.nextSampleTime = this.rate > 0 ? time + 1 / this.rate : -Infinity;
+
+    const vector = (v) => [v.x, v.y, v.z];
+    const arm = engine.robotArm;
+    const tool = engine.getToolPose().position;
+
+    const sample = {
+      time,
+      step: engine.stepCount,
+      objects: engine.objects.map(object => ({
+        id: object.id,
+        shape: object.type,
+        position: vector(object.body.position),
+        velocity: vector(object.body.velocity),
+        angularVelocity: vector(object.body.angularVelocity),
+        ...engine.measureObject(object)
+      })),
+      robot: {
+        joints: [...arm.joints],
+        jointVelocities: [...arm.jointVelocities],
+        jointAccelerations: [...arm.jointAccelerations],
+        jointTargets: [...arm.jointTargets],
+        toolPosition: vector(tool)
+      }
+    };
+
+    if (this.length === this.capacity) {
+      this.dropFirst();
+    }
+    this.buffer[(this.head + this.length) % this.capacity] = sample;
+    this.length++;
+    this.rows += sample.objects.length;
+
+    while (this.rows > this.maxRows && this.length > 1) {
+      this.dropFirst();
+    }
+  }
+
+  dropFirst() {
+    this.rows -= this.buffer[this.head].objects.length;
+    this.buffer[this.head] = undefined;
+    this.head = (this.head + 1) % this.capacity;
+    this.length--;
+    this.dropped++;
+  }
+
+  truncateAfter(time) {
+    // Al reanudar desde un instante anterior se descarta lo registrado después
+    while (this.length > 0 && this.get(this.length - 1).time > time) {
+      const index = (this.head + this.length - 1) % this.capacity;
+      this.rows -= this.buffer[index].objects.length;
+      this.buffer[index] = undefined;
+      this.length--;
+    }
+    this.nextSampleTime = -Infinity;
+  }
+
+  objectsToCSV() {
+    const rows = [];
+    this.samples.forEach(sample => {
+      sample.objects.forEach(object => {
+        rows.push([
+          sample.time.toFixed(4),
+          sample.step,
+          object.id,
+          object.shape,
+          ...object.position.map(value => value.toFixed(4)),
+          ...object.velocity.map(value => value.toFixed(4)),
+          ...object.angularVelocity.map(value => value.toFixed(4)),
+          object.speed.toFixed(4),
+          object.kineticEnergy.toFixed(4),
+          object.potentialEnergy.toFixed(4)
+        ].join(','));
+      });
+    });
+
+    return [TELEMETRY_OBJECT_COLUMNS.join(','), ...rows].join('\n');
+  }
+
+  robotToCSV() {
+    // Una columna por articulación; el número de articulaciones sale de la primera muestra
+    const dof = this.length > 0 ? this.get(0).robot.joints.length : 0;
+    const perJoint = (prefix, unit) => Array.from({ length: dof }, (_, i) => `${prefix}${i}_${unit}`);
+    const header = [
+      'time_s', 'step',
+      ...perJoint('q', 'rad'),
+      ...perJoint('dq', 'rad_s'),
+      ...perJoint('ddq', 'rad_s2'),
+      ...perJoint('target', 'rad'),
+      'tool_x_m', 'tool_y_m', 'tool_z_m'
+    ];
+
+    const rows = this.samples.map(sample => [
+      sample.time.toFixed(4),
+      sample.step,
+      ...sample.robot.joints.map(value => value.toFixed(5)),
+      ...sample.robot.jointVelocities.map(value => value.toFixed(5)),
+      ...sample.robot.jointAccelerations.map(value => value.toFixed(5)),
+      ...sample.robot.jointTargets.map(value => value.toFixed(5)),
+      ...sample.robot.toolPosition.map(value => value.toFixed(4))
+    ].join(','));
+
+    return [header.join(','), ...rows].join('\n');
+  }
+
+  toJSONLines() {
+    return this.samples.map(sample => JSON.stringify(sample)).join('\n');
+  }
+}
+
+if (typeof module !== 'undefined') {
+  module.exports = { TELEMETRY_OBJECT_COLUMNS, TelemetryLogger };
+}
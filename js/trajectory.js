@@ -0,0 +1,172 @@
+/**
+ * Planificador de Trayectorias
+ * Trayectorias articulares parametrizadas en el tiempo entre puntos de paso, con perfil
+ * de velocidad trapezoidal o de mínimo jerk. Todas las articulaciones se sincronizan para
+ * llegar a la vez a cada punto sin superar los límites de velocidad y aceleración.
+ */
+
+const TRAJECTORY_PROFILES = {
+  trapezoidal: 'Trapezoidal',
+  minimumJerk: 'Mínimo jerk'
+};
+
+class TrajectoryPlanner {
+  constructor(options = {}) {
+    this.maxVelocity = options.maxVelocity ?? 2; // rad/s
+    this.maxAcceleration = options.maxAcceleration ?? 4; // rad/s²
+    this.profile = options.profile ?? 'trapezoidal';
+
+    // Con un límite nulo ningún tramo llegaría a su destino en un tiempo finito
+    if (!(this.maxVelocity > 0) || !(this.maxAcceleration > 0)) {
+      throw new RangeError(
+        `Los límites de velocidad y aceleración deben ser mayores que 0 (se recibió ${this.maxVelocity} rad/s y ${this.maxAcceleration} rad/s²)`
+      );
+    }
+  }
+
+  plan(waypoints) {
+    const segments = [];
+    let start = 0;
+
+    for (let i = 0; i < waypoints.length - 1; i++) {
+      const from = [...waypoints[i]];
+      const to = [...waypoints[i + 1]];
+
+      // La articulación con mayor recorrido fija la duración; el resto se escala con ella
+      const distance = Math.max(...to.map((value, j) => Math.abs(value - from[j])));
+      if (distance < 1e-9) continue;
+
+      const timing = this.timeSegment(distance);
+      segments.push({ from, to, distance, start, ...timing });
+      start += timing.duration;
+    }
+
+    return new JointTrajectory(segments, waypoints[waypoints.length - 1], this.profile);
+  }
+
+  timeSegment(distance) {
+    const v = this.maxVelocity;
+    const a = this.maxAcceleration;
+
+    if (this.profile === 'minimumJerk') {
+      // Picos del polinomio de quinto grado: v = 1.875 D/T, a = 5.7735 D/T²
+      return {
+        duration: Math.max(1.875 * distance / v, Math.sqrt(5.7735 * distance / a))
+      };
+    }
+
+    // Trapezoidal: si no hay distancia para alcanzar la velocidad máxima, el perfil es triangular
+    if (distance * a >= v * v) {
+      return { duration: distance / v + v / a, accelTime: v / a, peakVelocity: v };
+    }
+    const accelTime = Math.sqrt(distance / a);
+    return { duration: 2 * accelTime, accelTime, peakVelocity: a * accelTime };
+  }
+}
+
+class JointTrajectory {
+  constructor(segments, final, profile) {
+    this.segments = segments;
+    this.final = [...final];
+    this.profile = profile;
+  }
+
+  get duration() {
+    const last = this.segments[this.segments.length - 1];
+    return last ? last.start + last.duration : 0;
+  }
+
+  sample(time) {
+    const segment = this.segments.find(item => time < item.start + item.duration);
+    if (!segment) {
+      const zeros = this.final.map(() => 0);
+      return { positions: [...this.final], velocities: zeros, accelerations: [...zeros] };
+    }
+
+    // Perfil normalizado s(t) ∈ [0, 1] y sus derivadas temporales
+    const [s, ds, dds] = this.profile === 'minimumJerk'
+      ? minimumJerkProfile(Math.max(0, time - segment.start), segment.duration)
+      : trapezoidalProfile(Math.max(0, time - segment.start), segment);
+
+    const deltas = segment.to.map((value, j) => value - segment.from[j]);
+    return {
+      positions: segment.from.map((value, j) => value + deltas[j] * s),
+      velocities: deltas.map(delta => delta * ds),
+      accelerations: deltas.map(delta => delta * dds)
+    };
+  }
+
+  metrics(dt, inertias) {
+    // Muestreo al paso de control: el jerk se mide como variación de la aceleración por paso
+    let peakVelocity = 0;
+    let peakAcceleration = 0;
+    let peakJerk = 0;
+    let energy = 0;
+    let previous = this.sample(0).accelerations.map(() => 0);
+
+    const steps = Math.ceil(this.duration / dt);
+    for (let step = 0; step <= steps + 1; step++) {
+      const { velocities, accelerations } = this.sample(step * dt);
+
+      velocities.forEach((velocity, j) => {
+        peakVelocity = Math.max(peakVelocity, Math.abs(velocity));
+        peakAcceleration = Math.max(peakAcceleration, Math.abs(accelerations[j]));
+        peakJerk = Math.max(peakJerk, Math.abs(accelerations[j] - previous[j]) / dt);
+
+        // Trabajo de los pares de aceleración (sin recuperación al frenar)
+        energy += Math.abs(inertias[j] * accelerations[j] * velocity) * dt;
+      });
+      previous = accelerations;
+    }
+
+    return {
+      profile: this.profile,
+      cycleTime: this.duration,
+      peakVelocity,
+      peakAcceleration,
+      peakJerk,
+      energy
+    };
+  }
+}
+
+function trapezoidalProfile(t, segment) {
+  const { distance, duration, accelTime, peakVelocity } = segment;
+  const a = peakVelocity / accelTime;
+  let position;
+  let velocity;
+  let acceleration;
+
+  if (t < accelTime) {
+    position = 0.5 * a * t * t;
+    velocity = a * t;
+    acceleration = a;
+  } else if (t < duration - accelTime) {
+    position = 0.5 * a * accelTime * accelTime + peakVelocity * (t - accelTime);
+    velocity = peakVelocity;
+    acceleration = 0;
+  } else {
+    const remaining = duration - t;
+    position = distance - 0.5 * a * remaining * remaining;
+    velocity = a * remaining;
+    acceleration = -a;
+  }
+
+  return [position / distance, velocity / distance, acceleration / distance];
+}
+
+function minimumJerkProfile(t, duration) {
+  const tau = t / duration;
+  const tau2 = tau * tau;
+  const tau3 = tau2 * tau;
+
+  return [
+    10 * tau3 - 15 * tau3 * tau + 6 * tau3 * tau2,
+    (30 * tau2 - 60 * tau3 + 30 * tau3 * tau) / duration,
+    (60 * tau - 180 * tau2 + 120 * tau3) / (duration * duration)
+  ];
+}
+
+if (typeof module !== 'undefined') {
+  module.exports = { TRAJECTORY_PROFILES, TrajectoryPlanner, JointTrajectory, trapezoidalProfile, minimumJerkProfile };
+}
@@ -0,0 +1,278 @@
+/**
+ * Puente con el Hilo de Física
+ * Con un Web Worker disponible, la página no avanza su SimulationEngine: lo usa como
+ * réplica que recibe los frames calculados en js/physics-worker.js (objetos nuevos y
+ * retirados, impactos, intrusiones en las zonas de seguridad, robot y tarea) y reenvía al worker cada cambio hecho sobre ella
+ * (crear objetos, impulsos, configuración, robot, línea, escenas). El resto de la página
+ * sigue leyendo y modificando el motor como siempre.
+ */
+
+// Órdenes del motor que el worker repite tal cual; las referencias a objetos viajan por id
+const FORWARDED_METHODS = [
+  'removeObject', 'applyImpulse', 'updateObject', 'pinObject', 'applyConfig',
+  'commandTool', 'resetRobot', 'optimizeTrajectory', 'planCollisionFreePath',
+  'addTrajectoryWaypoint', 'clearTrajectoryWaypoints', 'startPickAndPlace', 'cancelTask',
+  'clearProductionLine', 'applyLayout', 'setMaterials', 'addMesh', 'setSafetyConfig', 'setSeed', 'reset', 'loadScene'
+];
+
+// Órdenes cuyo resultado se reenvía en lugar de los argumentos (ids asignados aquí)
+const FORWARDED_RESULTS = {
+  spawnObject: (engine, object) => ['spawnObject', [engine.getObjectSpec(object)]],
+  duplicateObject: (engine, object) => ['spawnObject', [engine.getObjectSpec(object)]],
+  addConveyor: (engine, conveyor) => ['addConveyor', [conveyor.toJSON()]],
+  addSpawner: (engine, spawner) => ['addSpawner', [spawner.toJSON()]],
+  addSink: (engine, sink) => ['addSink', [sink.toJSON()]],
+  activateRobot: (engine) => ['activateRobot', [engine.robotArm.isActive]]
+};
+
+class PhysicsWorkerBridge {
+  /**
+   * options:
+   *   url: script del worker (por defecto js/physics-worker.js)
+   *   onError(message, fatal): falló una orden (se reenvía la escena entera) o, con fatal,
+   *                            el worker no pudo cargar y la página debe avanzar el motor
+   */
+  constructor(engine, options = {}) {
+    this.engine = engine;
+    this.onError = options.onError ?? (() => {});
+
+    // Un solo mensaje de paso en curso; el tiempo real se acumula hasta la respuesta
+    this.busy = false;
+    this.pendingSeconds = 0;
+    this.appliedSteps = 0;
+    this.queuedSteps = 0;
+    this.stepTime = 0;
+    this.waiting = [];
+
+    // Órdenes enviadas: una respuesta que no las ha visto no corrige el robot ni la tarea
+    this.sentCalls = 0;
+    this.depth = 0;
+    this.applying = false;
+    this.suspended = false;
+    this.failed = false;
+
+    this.worker = new Worker(options.url ?? 'js/physics-worker.js');
+    this.worker.onmessage = ({ data }) => this.receive(data);
+    this.worker.onerror = (event) => {
+      // Error fuera de los mensajes (p. ej. al importar los scripts): el worker no sirve
+      event.preventDefault();
+      this.failed = true;
+      this.suspended = true;
+      this.worker.terminate();
+      this.waiting.splice(0).forEach(resolve => resolve(this.engine.stats));
+      this.onError(event.message || 'No se pudo iniciar el hilo de física', true);
+    };
+
+    this.wrapEngine();
+    this.sync();
+  }
+
+  wrapEngine() {
+    // Solo se reenvía la orden más externa: las que ésta llama por dentro las repite el worker
+    const engine = this.engine;
+    const wrap = (name, forward) => {
+      const original = engine[name].bind(engine);
+      engine[name] = (...args) => {
+        const random = engine.random.getState();
+        this.depth++;
+        let result;
+        try {
+          result = original(...args);
+        } finally {
+          this.depth--;
+        }
+        if (this.depth === 0 && !this.applying && !this.suspended) {
+          forward(args, result, random);
+        }
+        return result;
+      };
+    };
+
+    FORWARDED_METHODS.forEach(name => wrap(name, (args, result, random) => this.call(name, args, random)));
+    Object.entries(FORWARDED_RESULTS).forEach(([name, build]) => {
+      wrap(name, (args, result, random) => {
+        const [method, forwardedArgs] = build(engine, result);
+        this.call(method, forwardedArgs, random);
+      });
+    });
+
+    // Reanudar desde un frame grabado cambia demasiado estado: se envía la escena entera
+    wrap('resumeFrom', () => this.sync());
+  }
+
+  call(method, args, random) {
+    this.sentCalls++;
+    this.worker.postMessage({ type: 'call', method, args: args.map(encodeArgument), seed: this.engine.seed, random });
+  }
+
+  sync() {
+    const engine = this.engine;
+    this.sentCalls++;
+    this.worker.postMessage({
+      type: 'sync',
+      state: {
+        scene: engine.serializeScene(),
+        time: engine.simulationTime,
+        step: engine.stepCount,
+        collisionCount: engine.collisionMonitor.totalCount,
+        robot: engine.getRobotState(),
+        robotActive: engine.robotArm.isActive,
+        line: engine.productionLine.getState(),
+        parts: [...engine.productionLine.partIds]
+      }
+    });
+  }
+
+  suspend() {
+    // Operaciones que avanzan la réplica por su cuenta (p. ej. el banco de pruebas)
+    this.suspended = true;
+  }
+
+  resume() {
+    if (this.failed) return;
+    this.suspended = false;
+    this.sync();
+  }
+
+  runFixedSteps(frameSeconds) {
+    // Mismo uso que engine.runFixedSteps: pasos aplicados desde la llamada anterior
+    this.pendingSeconds += frameSeconds;
+    if (!this.busy && !this.suspended) {
+      this.send({ seconds: this.pendingSeconds }, this.engine.config.maxSubSteps);
+      this.pendingSeconds = 0;
+    }
+
+    const applied = this.appliedSteps;
+    this.appliedSteps = 0;
+    return applied;
+  }
+
+  step(count = 1) {
+    // Pasos sueltos (p. ej. en pausa); se resuelve al aplicarlos
+    return new Promise(resolve => {
+      this.waiting.push(resolve);
+      this.queuedSteps += count;
+      if (!this.busy) this.sendQueuedSteps();
+    });
+  }
+
+  sendQueuedSteps() {
+    this.send({ steps: this.queuedSteps }, this.queuedSteps);
+    this.queuedSteps = 0;
+  }
+
+  send(message, maxSteps) {
+    // Reservar ids para las piezas que puedan emitir los generadores durante el paso
+    const engine = this.engine;
+    const nextObjectId = engine.nextObjectId;
+    engine.nextObjectId += engine.productionLine.spawners.length * maxSteps;
+
+    this.busy = true;
+    this.worker.postMessage({ type: 'step', ...message, nextObjectId });
+  }
+
+  receive(data) {
+    if (data.type === 'error') {
+      // La réplica y el worker pueden haber divergido: volver a partir de la escena de la página
+      if (data.source === 'step') this.busy = false;
+      if (data.source !== 'sync') this.sync();
+      this.onError(data.message, false);
+    } else {
+      this.busy = false;
+      this.stepTime = data.duration;
+      if (!this.suspended) {
+        this.applying = true;
+        try {
+          this.apply(data);
+        } finally {
+          this.applying = false;
+        }
+      }
+    }
+
+    // Pasos sueltos pedidos mientras había otro mensaje de paso en curso
+    if (this.queuedSteps > 0) {
+      this.sendQueuedSteps();
+    } else if (!this.busy) {
+      this.waiting.splice(0).forEach(resolve => resolve(this.engine.stats));
+    }
+  }
+
+  apply({ calls, frames, added, retired, impacts, violations, runtime }) {
+    const engine = this.engine;
+    const current = calls === this.sentCalls;
+
+    // Piezas emitidas por los generadores en el worker
+    added.forEach(spec => {
+      if (engine.findObject(spec.id)) return;
+      engine.spawnObject(spec);
+      engine.productionLine.partIds.add(spec.id);
+    });
+
+    // Los impactos dañan las piezas igual que en el worker; los frames fijan el resultado
+    const bodyId = (objectId) => {
+      const object = objectId === null ? null : engine.findObject(objectId);
+      return object ? object.body.id : -1;
+    };
+    impacts.forEach(impact => {
+      const { objectIdA, objectIdB, ...recorded } = impact;
+      engine.collisionMonitor.record({ ...recorded, bodyIdA: bodyId(objectIdA), bodyIdB: bodyId(objectIdB) });
+    });
+
+    // Las intrusiones se anotan en la réplica; los frames fijan el estado de las zonas
+    violations.forEach(violation => {
+      engine.safety.record(violation);
+      engine.emit('safetyViolation', violation);
+    });
+
+    frames.forEach(frame => {
+      engine.simulationTime = frame.time;
+      engine.stepCount = frame.step;
+      engine.applyFrame(frame);
+      if (engine.record) engine.recorder.record(frame);
+      if (engine.telemetry.enabled) engine.telemetry.capture(engine);
+    });
+
+    retired.forEach(id => {
+      const object = engine.findObject(id);
+      if (object) engine.removeObject(object);
+    });
+
+    // Robot, pinza y tarea solo si el worker ya ha visto todas las órdenes enviadas
+    if (current) {
+      engine.nextObjectId = runtime.nextObjectId;
+      engine.robotArm.isActive = runtime.robotActive;
+      if (!runtime.trajectory) engine.stopTrajectory();
+
+      const held = runtime.holding === null ? null : engine.findObject(runtime.holding);
+      engine.gripper.heldBody = held ? held.body : null;
+
+      const task = engine.activeTask;
+      if (task && runtime.task && !task.isFinished) {
+        Object.assign(task, runtime.task);
+        if (task.isFinished) engine.emit('taskFinished', task);
+      }
+    }
+
+    engine.updateStatistics();
+    this.appliedSteps += frames.length;
+  }
+
+  terminate() {
+    this.worker.terminate();
+  }
+}
+
+function encodeArgument(value) {
+  // Los objetos de la escena se envían como { objectRef: id }; el resto se clona tal cual
+  if (Array.isArray(value)) return value.map(encodeArgument);
+  if (value && typeof value === 'object' && value.body instanceof CANNON.Body) return { objectRef: value.id };
+  if (value && typeof value === 'object' && value.constructor === Object) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, encodeArgument(item)]));
+  }
+  return value;
+}
+
+if (typeof module !== 'undefined') {
+  module.exports = { PhysicsWorkerBridge };
+}
@@ -1,6 +1,7 @@
 /**
  * Simulador Industrial 3D - Línea de Producción
- * Implementa física realista, análisis de colisiones, y robótica industrial
+ * Interfaz de la página: escena Three.js, paneles y reproducción sobre el motor de
+ * simulación sin DOM (js/engine.js), que implementa la física, el robot y el análisis
  */
 
 class IndustrialSimulator {
@@ -11,41 +12,58 @@ class IndustrialSimulator {
     this.renderer = null;
     this.canvas = null;
     
-    // Configuración de Física (Cannon.js)
-    this.world = null;
-    this.physicsObjects = [];
+    // Motor de simulación (física, robot, línea de producción y estadísticas)
+    this.engine = null;
     
-    // Objetos de simulación
-    this.objects = [];
-    this.vectors = [];
-    this.robots = [];
+    // Representación visual de los objetos (instancias por forma, con un proxy por objeto
+    // para su pose) y de la línea de producción
+    this.objectRenderer = null;
+    this.objectMeshes = new Map();
+    this.lineMeshes = new Map();
+    this.damageColor = new THREE.Color(0xff2a2a);
+    
+    // Flechas de velocidad y momento, reutilizadas entre actualizaciones
+    this.arrowPool = [];
+    
+    // Selección: objeto del inspector y gizmo de transformación
+    this.selectionMode = false;
+    this.selectedObject = null;
+    this.gizmo = null;
+    this.suppressClick = false;
+    this.pointerDown = null;
+    
+    // Navegación: órbita libre, seguir el objeto seleccionado o cámara de la herramienta
+    this.orbitControls = null;
+    this.cameraMode = 'orbit';
     
     // Control de simulación
     this.isRunning = false;
-    this.deltaTime = 1/60;
-    this.simulationTime = 0;
     this.frameCount = 0;
-    
-    // Configuración actual
-    this.config = {
-      gravity: -9.8,
-      restitution: 0.6,
-      friction: 0.3,
-      mass: 5,
-      impulse: 10
+    this.lastFrameTime = null;
+    
+    // Reproducción de la línea de tiempo grabada por el motor
+    this.playback = {
+      mode: 'live',
+      time: 0,
+      direction: 0,
+      speed: 1
     };
     
-    // Estadísticas
-    this.stats = {
-      activeObjects: 0,
-      collisionCount: 0,
-      totalEnergy: 0,
-      maxVelocity: 0,
-      avgVelocity: 0,
-      currentAngle: 0,
-      angularAcceleration: 0,
-      damageReduction: 0,
-      trajectoryEfficiency: 0
+    // Puente con el hilo de física (null: el motor avanza en este hilo)
+    this.physics = null;
+    
+    // Banco de pruebas de rendimiento en curso
+    this.benchmark = null;
+    
+    // Escenario programado en curso
+    this.scenario = null;
+    
+    // Medición de rendimiento (independiente del paso de física)
+    this.frameStats = {
+      fps: 0,
+      frameTime: 0,
+      physicsTime: 0,
+      substeps: 0
     };
     
     // Inicialización
@@ -56,10 +74,13 @@ class IndustrialSimulator {
     this.showLoadingScreen();
     setTimeout(() => {
       this.setupThreeJS();
-      this.setupPhysics();
+      this.setupEngine();
+      this.setupCharts();
       this.setupLighting();
       this.setupGround();
       this.setupRoboticArm();
+      this.setupSelection();
+      this.setupCameraControls();
       this.setupEventListeners();
       this.startAnimation();
       this.hideLoadingScreen();
@@ -103,16 +124,92 @@ class IndustrialSimulator {
     this.renderer.setSize(window.innerWidth, window.innerHeight);
     this.renderer.shadowMap.enabled = true;
     this.renderer.shadowMap.type = THREE.PCFSoftShadowMap;
+    
+    this.objectRenderer = new InstancedObjectRenderer(this.scene, {
+      describe: (object) => this.describeObjectShape(object)
+    });
+  }
+  
+  setupCharts() {
+    // Historial de estadísticas sobre el tiempo simulado
+    this.charts = new ChartPanel(document.getElementById('chartContainer'));
+    
+    document.getElementById('pauseCharts').addEventListener('click', (e) => {
+      this.charts.setPaused(!this.charts.paused);
+      e.target.textContent = this.charts.paused ? 'Reanudar' : 'Pausar';
+    });
+    document.getElementById('exportChartsPng').addEventListener('click', () => {
+      this.downloadURL('graficas.png', this.charts.toPNG());
+    });
+    document.getElementById('exportChartsCsv').addEventListener('click', () => {
+      this.downloadFile('graficas.csv', this.charts.toCSV(), 'text/csv');
+    });
   }
   
-  setupPhysics() {
-    // Crear mundo físico
-    this.world = new CANNON.World();
-    this.world.gravity.set(0, this.config.gravity, 0);
-    this.world.broadphase = new CANNON.NaiveBroadphase();
-    this.world.solver.iterations = 10;
-    this.world.defaultContactMaterial.friction = this.config.friction;
-    this.world.defaultContactMaterial.restitution = this.config.restitution;
+  setupEngine() {
+    // Semilla nueva en cada carga de la página; se puede fijar desde el panel de Escena
+    this.engine = new SimulationEngine({ seed: Math.floor(Math.random() * 1000000) });
+    
+    // Mantener la escena visual sincronizada con los cambios del motor
+    this.engine.on('objectAdded', (object) => this.addObjectMesh(object));
+    this.engine.on('objectChanged', (object) => this.updateObjectMesh(object));
+    this.engine.on('objectRetired', (object) => {
+      if (object === this.selectedObject) this.selectObject(null);
+      this.objectMeshes.get(object).visible = false;
+    });
+    this.engine.on('objectDisposed', (object) => {
+      if (object === this.selectedObject) this.selectObject(null);
+      this.removeObjectMesh(object);
+    });
+    this.engine.on('componentAdded', (component) => this.addLineMesh(component));
+    this.engine.on('lineCleared', () => {
+      this.lineMeshes.forEach(group => this.scene.remove(group));
+      this.lineMeshes.clear();
+    });
+    this.engine.on('robotChanged', () => {
+      this.buildRobotMeshes();
+      this.renderJointReadout();
+    });
+    this.engine.on('objectBroken', (object) => {
+      this.showNotification(`${this.engine.getBodyLabel(object.body)} se ha roto`, 'warning');
+    });
+    this.engine.on('taskFinished', (task) => {
+      const { success, message } = task.result;
+      this.showNotification(`Pick & Place: ${message}`, success ? 'success' : 'error');
+    });
+    this.engine.on('layoutProgress', () => this.updateAnalysisDisplay());
+    this.engine.on('safetyViolation', (violation) => {
+      this.appendSafetyLogEntry(violation);
+      if (violation.state === 'stop') {
+        this.showNotification(
+          `Parada protectora: ${violation.label} a ${violation.separation.toFixed(2)} m del brazo (${violation.link})`,
+          'error'
+        );
+      }
+    });
+    this.engine.on('safetyChanged', () => this.reflectSafetyConfig());
+    this.engine.collisionMonitor.onCollision((impact) => this.appendCollisionLogEntry(impact));
+    
+    // Historial de ediciones de la escena (Ctrl+Z / Ctrl+Y)
+    this.history = new SceneHistory(this.engine, {
+      restore: (scene) => this.loadScene(scene),
+      onChange: () => this.renderHistory()
+    });
+    
+    // Física en un Web Worker; abierta como archivo (file://) la página no puede crearlo
+    this.physics = null;
+    if (typeof Worker !== 'undefined' && location.protocol !== 'file:') {
+      this.physics = new PhysicsWorkerBridge(this.engine, {
+        onError: (message, fatal) => {
+          if (fatal) {
+            this.physics = null;
+            this.showNotification(`La física sigue en el hilo principal: ${message}`, 'warning');
+          } else {
+            this.showNotification(`Error en el hilo de física: ${message}`, 'error');
+          }
+        }
+      });
+    }
   }
   
   setupLighting() {
@@ -141,16 +238,9 @@ class IndustrialSimulator {
   }
   
   setupGround() {
-    // Crear suelo físico
-    const groundShape = new CANNON.Plane();
-    const groundBody = new CANNON.Body({ mass: 0 });
-    groundBody.addShape(groundShape);
-    groundBody.quaternion.setFromAxisAngle(new CANNON.Vec3(1, 0, 0), -Math.PI / 2);
-    this.world.add(groundBody);
-    
-    // Crear suelo visual
+    // Suelo visual (el cuerpo físico lo crea el motor)
     const groundGeometry = new THREE.PlaneGeometry(50, 50);
-    const groundMaterial = new THREE.MeshLambertMaterial({ 
+    const groundMaterial = new THREE.MeshLambertMaterial({
       color: 0x1a1a1a,
       transparent: true,
       opacity: 0.8
@@ -168,15 +258,12 @@ class IndustrialSimulator {
   }
   
   setupRoboticArm() {
-    // Crear brazo robótico simplificado
-    this.robotArm = {
+    // Mallas del brazo; la cadena cinemática y su estado viven en el motor
+    this.robotMeshes = {
       base: new THREE.Group(),
       segments: [],
-      targetAngle: 0,
-      currentAngle: 0,
-      angularVelocity: 2,
-      angularAcceleration: 0,
-      isActive: false
+      jointMeshes: [],
+      toolMesh: null
     };
     
     // Base del robot
@@ -186,33 +273,479 @@ class IndustrialSimulator {
     baseMesh.position.y = 0.25;
     baseMesh.castShadow = true;
     baseMesh.receiveShadow = true;
-    this.robotArm.base.add(baseMesh);
-    this.scene.add(this.robotArm.base);
+    this.robotMeshes.base.add(baseMesh);
+    this.scene.add(this.robotMeshes.base);
+    
+    this.pathPreview = null;
+    
+    // Marcador del objetivo de cinemática inversa
+    this.ikTargetMarker = new THREE.Mesh(
+      new THREE.SphereGeometry(0.15, 12, 12),
+      new THREE.MeshBasicMaterial({ color: 0x39ff14, wireframe: true })
+    );
+    this.ikTargetMarker.visible = false;
+    this.scene.add(this.ikTargetMarker);
+    
+    // Zonas de seguridad: cápsulas de aviso y de parada alrededor de los eslabones
+    this.showSafetyZones = true;
+    this.safetyZones = {
+      group: new THREE.Group(),
+      zones: [
+        { distance: 'warningDistance', state: 'warning', color: 0xffaa00, opacity: 0.05, segments: [], joints: [] },
+        { distance: 'stopDistance', state: 'stop', color: 0xff3b30, opacity: 0.1, segments: [], joints: [] }
+      ]
+    };
+    this.safetyZones.zones.forEach(zone => {
+      zone.material = new THREE.MeshBasicMaterial({
+        color: zone.color,
+        transparent: true,
+        opacity: zone.opacity,
+        depthWrite: false
+      });
+    });
+    this.robotMeshes.base.add(this.safetyZones.group);
+    
+    this.buildRobotMeshes();
+    this.renderJointReadout();
+  }
+  
+  buildRobotMeshes() {
+    const meshes = this.robotMeshes;
+    const kinematics = this.engine.robotArm.kinematics;
+    
+    // Eliminar los eslabones anteriores (al cargar otra configuración DH)
+    [...meshes.segments, ...meshes.jointMeshes].forEach(mesh => meshes.base.remove(mesh));
+    meshes.segments = [];
+    meshes.jointMeshes = [];
     
-    // Primer segmento
-    const segmentGeometry = new THREE.CylinderGeometry(0.3, 0.4, 3, 8);
+    // Un eslabón por cada tramo entre articulaciones; geometría unitaria escalada en Y
+    const segmentGeometry = new THREE.CylinderGeometry(0.3, 0.4, 1, 8);
     const segmentMaterial = new THREE.MeshLambertMaterial({ color: 0x0091ff });
-    const segmentMesh = new THREE.Mesh(segmentGeometry, segmentMaterial);
-    segmentMesh.position.y = 1.75;
-    segmentMesh.castShadow = true;
-    this.robotArm.base.add(segmentMesh);
-    this.robotArm.segments.push(segmentMesh);
-    
-    // Segundo segmento
-    const secondSegment = new THREE.Mesh(segmentGeometry, segmentMaterial);
-    secondSegment.position.y = 3.75;
-    secondSegment.castShadow = true;
-    this.robotArm.base.add(secondSegment);
-    this.robotArm.segments.push(secondSegment);
+    const jointGeometry = new THREE.SphereGeometry(0.42, 12, 12);
+    const jointMaterial = new THREE.MeshLambertMaterial({ color: 0x555555 });
+    
+    kinematics.links.forEach((link, index) => {
+      const isTool = index === kinematics.dof - 1;
+      
+      if (!isTool) {
+        const segment = new THREE.Mesh(segmentGeometry, segmentMaterial);
+        segment.castShadow = true;
+        meshes.base.add(segment);
+        meshes.segments.push(segment);
+        
+        const joint = new THREE.Mesh(jointGeometry, jointMaterial);
+        joint.castShadow = true;
+        meshes.base.add(joint);
+        meshes.jointMeshes.push(joint);
+      }
+    });
     
     // Herramienta final
     const toolGeometry = new THREE.BoxGeometry(0.5, 0.2, 0.5);
     const toolMaterial = new THREE.MeshLambertMaterial({ color: 0xffaa00 });
-    const toolMesh = new THREE.Mesh(toolGeometry, toolMaterial);
-    toolMesh.position.y = 5.0;
-    toolMesh.castShadow = true;
-    this.robotArm.base.add(toolMesh);
-    this.robotArm.segments.push(toolMesh);
+    meshes.toolMesh = new THREE.Mesh(toolGeometry, toolMaterial);
+    meshes.toolMesh.castShadow = true;
+    meshes.base.add(meshes.toolMesh);
+    meshes.segments.push(meshes.toolMesh);
+    
+    this.buildSafetyZones();
+    this.updateRobotVisuals();
+  }
+  
+  buildSafetyZones() {
+    // Un cilindro por eslabón y una esfera por origen forman la cápsula de cada zona
+    const { group, zones } = this.safetyZones;
+    const dof = this.engine.robotArm.kinematics.dof;
+    const segmentGeometry = new THREE.CylinderGeometry(1, 1, 1, 16, 1, true);
+    const jointGeometry = new THREE.SphereGeometry(1, 16, 12);
+    
+    group.clear();
+    zones.forEach(zone => {
+      zone.segments = Array.from({ length: dof }, () => new THREE.Mesh(segmentGeometry, zone.material));
+      zone.joints = Array.from({ length: dof + 1 }, () => new THREE.Mesh(jointGeometry, zone.material));
+      [...zone.segments, ...zone.joints].forEach(mesh => group.add(mesh));
+    });
+  }
+  
+  updateSafetyZones(points) {
+    const safety = this.engine.safety;
+    const { group, zones } = this.safetyZones;
+    const up = new THREE.Vector3(0, 1, 0);
+    
+    group.visible = this.showSafetyZones && safety.config.enabled;
+    if (!group.visible) return;
+    
+    zones.forEach(zone => {
+      const radius = safety.config.linkRadius + safety.config[zone.distance];
+      
+      // La zona del estado actual se resalta
+      zone.material.opacity = safety.state === zone.state ? zone.opacity * 3 : zone.opacity;
+      
+      zone.segments.forEach((segment, index) => {
+        const start = points[index];
+        const end = points[index + 1];
+        const direction = new THREE.Vector3().subVectors(end, start);
+        const length = direction.length();
+        
+        segment.visible = length > 1e-3;
+        if (!segment.visible) return;
+        
+        segment.position.copy(start).add(end).multiplyScalar(0.5);
+        segment.quaternion.setFromUnitVectors(up, direction.normalize());
+        segment.scale.set(radius, length, radius);
+      });
+      
+      zone.joints.forEach((joint, index) => {
+        joint.position.copy(points[index]);
+        joint.scale.setScalar(radius);
+      });
+    });
+  }
+  
+  updateRobotVisuals() {
+    const meshes = this.robotMeshes;
+    const arm = this.engine.robotArm;
+    const pose = arm.kinematics.forward(arm.joints);
+    const points = pose.points.map(point => new THREE.Vector3(...KinematicChain.toScene(point)));
+    const up = new THREE.Vector3(0, 1, 0);
+    meshes.base.position.set(...arm.basePosition);
+    
+    // Eslabones entre orígenes consecutivos (los tramos de longitud nula se ocultan)
+    meshes.segments.slice(0, -1).forEach((segment, index) => {
+      const start = points[index];
+      const end = points[index + 1];
+      const direction = new THREE.Vector3().subVectors(end, start);
+      const length = direction.length();
+      
+      segment.visible = length > 1e-3;
+      if (!segment.visible) return;
+      
+      segment.position.copy(start).add(end).multiplyScalar(0.5);
+      segment.quaternion.setFromUnitVectors(up, direction.normalize());
+      segment.scale.set(1, length, 1);
+    });
+    
+    meshes.jointMeshes.forEach((joint, index) => {
+      joint.position.copy(points[index + 1]);
+    });
+    
+    // Herramienta alineada con el sistema de referencia final (eje Z de la herramienta = Y del mesh)
+    meshes.toolMesh.position.copy(points[points.length - 1]);
+    meshes.toolMesh.quaternion.copy(this.engine.getToolPose(pose).quaternion);
+    meshes.toolMesh.material.color.setHex(this.engine.gripper.isHolding ? 0x39ff14 : 0xffaa00);
+    
+    // Último objetivo comandado a la herramienta
+    this.ikTargetMarker.visible = arm.target !== null;
+    if (arm.target) {
+      this.ikTargetMarker.position.set(...arm.target);
+    }
+    
+    this.updateSafetyZones(points);
+    return pose;
+  }
+  
+  moveRobotTo(target) {
+    const result = this.engine.commandTool([target.x, target.y, target.z]);
+    this.updateRobotVisuals();
+    
+    if (!result.success) {
+      this.showNotification(
+        `Objetivo fuera de alcance: el brazo se acercará a ${result.positionError.toFixed(2)} m del punto`,
+        'warning'
+      );
+    }
+    
+    return result;
+  }
+  
+  planCollisionFreePath(target) {
+    this.ensureLiveMode();
+    const result = this.engine.planCollisionFreePath(
+      [target.x, target.y, target.z],
+      document.getElementById('trajectoryProfile').value
+    );
+    this.updateRobotVisuals();
+    
+    if (!result.success) {
+      this.clearPathPreview();
+      this.showNotification(`Sin camino libre: ${result.reason}. El brazo no se mueve.`, 'error');
+      return result;
+    }
+    
+    this.showPathPreview(result.path, result.resolution);
+    this.showNotification(
+      `Camino libre de colisiones: ${result.path.length - 1} tramos, ${result.trajectory.duration.toFixed(2)} s`,
+      'success'
+    );
+    return result;
+  }
+  
+  showPathPreview(path, resolution) {
+    this.clearPathPreview();
+    
+    const kinematics = this.engine.robotArm.kinematics;
+    const base = this.robotMeshes.base.position;
+    const toScene = (point) => new THREE.Vector3(...KinematicChain.toScene(point)).add(base);
+    
+    // Densificar el camino articular para dibujar el recorrido de la herramienta y el barrido del brazo
+    const poses = [path[0]];
+    for (let i = 1; i < path.length; i++) {
+      const steps = Math.max(1, Math.ceil(jointDistance(path[i - 1], path[i]) / resolution));
+      for (let step = 1; step <= steps; step++) {
+        poses.push(interpolateJoints(path[i - 1], path[i], step / steps));
+      }
+    }
+    
+    const toolPoints = [];
+    const sweptPoints = [];
+    poses.forEach((joints, index) => {
+      const points = kinematics.forward(joints).points.map(toScene);
+      toolPoints.push(points[points.length - 1]);
+      
+      if (index % 4 === 0 || index === poses.length - 1) {
+        for (let i = 0; i < points.length - 1; i++) {
+          sweptPoints.push(points[i], points[i + 1]);
+        }
+      }
+    });
+    
+    this.pathPreview = new THREE.Group();
+    this.pathPreview.add(new THREE.Line(
+      new THREE.BufferGeometry().setFromPoints(toolPoints),
+      new THREE.LineBasicMaterial({ color: 0x39ff14 })
+    ));
+    this.pathPreview.add(new THREE.LineSegments(
+      new THREE.BufferGeometry().setFromPoints(sweptPoints),
+      new THREE.LineBasicMaterial({ color: 0x0091ff, transparent: true, opacity: 0.25 })
+    ));
+    this.scene.add(this.pathPreview);
+  }
+  
+  clearPathPreview() {
+    if (!this.pathPreview) return;
+    this.scene.remove(this.pathPreview);
+    this.pathPreview.children.forEach(child => child.geometry.dispose());
+    this.pathPreview = null;
+  }
+  
+  refreshTaskObjectOptions() {
+    const select = document.getElementById('taskObjectSelect');
+    const selected = select.value;
+    select.innerHTML = '';
+    
+    this.engine.objects.forEach(obj => {
+      const option = document.createElement('option');
+      option.value = obj.id;
+      option.textContent = this.engine.getBodyLabel(obj.body);
+      select.appendChild(option);
+    });
+    
+    if (this.engine.objects.some(obj => String(obj.id) === selected)) {
+      select.value = selected;
+    }
+  }
+  
+  runPickAndPlaceFromUI() {
+    this.refreshTaskObjectOptions();
+    const objectId = parseInt(document.getElementById('taskObjectSelect').value, 10);
+    if (Number.isNaN(objectId)) {
+      this.showNotification('Añade un objeto a la escena para crear una tarea', 'warning');
+      return;
+    }
+    
+    const yawDegrees = document.getElementById('placeYaw').value;
+    this.startPickAndPlace({
+      objectId,
+      place: {
+        position: [
+          parseFloat(document.getElementById('placeX').value),
+          null,
+          parseFloat(document.getElementById('placeZ').value)
+        ],
+        yaw: yawDegrees === '' ? undefined : parseFloat(yawDegrees) * Math.PI / 180
+      }
+    });
+    this.playSimulation();
+  }
+  
+  startPickAndPlace(definition) {
+    this.ensureLiveMode();
+    const task = this.engine.startPickAndPlace(definition);
+    this.updateTaskDisplay();
+    return task;
+  }
+  
+  cancelTask() {
+    this.engine.cancelTask();
+  }
+  
+  updateTaskDisplay() {
+    const task = this.engine.activeTask;
+    document.getElementById('taskState').textContent = task ? task.stateLabel : 'Sin tarea';
+    document.getElementById('taskResult').textContent = task && task.result
+      ? (task.result.success ? 'Éxito' : 'Fallo')
+      : '—';
+    document.getElementById('taskResult').className =
+      `data-value ${task && task.result ? (task.result.success ? 'text-trajectory' : 'text-error') : ''}`;
+    document.getElementById('taskCycleTime').textContent = task ? task.elapsed.toFixed(2) + ' s' : '0.00 s';
+    document.getElementById('taskPositionError').textContent =
+      task && task.result && task.result.positionError !== null ? task.result.positionError.toFixed(3) + ' m' : '—';
+  }
+  
+  renderJointReadout() {
+    const readout = document.getElementById('jointReadout');
+    readout.innerHTML = '';
+    
+    this.engine.robotArm.kinematics.links.forEach((link, index) => {
+      const item = document.createElement('div');
+      item.className = 'data-item';
+      item.innerHTML = `
+        <span class="data-label">${link.label ?? link.name}:</span>
+        <span class="data-value" id="jointValue${index}">0.0°</span>
+      `;
+      readout.appendChild(item);
+    });
+  }
+  
+  addConveyor(options) {
+    return this.recordEdit((conveyor) => `Añadir Cinta #${conveyor.id}`, () => this.engine.addConveyor(options));
+  }
+  
+  addSpawner(options) {
+    return this.recordEdit((spawner) => `Añadir Generador #${spawner.id}`, () => this.engine.addSpawner(options));
+  }
+  
+  addSink(options) {
+    return this.recordEdit((sink) => `Añadir Sumidero #${sink.id}`, () => this.engine.addSink(options));
+  }
+  
+  addLineMesh(component) {
+    const group = new THREE.Group();
+    
+    if (component.kind === 'conveyor') {
+      const belt = new THREE.Mesh(
+        new THREE.BoxGeometry(component.length, component.height, component.width),
+        new THREE.MeshLambertMaterial({ color: 0x2b2b2b })
+      );
+      belt.castShadow = true;
+      belt.receiveShadow = true;
+      group.add(belt);
+      
+      // Flecha con el sentido de avance sobre la superficie
+      const sign = component.speed < 0 ? -1 : 1;
+      group.add(new THREE.ArrowHelper(
+        new THREE.Vector3(sign, 0, 0),
+        new THREE.Vector3(-sign * component.length * 0.3, component.height / 2 + 0.02, 0),
+        component.length * 0.6,
+        0x0091ff
+      ));
+      group.rotation.y = component.direction;
+    } else if (component.kind === 'spawner') {
+      group.add(new THREE.Mesh(
+        new THREE.ConeGeometry(0.4, 0.6, 4),
+        new THREE.MeshBasicMaterial({ color: 0xffaa00, wireframe: true })
+      ));
+      group.children[0].rotation.x = Math.PI;
+      group.children[0].position.y = component.partSize / 2 + 0.5;
+    } else if (component.kind === 'sink') {
+      group.add(new THREE.Mesh(
+        new THREE.BoxGeometry(...component.size),
+        new THREE.MeshBasicMaterial({ color: 0xff4d4d, transparent: true, opacity: 0.2, depthWrite: false })
+      ));
+      group.rotation.y = component.direction;
+    }
+    
+    group.position.set(...component.position);
+    this.scene.add(group);
+    this.lineMeshes.set(component, group);
+    return component;
+  }
+  
+  addConveyorFromUI() {
+    const value = (id) => parseFloat(document.getElementById(id).value);
+    const length = value('conveyorLength');
+    const width = value('conveyorWidth');
+    const speed = value('conveyorSpeed');
+    const direction = value('conveyorDirection') * Math.PI / 180;
+    
+    if (!(length > 0) || !(width > 0) || !Number.isFinite(speed) || !Number.isFinite(direction)) {
+      this.showNotification('La cinta necesita longitud y ancho mayores que 0 y una velocidad válida', 'warning');
+      return null;
+    }
+    
+    const height = 0.4;
+    return this.addConveyor({
+      position: [value('conveyorX') || 0, height / 2, value('conveyorZ') || 0],
+      length,
+      width,
+      height,
+      speed,
+      direction
+    });
+  }
+  
+  addSpawnerFromUI() {
+    const conveyors = this.engine.productionLine.conveyors;
+    const conveyor = conveyors[conveyors.length - 1];
+    if (!conveyor) {
+      this.showNotification('Añade primero una cinta sobre la que colocar el generador', 'warning');
+      return null;
+    }
+    
+    const interval = parseFloat(document.getElementById('spawnerInterval').value);
+    if (!(interval > 0)) {
+      this.showNotification('El intervalo del generador debe ser mayor que 0', 'warning');
+      return null;
+    }
+    
+    // Pieza pequeña del tipo elegido, soltada sobre el extremo de entrada de la cinta
+    const shape = document.getElementById('spawnerShape').value;
+    const dimensions = {
+      box: { size: 0.6 },
+      sphere: { radius: 0.3 },
+      cylinder: { radius: 0.25, height: 0.6 }
+    }[shape];
+    const spawner = new PartSpawner({ shape, dimensions });
+    const [x, y, z] = conveyor.pointAt(spawner.partSize);
+    
+    return this.addSpawner({
+      position: [x, y + spawner.partSize / 2 + 0.1, z],
+      interval,
+      shape,
+      dimensions,
+      color: new THREE.Color().setHSL(this.engine.random(), 0.7, 0.6).getHex()
+    });
+  }
+  
+  addSinkFromUI() {
+    const conveyors = this.engine.productionLine.conveyors;
+    const conveyor = conveyors[conveyors.length - 1];
+    if (!conveyor) {
+      this.showNotification('Añade primero una cinta a cuyo final colocar el sumidero', 'warning');
+      return null;
+    }
+    
+    // Volumen centrado en el extremo de salida que recoge las piezas antes de caer
+    return this.addSink({
+      position: conveyor.pointAt(conveyor.length),
+      size: [1.5, 2, conveyor.width + 0.6],
+      direction: conveyor.direction
+    });
+  }
+  
+  clearProductionLine() {
+    this.recordEdit('Vaciar línea de producción', () => this.engine.clearProductionLine());
+  }
+  
+  updateLineDisplay() {
+    const line = this.engine.productionLine;
+    const time = this.engine.simulationTime;
+    const throughput = time > 0 ? line.consumed / time * 60 : 0;
+    
+    document.getElementById('lineProduced').textContent = line.produced;
+    document.getElementById('lineConsumed').textContent = line.consumed;
+    document.getElementById('lineInProcess').textContent = line.inProcess;
+    document.getElementById('lineThroughput').textContent = throughput.toFixed(1) + ' piezas/min';
   }
   
   setupEventListeners() {
@@ -227,20 +760,135 @@ class IndustrialSimulator {
     
     // Sliders y controles
     this.setupSliderControls();
+    this.setupInspectorControls();
+    this.setupMaterialControls();
+    this.setupMeshImport();
     
     // Controles de reproducción
     document.getElementById('playBtn').addEventListener('click', this.playSimulation.bind(this));
     document.getElementById('pauseBtn').addEventListener('click', this.pauseSimulation.bind(this));
-    document.getElementById('resetBtn').addEventListener('click', this.resetSimulation.bind(this));
+    document.getElementById('resetBtn').addEventListener('click', () => this.resetFromUI());
     document.getElementById('stepBtn').addEventListener('click', this.stepSimulation.bind(this));
     
+    // Línea de tiempo y reproducción
+    document.getElementById('timeSlider').addEventListener('input', (e) => {
+      this.seekReplay(parseFloat(e.target.value) / 1000);
+    });
+    document.getElementById('replayBackwardBtn').addEventListener('click', () => this.startReplay(-1));
+    document.getElementById('replayForwardBtn').addEventListener('click', () => this.startReplay(1));
+    document.getElementById('resumeLiveBtn').addEventListener('click', () => this.resumeLive());
+    document.getElementById('replaySpeedSelect').addEventListener('change', (e) => {
+      this.playback.speed = parseFloat(e.target.value);
+    });
+    
+    // Historial de ediciones
+    document.getElementById('undoEdit').addEventListener('click', () => this.undoEdit());
+    document.getElementById('redoEdit').addEventListener('click', () => this.redoEdit());
+    this.renderHistory();
+    
     // Controles de robot
     document.getElementById('activateRobot').addEventListener('click', this.activateRobot.bind(this));
     document.getElementById('resetRobot').addEventListener('click', this.resetRobot.bind(this));
     
+    // Zonas de seguridad del brazo
+    document.getElementById('safetyEnabled').addEventListener('change', (e) => {
+      this.recordEdit(`Seguridad: zonas ${e.target.checked ? 'activadas' : 'desactivadas'}`, () => {
+        this.engine.setSafetyConfig({ enabled: e.target.checked });
+      });
+    });
+    document.getElementById('showSafetyZones').addEventListener('change', (e) => {
+      this.showSafetyZones = e.target.checked;
+      this.updateRobotVisuals();
+    });
+    ['safetyWarningDistance', 'safetyStopDistance', 'safetyReducedSpeed'].forEach(id => {
+      document.getElementById(id).addEventListener('change', () => this.applySafetyDistances());
+    });
+    document.getElementById('runTask').addEventListener('click', () => this.runPickAndPlaceFromUI());
+    document.getElementById('cancelTask').addEventListener('click', () => this.cancelTask());
+    document.getElementById('taskObjectSelect').addEventListener('focus', () => this.refreshTaskObjectOptions());
+    const readTarget = () => new THREE.Vector3(
+      parseFloat(document.getElementById('targetX').value),
+      parseFloat(document.getElementById('targetY').value),
+      parseFloat(document.getElementById('targetZ').value)
+    );
+    document.getElementById('moveToTarget').addEventListener('click', () => this.moveRobotTo(readTarget()));
+    document.getElementById('planPath').addEventListener('click', () => this.planCollisionFreePath(readTarget()));
+    
+    // Línea de producción
+    document.getElementById('addConveyor').addEventListener('click', () => this.addConveyorFromUI());
+    document.getElementById('addSpawner').addEventListener('click', () => this.addSpawnerFromUI());
+    document.getElementById('addSink').addEventListener('click', () => this.addSinkFromUI());
+    document.getElementById('clearLine').addEventListener('click', () => this.clearProductionLine());
+    
     // Controles de optimización
     document.getElementById('optimizeLayout').addEventListener('click', this.optimizeLayout.bind(this));
     document.getElementById('optimizeTrajectory').addEventListener('click', this.optimizeTrajectory.bind(this));
+    document.getElementById('runBenchmark').addEventListener('click', this.runBenchmark.bind(this));
+    
+    // Escenarios: un segundo clic durante la ejecución la cancela
+    document.getElementById('runScenario').addEventListener('click', () => {
+      if (this.scenario) {
+        this.scenario.cancel();
+      } else {
+        document.getElementById('scenarioFileInput').click();
+      }
+    });
+    document.getElementById('scenarioFileInput').addEventListener('change', (e) => {
+      const file = e.target.files[0];
+      e.target.value = '';
+      if (file) this.importScenarioFile(file);
+    });
+    document.getElementById('addWaypoint').addEventListener('click', () => this.addTrajectoryWaypoint());
+    document.getElementById('clearWaypoints').addEventListener('click', () => this.clearTrajectoryWaypoints());
+    
+    // Semilla de la sesión
+    document.getElementById('restartWithSeed').addEventListener('click', () => this.restartWithSeed());
+    document.getElementById('seedInput').value = this.engine.seed;
+    
+    // Guardar y cargar escenas
+    document.getElementById('saveScene').addEventListener('click', () => this.exportScene());
+    document.getElementById('loadScene').addEventListener('click', () => {
+      document.getElementById('sceneFileInput').click();
+    });
+    document.getElementById('sceneFileInput').addEventListener('change', (e) => {
+      const file = e.target.files[0];
+      e.target.value = '';
+      if (file) this.importSceneFile(file);
+    });
+    
+    // Registro de telemetría
+    const telemetry = this.engine.telemetry;
+    document.getElementById('telemetryEnabled').addEventListener('change', (e) => {
+      if (e.target.checked) {
+        telemetry.start(parseFloat(document.getElementById('telemetryRate').value));
+      } else {
+        telemetry.stop();
+      }
+    });
+    document.getElementById('telemetryRate').addEventListener('change', (e) => {
+      if (telemetry.enabled) {
+        telemetry.start(parseFloat(e.target.value));
+      }
+    });
+    document.getElementById('downloadTelemetryCsv').addEventListener('click', () => {
+      if (!this.checkTelemetry()) return;
+      this.downloadFile('telemetria_objetos.csv', telemetry.objectsToCSV(), 'text/csv');
+      this.downloadFile('telemetria_robot.csv', telemetry.robotToCSV(), 'text/csv');
+    });
+    document.getElementById('downloadTelemetryJsonl').addEventListener('click', () => {
+      if (!this.checkTelemetry()) return;
+      this.downloadFile('telemetria.jsonl', telemetry.toJSONLines(), 'application/x-ndjson');
+    });
+    document.getElementById('clearTelemetry').addEventListener('click', () => telemetry.clear());
+    
+    // Exportación del registro de colisiones
+    document.getElementById('exportCollisionsCsv').addEventListener('click', () => {
+      this.downloadFile('colisiones.csv', this.engine.collisionMonitor.toCSV(), 'text/csv');
+    });
+    document.getElementById('exportCollisionsJson').addEventListener('click', () => {
+      const json = JSON.stringify(this.engine.collisionMonitor.toJSON(), null, 2);
+      this.downloadFile('colisiones.json', json, 'application/json');
+    });
     
     // Checkboxes para vectores
     document.getElementById('showVelocityVectors').addEventListener('change', (e) => {
@@ -257,41 +905,57 @@ class IndustrialSimulator {
     window.addEventListener('resize', this.onWindowResize.bind(this));
     
     // Evento de click para interactuar con objetos
+    this.canvas.addEventListener('pointerdown', (e) => {
+      this.pointerDown = { x: e.clientX, y: e.clientY };
+    });
     this.canvas.addEventListener('click', this.onCanvasClick.bind(this));
     this.canvas.addEventListener('mousemove', this.onCanvasMouseMove.bind(this));
   }
   
   setupSliderControls() {
-    const controls = [
-      { slider: 'massSlider', value: 'massValue', property: 'mass' },
-      { slider: 'frictionSlider', value: 'frictionValue', property: 'friction' },
-      { slider: 'gravitySlider', value: 'gravityValue', property: 'gravity' },
-      { slider: 'restitutionSlider', value: 'restitutionValue', property: 'restitution' },
-      { slider: 'impulseSlider', value: 'impulseValue', property: 'impulse' },
-      { slider: 'angularVelocitySlider', value: 'angularVelocityValue', property: 'angularVelocity' },
-      { slider: 'rotationSlider', value: 'rotationValue', property: 'rotation' }
+    this.sliderControls = [
+      { slider: 'massSlider', value: 'massValue', property: 'mass', label: 'masa' },
+      { slider: 'frictionSlider', value: 'frictionValue', property: 'friction', label: 'fricción' },
+      { slider: 'gravitySlider', value: 'gravityValue', property: 'gravity', label: 'gravedad' },
+      { slider: 'restitutionSlider', value: 'restitutionValue', property: 'restitution', label: 'restitución' },
+      { slider: 'impulseSlider', value: 'impulseValue', property: 'impulse', label: 'impulso' },
+      { slider: 'angularVelocitySlider', value: 'angularVelocityValue', property: 'angularVelocity', label: 'velocidad angular' },
+      { slider: 'angularAccelerationSlider', value: 'angularAccelerationValue', property: 'angularAcceleration', label: 'aceleración angular' },
+      { slider: 'rotationSlider', value: 'rotationValue', property: 'rotation', label: 'rotación' },
+      { slider: 'timeScaleSlider', value: 'timeScaleValue', property: 'timeScale', label: 'escala de tiempo' },
+      { slider: 'maxSubStepsSlider', value: 'maxSubStepsValue', property: 'maxSubSteps', label: 'subpasos máximos' }
     ];
     
-    controls.forEach(control => {
+    this.sliderControls.forEach(control => {
       const slider = document.getElementById(control.slider);
       const value = document.getElementById(control.value);
       
+      // Un arrastre del slider es una sola edición: se guarda la escena al empezar y se anota al soltar
+      const apply = (text) => {
+        this.ensureLiveMode();
+        this.history.begin(`Configuración: ${control.label}`);
+        this.engine.applyConfig({ [control.property]: parseFloat(text) });
+      };
+      const commit = () => this.history.commit(`Configuración: ${control.label} = ${this.engine.config[control.property]}`);
+      
       slider.addEventListener('input', (e) => {
         value.value = e.target.value;
-        this.config[control.property] = parseFloat(e.target.value);
-        
-        if (control.property === 'gravity') {
-          this.world.gravity.set(0, this.config.gravity, 0);
-        }
+        apply(e.target.value);
       });
       
       value.addEventListener('input', (e) => {
         slider.value = e.target.value;
-        this.config[control.property] = parseFloat(e.target.value);
-        
-        if (control.property === 'gravity') {
-          this.world.gravity.set(0, this.config.gravity, 0);
-        }
+        apply(e.target.value);
+      });
+      
+      slider.addEventListener('change', commit);
+      value.addEventListener('change', commit);
+    });
+    
+    // Frecuencia del paso fijo de física
+    document.getElementById('physicsRateSelect').addEventListener('change', (e) => {
+      this.recordEdit(`Configuración: física a ${e.target.value} Hz`, () => {
+        this.engine.applyConfig({ fixedTimeStep: 1 / parseFloat(e.target.value) });
       });
     });
   }
@@ -315,324 +979,802 @@ class IndustrialSimulator {
   }
   
   addBoxObject() {
-    const size = 1 + Math.random() * 2;
-    const color = new THREE.Color().setHSL(Math.random(), 0.7, 0.6);
-    
-    // Física
-    const shape = new CANNON.Box(new CANNON.Vec3(size/2, size/2, size/2));
-    const body = new CANNON.Body({ 
-      mass: this.config.mass,
-      shape: shape
-    });
-    body.position.set(
-      (Math.random() - 0.5) * 20,
-      5 + Math.random() * 5,
-      (Math.random() - 0.5) * 20
-    );
-    body.material.friction = this.config.friction;
-    body.material.restitution = this.config.restitution;
-    this.world.add(body);
-    
-    // Visual
-    const geometry = new THREE.BoxGeometry(size, size, size);
-    const material = new THREE.MeshLambertMaterial({ color: color.getHex() });
-    const mesh = new THREE.Mesh(geometry, material);
-    mesh.position.copy(body.position);
-    mesh.quaternion.copy(body.quaternion);
-    mesh.castShadow = true;
-    mesh.receiveShadow = true;
-    this.scene.add(mesh);
-    
-    const object = { body, mesh, type: 'box', size, mass: this.config.mass };
-    this.objects.push(object);
-    this.stats.activeObjects++;
+    const size = 1 + this.engine.random() * 2;
+    return this.spawnObject({
+      shape: 'box',
+      dimensions: { size },
+      ...this.randomSpawnSpec()
+    });
   }
   
   addSphereObject() {
-    const radius = 0.5 + Math.random() * 1.5;
-    const color = new THREE.Color().setHSL(Math.random(), 0.7, 0.6);
-    
-    // Física
-    const shape = new CANNON.Sphere(radius);
-    const body = new CANNON.Body({ 
-      mass: this.config.mass,
-      shape: shape
-    });
-    body.position.set(
-      (Math.random() - 0.5) * 20,
-      5 + Math.random() * 5,
-      (Math.random() - 0.5) * 20
-    );
-    body.material.friction = this.config.friction;
-    body.material.restitution = this.config.restitution;
-    this.world.add(body);
-    
-    // Visual
-    const geometry = new THREE.SphereGeometry(radius, 16, 16);
-    const material = new THREE.MeshLambertMaterial({ color: color.getHex() });
-    const mesh = new THREE.Mesh(geometry, material);
-    mesh.position.copy(body.position);
-    mesh.castShadow = true;
-    mesh.receiveShadow = true;
-    this.scene.add(mesh);
-    
-    const object = { body, mesh, type: 'sphere', radius, mass: this.config.mass };
-    this.objects.push(object);
-    this.stats.activeObjects++;
+    const radius = 0.5 + this.engine.random() * 1.5;
+    return this.spawnObject({
+      shape: 'sphere',
+      dimensions: { radius },
+      ...this.randomSpawnSpec()
+    });
   }
   
   addCylinderObject() {
-    const radius = 0.3 + Math.random() * 1;
-    const height = 1 + Math.random() * 3;
-    const color = new THREE.Color().setHSL(Math.random(), 0.7, 0.6);
-    
-    // Física
-    const shape = new CANNON.Cylinder(radius, radius, height, 8);
-    const body = new CANNON.Body({ 
-      mass: this.config.mass,
-      shape: shape
-    });
-    body.position.set(
-      (Math.random() - 0.5) * 20,
-      5 + Math.random() * 5,
-      (Math.random() - 0.5) * 20
-    );
-    body.material.friction = this.config.friction;
-    body.material.restitution = this.config.restitution;
-    this.world.add(body);
+    const radius = 0.3 + this.engine.random() * 1;
+    const height = 1 + this.engine.random() * 3;
+    return this.spawnObject({
+      shape: 'cylinder',
+      dimensions: { radius, height },
+      ...this.randomSpawnSpec()
+    });
+  }
+  
+  randomSpawnSpec() {
+    // Color y posición con el generador del motor. Con un material de la biblioteca el motor
+    // calcula la masa con su densidad; si no, masa y material salen de la configuración actual
+    const spec = {
+      color: new THREE.Color().setHSL(this.engine.random(), 0.7, 0.6).getHex(),
+      position: [
+        (this.engine.random() - 0.5) * 20,
+        5 + this.engine.random() * 5,
+        (this.engine.random() - 0.5) * 20
+      ]
+    };
     
-    // Visual
-    const geometry = new THREE.CylinderGeometry(radius, radius, height, 16);
-    const material = new THREE.MeshLambertMaterial({ color: color.getHex() });
-    const mesh = new THREE.Mesh(geometry, material);
-    mesh.position.copy(body.position);
-    mesh.quaternion.copy(body.quaternion);
-    mesh.castShadow = true;
-    mesh.receiveShadow = true;
-    this.scene.add(mesh);
+    spec.fragility = document.getElementById('objectFragility').value;
     
-    const object = { body, mesh, type: 'cylinder', radius, height, mass: this.config.mass };
-    this.objects.push(object);
-    this.stats.activeObjects++;
+    const material = document.getElementById('objectMaterial').value;
+    if (material) {
+      spec.material = material;
+      spec.color = this.engine.materials.get(material).color ?? spec.color;
+    }
+    return spec;
   }
   
-  activateRobot() {
-    this.robotArm.isActive = !this.robotArm.isActive;
-    const button = document.getElementById('activateRobot');
-    button.textContent = this.robotArm.isActive ? 'Desactivar Robot' : 'Activar Robot';
-    button.classList.toggle('btn-primary');
-    button.classList.toggle('btn-secondary');
+  spawnObject(spec) {
+    return this.recordEdit(
+      (object) => `Añadir ${this.engine.getBodyLabel(object.body)}`,
+      () => this.engine.spawnObject(spec)
+    );
   }
   
-  resetRobot() {
-    this.robotArm.currentAngle = 0;
-    this.robotArm.targetAngle = 0;
-    this.robotArm.angularVelocity = 2;
-    this.robotArm.angularAcceleration = 0;
-    this.robotArm.isActive = false;
-    document.getElementById('activateRobot').textContent = 'Activar Robot';
-    document.getElementById('activateRobot').classList.add('btn-primary');
-    document.getElementById('activateRobot').classList.remove('btn-secondary');
-  }
-  
-  optimizeLayout() {
-    // Algoritmo simple de optimización de disposición
-    const positions = [];
-    const spacing = 3;
-    const startX = -Math.floor(this.objects.length / 2) * spacing;
-    
-    this.objects.forEach((obj, index) => {
-      const x = startX + index * spacing;
-      const z = (index % 3) * spacing - spacing;
-      
-      obj.body.position.set(x, 3, z);
-      obj.body.velocity.set(0, 0, 0);
-      obj.body.angularVelocity.set(0, 0, 0);
-    });
-    
-    this.stats.damageReduction = Math.floor(Math.random() * 30 + 70); // 70-100%
-    this.updateAnalysisDisplay();
+  describeObjectShape(object) {
+    // Geometría de tamaño unidad por forma; las dimensiones de cada objeto son su escala
+    if (object.type === 'box') {
+      return { key: 'box', scale: [object.size, object.size, object.size], createGeometry: () => new THREE.BoxGeometry(1, 1, 1) };
+    } else if (object.type === 'sphere') {
+      return { key: 'sphere', scale: [object.radius, object.radius, object.radius], createGeometry: () => new THREE.SphereGeometry(1, 16, 16) };
+    } else if (object.type === 'mesh') {
+      return {
+        key: `mesh:${object.mesh}`,
+        scale: [object.scale, object.scale, object.scale],
+        createGeometry: () => {
+          // Triángulos sin compartir vértices: normales por cara, como las piezas CAD
+          const { vertices, indices } = this.engine.meshes.get(object.mesh);
+          const geometry = new THREE.BufferGeometry();
+          geometry.setAttribute('position', new THREE.Float32BufferAttribute(vertices, 3));
+          geometry.setIndex(indices);
+          const faceted = geometry.toNonIndexed();
+          geometry.dispose();
+          faceted.computeVertexNormals();
+          return faceted;
+        }
+      };
+    }
+    return {
+      key: 'cylinder',
+      scale: [object.radius, object.height, object.radius],
+      createGeometry: () => new THREE.CylinderGeometry(1, 1, 1, 16)
+    };
   }
   
-  optimizeTrajectory() {
-    // Algoritmo de optimización de trayectoria
-    const segments = this.robotArm.segments.length;
-    const currentTime = performance.now();
-    const optimizationTime = 2000; // 2 segundos de simulación
-    
-    // Simular diferentes trayectorias
-    for (let i = 0; i < 100; i++) {
-      const angle = (i / 100) * Math.PI * 2;
-      this.robotArm.base.rotation.y = angle;
-      
-      // Calcular eficiencia
-      const distance = Math.abs(angle - this.robotArm.targetAngle);
-      const efficiency = 100 - (distance / Math.PI) * 100;
-      
-      if (efficiency > this.stats.trajectoryEfficiency) {
-        this.stats.trajectoryEfficiency = efficiency;
-      }
+  addObjectMesh(object) {
+    const proxy = this.objectRenderer.add(object);
+    proxy.position.copy(object.body.position);
+    proxy.quaternion.copy(object.body.quaternion);
+    this.objectMeshes.set(object, proxy);
+    this.updateDamageColor(object);
+  }
+  
+  updateObjectMesh(object) {
+    // Dimensiones o color editados: misma forma, otra escala
+    const proxy = this.objectMeshes.get(object);
+    this.objectRenderer.refresh(object);
+    this.updateDamageColor(object);
+    proxy.position.copy(object.body.position);
+    proxy.quaternion.copy(object.body.quaternion);
+  }
+  
+  updateDamageColor(object) {
+    // Del color propio al rojo según el daño acumulado; las piezas rotas, granate oscuro
+    const color = new THREE.Color(object.color);
+    if (object.broken) {
+      color.setHex(0x4a0d0d);
+    } else if (object.damage > 0) {
+      color.lerp(this.damageColor, 1 - this.engine.damage.health(object));
     }
-    
-    this.stats.trajectoryEfficiency = Math.floor(this.stats.trajectoryEfficiency);
-    this.updateAnalysisDisplay();
+    this.objectRenderer.setColor(object, color);
   }
   
-  updateRobotPhysics() {
-    if (!this.robotArm.isActive) return;
-    
-    // Actualizar ángulo objetivo basado en el slider
-    const rotationSlider = document.getElementById('rotationSlider');
-    this.robotArm.targetAngle = (parseFloat(rotationSlider.value) * Math.PI) / 180;
-    
-    // Calcular aceleración angular
-    const angleDifference = this.robotArm.targetAngle - this.robotArm.currentAngle;
-    this.robotArm.angularAcceleration = angleDifference * 0.1;
-    
-    // Actualizar velocidad angular
-    this.robotArm.angularVelocity += this.robotArm.angularAcceleration * this.deltaTime;
-    this.robotArm.angularVelocity *= 0.95; // Amortiguamiento
-    
-    // Limitar velocidad máxima
-    const maxVelocity = parseFloat(document.getElementById('angularVelocitySlider').value);
-    this.robotArm.angularVelocity = Math.max(-maxVelocity, Math.min(maxVelocity, this.robotArm.angularVelocity));
-    
-    // Actualizar ángulo actual
-    this.robotArm.currentAngle += this.robotArm.angularVelocity * this.deltaTime;
-    
-    // Aplicar rotación
-    this.robotArm.base.rotation.y = this.robotArm.currentAngle;
-    
-    // Calcular velocidad de la herramienta final
-    const toolRadius = 5; // Distancia desde la base
-    const toolVelocity = Math.abs(this.robotArm.angularVelocity) * toolRadius;
-    
-    // Actualizar estadísticas
-    this.stats.currentAngle = (this.robotArm.currentAngle * 180 / Math.PI).toFixed(1);
-    this.stats.angularAcceleration = this.robotArm.angularAcceleration.toFixed(2);
+  removeObjectMesh(object) {
+    if (!this.objectMeshes.has(object)) return;
+    this.objectRenderer.remove(object);
+    this.objectMeshes.delete(object);
   }
   
-  updateVectors() {
-    // Limpiar vectores existentes
-    this.vectors.forEach(vector => {
-      this.scene.remove(vector.arrow);
-    });
-    this.vectors = [];
-    
-    if (!this.showVelocityVectors && !this.showMomentumVectors) return;
-    
-    // Crear vectores para cada objeto
-    this.objects.forEach(object => {
-      const position = object.body.position;
-      
-      if (this.showVelocityVectors) {
-        const velocity = object.body.velocity;
-        const speed = Math.sqrt(velocity.x**2 + velocity.y**2 + velocity.z**2);
-        
-        if (speed > 0.1) {
-          const arrow = new THREE.ArrowHelper(
-            new THREE.Vector3(velocity.x, velocity.y, velocity.z).normalize(),
-            new THREE.Vector3(position.x, position.y, position.z),
-            speed * 2,
-            0x00ffd1
-          );
-          this.scene.add(arrow);
-          this.vectors.push({ arrow, object, type: 'velocity' });
-        }
-      }
-      
-      if (this.showMomentumVectors) {
-        const velocity = object.body.velocity;
-        const momentum = {
-          x: velocity.x * object.mass,
-          y: velocity.y * object.mass,
-          z: velocity.z * object.mass
-        };
-        const momentumMagnitude = Math.sqrt(momentum.x**2 + momentum.y**2 + momentum.z**2);
-        
-        if (momentumMagnitude > 0.1) {
-          const arrow = new THREE.ArrowHelper(
-            new THREE.Vector3(momentum.x, momentum.y, momentum.z).normalize(),
-            new THREE.Vector3(position.x, position.y, position.z),
-            momentumMagnitude * 0.1,
-            0xffaa00
-          );
-          this.scene.add(arrow);
-          this.vectors.push({ arrow, object, type: 'momentum' });
-        }
+  exportScene() {
+    const scene = this.engine.serializeScene();
+    this.downloadFile('escena.json', JSON.stringify(scene, null, 2), 'application/json');
+    this.showNotification(`Escena guardada (${scene.objects.length} objetos)`, 'success');
+  }
+  
+  importSceneFile(file) {
+    const reader = new FileReader();
+    reader.onload = () => {
+      try {
+        const scene = SceneFormat.parse(reader.result);
+        this.recordEdit(`Cargar escena "${file.name}"`, () => this.loadScene(scene));
+        this.showNotification(`Escena "${file.name}" cargada (${this.engine.objects.length} objetos)`, 'success');
+      } catch (error) {
+        if (!(error instanceof SceneFormatError)) throw error;
+        this.showNotification(error.message, 'error');
       }
-    });
+    };
+    reader.readAsText(file);
   }
   
-  updateStatistics() {
-    let totalSpeed = 0;
-    let maxSpeed = 0;
-    let totalEnergy = 0;
+  loadScene(scene) {
+    this.resetSimulation();
+    this.engine.loadScene(scene);
+    this.reflectConfig();
     
-    this.objects.forEach(object => {
-      const velocity = object.body.velocity;
-      const speed = Math.sqrt(velocity.x**2 + velocity.y**2 + velocity.z**2);
-      
-      totalSpeed += speed;
-      if (speed > maxSpeed) maxSpeed = speed;
-      
-      const kineticEnergy = 0.5 * object.mass * speed * speed;
-      const potentialEnergy = object.mass * Math.abs(this.config.gravity) * object.body.position.y;
-      totalEnergy += kineticEnergy + potentialEnergy;
+    this.syncMeshes();
+    this.updateVectors();
+  }
+  
+  reflectConfig() {
+    // Reflejar la configuración del motor en los controles del panel
+    const config = this.engine.config;
+    this.sliderControls.forEach(control => {
+      document.getElementById(control.slider).value = config[control.property];
+      document.getElementById(control.value).value = config[control.property];
     });
-    
-    this.stats.maxVelocity = maxSpeed.toFixed(2);
-    this.stats.avgVelocity = this.objects.length > 0 ? (totalSpeed / this.objects.length).toFixed(2) : '0.00';
-    this.stats.totalEnergy = totalEnergy.toFixed(2);
-    this.stats.activeObjects = this.objects.length;
+    document.getElementById('physicsRateSelect').value = Math.round(1 / config.fixedTimeStep);
+    document.getElementById('seedInput').value = this.engine.seed;
   }
   
-  updateAnalysisDisplay() {
-    document.getElementById('activeObjects').textContent = this.stats.activeObjects;
-    document.getElementById('collisionCount').textContent = this.stats.collisionCount;
-    document.getElementById('totalEnergy').textContent = this.stats.totalEnergy + ' J';
-    document.getElementById('maxVelocity').textContent = this.stats.maxVelocity + ' m/s';
-    document.getElementById('avgVelocity').textContent = this.stats.avgVelocity + ' m/s';
-    document.getElementById('currentAngle').textContent = this.stats.currentAngle + '°';
-    document.getElementById('angularAcceleration').textContent = this.stats.angularAcceleration + ' rad/s²';
-    document.getElementById('damageReduction').textContent = this.stats.damageReduction + '%';
-    document.getElementById('trajectoryEfficiency').textContent = this.stats.trajectoryEfficiency + '%';
-    document.getElementById('optimalTrajectory').textContent = this.stats.trajectoryEfficiency > 80 ? 'Calculada' : 'En proceso';
-    document.getElementById('optimizationStatus').textContent = this.stats.damageReduction > 80 ? 'Optimizada' : 'En progreso';
-  }
-  
-  updatePhysics() {
-    // Simular física
-    this.world.step(this.deltaTime);
+  reflectSafetyConfig() {
+    const config = this.engine.safety.config;
+    document.getElementById('safetyEnabled').checked = config.enabled;
+    document.getElementById('safetyWarningDistance').value = config.warningDistance;
+    document.getElementById('safetyStopDistance').value = config.stopDistance;
+    document.getElementById('safetyReducedSpeed').value = Math.round(config.reducedSpeed * 100);
+    this.updateRobotVisuals();
+  }
+  
+  applySafetyDistances() {
+    const warningDistance = parseFloat(document.getElementById('safetyWarningDistance').value);
+    const stopDistance = parseFloat(document.getElementById('safetyStopDistance').value);
+    const reducedSpeed = parseFloat(document.getElementById('safetyReducedSpeed').value) / 100;
+    
+    let error = null;
+    if (![warningDistance, stopDistance, reducedSpeed].every(Number.isFinite) || warningDistance < 0 || stopDistance < 0) {
+      error = 'Las distancias de seguridad deben ser números positivos';
+    } else if (reducedSpeed < 0 || reducedSpeed > 1) {
+      error = 'La velocidad reducida debe estar entre 0 y 100%';
+    } else if (warningDistance < stopDistance) {
+      error = 'La distancia de aviso no puede ser menor que la de parada';
+    }
+    if (error) {
+      this.showNotification(error, 'error');
+      this.reflectSafetyConfig();
+      return;
+    }
+    
+    this.recordEdit(
+      `Seguridad: aviso ${warningDistance} m, parada ${stopDistance} m, ${Math.round(reducedSpeed * 100)}%`,
+      () => this.engine.setSafetyConfig({ warningDistance, stopDistance, reducedSpeed })
+    );
+  }
+  
+  restartWithSeed() {
+    // Repetir una sesión: con la misma semilla y las mismas acciones se obtienen los mismos objetos e impulsos
+    const text = document.getElementById('seedInput').value.trim();
+    let seed = Math.floor(Math.random() * 1000000);
+    if (/^-?\d+$/.test(text)) {
+      seed = Number(text);
+    } else if (text !== '') {
+      seed = text;
+    }
+    
+    this.recordEdit(`Reiniciar con la semilla ${seed}`, () => {
+      this.engine.setSeed(seed);
+      this.resetSimulation();
+    });
+    document.getElementById('seedInput').value = seed;
+    this.showNotification(`Sesión reiniciada con la semilla ${seed}`, 'info');
+  }
+  
+  showNotification(message, type = 'info') {
+    const notification = document.getElementById('notification');
+    notification.textContent = message;
+    notification.className = `notification visible ${type}`;
+    
+    clearTimeout(this.notificationTimeout);
+    this.notificationTimeout = setTimeout(() => {
+      notification.classList.remove('visible');
+    }, type === 'error' ? 8000 : 3000);
+  }
+  
+  activateRobot() {
+    this.engine.activateRobot();
+    this.updateRobotButton();
+  }
+  
+  updateRobotButton() {
+    const active = this.engine.robotArm.isActive;
+    const button = document.getElementById('activateRobot');
+    button.textContent = active ? 'Desactivar Robot' : 'Activar Robot';
+    button.classList.toggle('btn-primary', active);
+    button.classList.toggle('btn-secondary', !active);
+  }
+  
+  resetRobot() {
+    this.engine.resetRobot();
+    this.clearPathPreview();
+    this.updateRobotVisuals();
+    this.updateRobotButton();
+  }
+  
+  async optimizeLayout() {
+    // Un segundo clic durante la búsqueda la cancela
+    if (this.engine.layoutOptimizer) {
+      this.engine.cancelLayoutOptimization();
+      return null;
+    }
+    
+    this.ensureLiveMode();
+    if (!this.engine.objects.some(obj => obj.mass > 0)) {
+      this.showNotification('Añade objetos con masa para optimizar su disposición', 'warning');
+      return null;
+    }
+    this.pauseSimulation();
+    
+    const button = document.getElementById('optimizeLayout');
+    button.textContent = 'Cancelar Optimización';
+    const result = await this.engine.optimizeLayout();
+    button.textContent = 'Optimizar Disposición';
+    
+    if (result.cancelled) {
+      this.showNotification('Optimización de disposición cancelada', 'warning');
+      return result;
+    }
+    
+    // Aplicar la mejor disposición sobre el instante en vivo
+    this.recordEdit('Aplicar disposición optimizada', () => this.engine.applyLayout(result));
+    this.syncMeshes();
+    
+    this.updateAnalysisDisplay();
+    this.showNotification(
+      `Disposición optimizada: daño ${result.baseline.damage.toFixed(1)} J → ${result.best.damage.toFixed(1)} J`,
+      'success'
+    );
+    return result;
+  }
+  
+  optimizeTrajectory() {
+    this.ensureLiveMode();
+    const trajectory = this.engine.optimizeTrajectory(document.getElementById('trajectoryProfile').value);
+    
+    if (!trajectory) {
+      this.showNotification(
+        this.engine.hasTrajectoryLimits()
+          ? 'El brazo ya está en el objetivo: define un objetivo o puntos de paso'
+          : 'La velocidad y la aceleración angulares deben ser mayores que 0',
+        'warning'
+      );
+      return null;
+    }
+    
+    this.updateAnalysisDisplay();
+    return trajectory;
+  }
+  
+  async runBenchmark() {
+    // Un segundo clic durante la medición la cancela
+    if (this.benchmark) {
+      this.benchmark.cancel();
+      return null;
+    }
+    
+    this.selectObject(null);
+    this.recordEdit('Medir rendimiento', () => this.resetSimulation());
+    // El banco de pruebas mide este hilo: el worker recibe la escena final al terminar
+    if (this.physics) this.physics.suspend();
+    document.getElementById('benchmarkResults').innerHTML = '';
+    document.getElementById('benchmarkEmpty').classList.add('hidden');
+    
+    this.benchmark = new PerformanceBenchmark(this.engine, {
+      frame: () => {
+        this.syncMeshes();
+        this.objectRenderer.update();
+        this.renderer.render(this.scene, this.camera);
+      }
+    });
+    const button = document.getElementById('runBenchmark');
+    button.textContent = 'Cancelar Medición';
+    
+    const results = await this.benchmark.run(({ result }) => this.appendBenchmarkResult(result));
+    const cancelled = this.benchmark.cancelled;
+    this.benchmark = null;
+    if (this.physics) this.physics.resume();
+    button.textContent = 'Medir Rendimiento';
+    
+    this.updateAnalysisDisplay();
+    this.updateVectors();
+    if (cancelled) {
+      this.showNotification('Medición de rendimiento cancelada', 'warning');
+    } else {
+      const last = results[results.length - 1];
+      this.showNotification(
+        `${last.objects} piezas: ${last.step.mean.toFixed(1)} ms por paso, ${last.frame.mean.toFixed(1)} ms por frame`,
+        'success'
+      );
+    }
+    return results;
+  }
+  
+  appendBenchmarkResult(result) {
+    const item = document.createElement('div');
+    item.className = 'data-item';
+    item.innerHTML = `
+      <span class="data-label">${result.objects} piezas (${result.sleeping} en reposo):</span>
+      <span class="data-value">paso ${result.step.mean.toFixed(1)} ms (p95 ${result.step.p95.toFixed(1)}) · estadísticas ${result.statistics.mean.toFixed(1)} ms · frame ${result.frame.mean.toFixed(1)} ms</span>
+    `;
+    document.getElementById('benchmarkResults').appendChild(item);
+  }
+  
+  importScenarioFile(file) {
+    const reader = new FileReader();
+    reader.onload = () => {
+      try {
+        this.runScenario(ScenarioRunner.parse(reader.result));
+      } catch (error) {
+        if (!(error instanceof ScenarioError)) throw error;
+        this.showNotification(error.message, 'error');
+      }
+    };
+    reader.readAsText(file);
+  }
+  
+  async runScenario(script) {
+    this.selectObject(null);
+    this.recordEdit(`Escenario "${script.name ?? 'Escenario'}"`, () => this.resetSimulation());
+    // Como el banco de pruebas, el escenario avanza este hilo; el worker recibe el resultado al terminar
+    if (this.physics) this.physics.suspend();
+    document.getElementById('scenarioResults').innerHTML = '';
+    document.getElementById('scenarioEmpty').classList.add('hidden');
+    
+    this.scenario = new ScenarioRunner(this.engine, script, {
+      frame: () => {
+        this.syncMeshes();
+        this.objectRenderer.update();
+        this.renderer.render(this.scene, this.camera);
+      }
+    });
+    const button = document.getElementById('runScenario');
+    button.textContent = 'Cancelar Escenario';
+    
+    const result = await this.scenario.run();
+    this.scenario = null;
+    if (this.physics) this.physics.resume();
+    button.textContent = 'Ejecutar Escenario';
+    
+    this.reflectConfig();
+    this.syncMeshes();
+    this.updateVectors();
+    this.updateAnalysisDisplay();
+    this.showScenarioResult(result);
+    
+    const failed = result.assertions.filter(check => !check.passed).length;
+    if (result.cancelled) {
+      this.showNotification(`Escenario "${result.name}" cancelado`, 'warning');
+    } else if (result.passed) {
+      this.showNotification(`Escenario "${result.name}": ${result.assertions.length} comprobaciones superadas`, 'success');
+    } else {
+      this.showNotification(
+        `Escenario "${result.name}": ${failed} comprobaciones fallidas, ${result.errors.length} acciones con error`,
+        'error'
+      );
+    }
+    return result;
+  }
+  
+  showScenarioResult(result) {
+    // Los textos vienen del archivo del escenario: textContent en lugar de innerHTML
+    const container = document.getElementById('scenarioResults');
+    const addItem = (label, value, className = '') => {
+      const item = document.createElement('div');
+      item.className = 'data-item';
+      const labelElement = document.createElement('span');
+      labelElement.className = 'data-label';
+      labelElement.textContent = label;
+      const valueElement = document.createElement('span');
+      valueElement.className = `data-value ${className}`;
+      valueElement.textContent = value;
+      item.append(labelElement, valueElement);
+      container.appendChild(item);
+    };
+    
+    const status = result.cancelled ? 'Cancelado' : result.passed ? 'Superado' : 'Fallido';
+    addItem(`${result.name}:`, status, result.passed ? 'text-trajectory' : 'text-error');
+    result.errors.forEach(error => {
+      addItem(`${error.time.toFixed(2)} s · ${error.action}:`, error.message, 'text-error');
+    });
+    result.assertions.forEach(check => {
+      addItem(`${check.passed ? '✓' : '✗'} ${check.description} (${check.time.toFixed(2)} s)`, check.detail,
+        check.passed ? '' : 'text-error');
+    });
+  }
+  
+  addTrajectoryWaypoint() {
+    const target = ['targetX', 'targetY', 'targetZ'].map(id => parseFloat(document.getElementById(id).value));
+    const result = this.engine.addTrajectoryWaypoint(target);
+    
+    if (!result.success) {
+      this.showNotification(`Punto de paso fuera de alcance (error ${result.positionError.toFixed(2)} m)`, 'warning');
+      return null;
+    }
+    
+    this.updateWaypointCount();
+    return result.joints;
+  }
+  
+  clearTrajectoryWaypoints() {
+    this.engine.clearTrajectoryWaypoints();
+    this.updateWaypointCount();
+  }
+  
+  updateWaypointCount() {
+    const count = this.engine.trajectoryWaypoints.length;
+    document.getElementById('waypointCount').textContent =
+      count === 0 ? 'Sin puntos de paso: se usa el objetivo actual' : `${count} punto${count === 1 ? '' : 's'} de paso`;
+  }
+  
+  updateVectors() {
+    // Las flechas se reutilizan entre actualizaciones; las que sobran se ocultan
+    let used = 0;
+    const showArrow = (vector, origin, length, color) => {
+      if (used === this.arrowPool.length) {
+        const created = new THREE.ArrowHelper(new THREE.Vector3(0, 1, 0), new THREE.Vector3(), 1, color);
+        this.scene.add(created);
+        this.arrowPool.push(created);
+      }
+      const arrow = this.arrowPool[used++];
+      arrow.position.set(origin.x, origin.y, origin.z);
+      arrow.setDirection(new THREE.Vector3(vector.x, vector.y, vector.z).normalize());
+      arrow.setLength(length);
+      arrow.setColor(color);
+      arrow.visible = true;
+    };
+    
+    if (this.showVelocityVectors || this.showMomentumVectors) {
+      this.engine.objects.forEach(object => {
+        const position = object.body.position;
+        const velocity = object.body.velocity;
+        const speed = velocity.length();
+        
+        if (this.showVelocityVectors && speed > 0.1) {
+          showArrow(velocity, position, speed * 2, 0x00ffd1);
+        }
+        
+        const momentumMagnitude = speed * object.mass;
+        if (this.showMomentumVectors && momentumMagnitude > 0.1) {
+          showArrow(velocity, position, momentumMagnitude * 0.1, 0xffaa00);
+        }
+      });
+    }
     
+    for (let i = used; i < this.arrowPool.length; i++) {
+      this.arrowPool[i].visible = false;
+    }
+  }
+  
+  updateAnalysisDisplay() {
+    const engine = this.engine;
+    const stats = engine.stats;
+    document.getElementById('activeObjects').textContent = stats.sleepingObjects > 0
+      ? `${stats.activeObjects} (${stats.sleepingObjects} en reposo)`
+      : stats.activeObjects;
+    document.getElementById('collisionCount').textContent = stats.collisionCount;
+    document.getElementById('totalEnergy').textContent = stats.totalEnergy.toFixed(2) + ' J';
+    document.getElementById('maxVelocity').textContent = stats.maxVelocity.toFixed(2) + ' m/s';
+    document.getElementById('avgVelocity').textContent = stats.avgVelocity.toFixed(2) + ' m/s';
+    document.getElementById('currentAngle').textContent = stats.currentAngle.toFixed(1) + '°';
+    engine.robotArm.joints.forEach((angle, index) => {
+      document.getElementById(`jointValue${index}`).textContent = (angle * 180 / Math.PI).toFixed(1) + '°';
+    });
+    this.updateTaskDisplay();
+    this.updateSafetyDisplay();
+    this.updateLineDisplay();
+    this.updateRobotButton();
+    const tool = engine.getToolPose().position;
+    document.getElementById('toolPosition').textContent =
+      `${tool.x.toFixed(2)}, ${tool.y.toFixed(2)}, ${tool.z.toFixed(2)}`;
+    document.getElementById('angularAcceleration').textContent = stats.angularAcceleration.toFixed(2) + ' rad/s²';
+    this.updateInspector();
+    const telemetry = engine.telemetry;
+    document.getElementById('telemetrySamples').textContent = telemetry.dropped > 0
+      ? `${telemetry.length} (${telemetry.dropped} descartadas)`
+      : telemetry.length;
+    const comparison = stats.damageComparison;
+    document.getElementById('damageReduction').textContent = comparison ? comparison.reduction.toFixed(1) + '%' : '—';
+    document.getElementById('damageComparison').textContent = comparison
+      ? `${comparison.baselineDamage.toFixed(1)} J → ${comparison.damage.toFixed(1)} J (${comparison.time.toFixed(1)} s)`
+      : 'Sin referencia';
+    document.getElementById('totalDamage').textContent = stats.totalDamage.toFixed(1) + ' J';
+    document.getElementById('brokenParts').textContent = stats.brokenParts;
+    const layout = engine.layoutResult;
+    document.getElementById('layoutDamage').textContent = layout
+      ? `${layout.baseline.damage.toFixed(1)} J → ${layout.best.damage.toFixed(1)} J`
+      : '—';
+    document.getElementById('layoutReach').textContent = layout
+      ? `${layout.best.reachable}/${layout.best.reachable + layout.best.unreachable}`
+      : '—';
+    const trajectory = stats.trajectory;
+    document.getElementById('trajectoryCycleTime').textContent = trajectory ? trajectory.cycleTime.toFixed(2) + ' s' : '—';
+    document.getElementById('trajectoryPeakJerk').textContent = trajectory ? trajectory.peakJerk.toFixed(1) + ' rad/s³' : '—';
+    document.getElementById('trajectoryEnergy').textContent = trajectory ? trajectory.energy.toFixed(2) + ' J' : '—';
+    document.getElementById('optimalTrajectory').textContent = engine.activeTrajectory
+      ? 'En ejecución'
+      : (trajectory ? TRAJECTORY_PROFILES[trajectory.profile] : 'No calculada');
+    document.getElementById('optimizationStatus').textContent = engine.layoutProgress
+      ? `Optimizando ${Math.round(engine.layoutProgress.iteration / engine.layoutProgress.iterations * 100)}%`
+      : (layout ? 'Optimizada' : 'Listo');
+  }
+  
+  updateSafetyDisplay() {
+    const safety = this.engine.safety;
+    const state = document.getElementById('safetyState');
+    const stateClasses = { normal: 'text-trajectory', warning: 'text-warning', stop: 'text-error' };
+    state.textContent = safety.config.enabled ? safety.stateLabel : 'Desactivadas';
+    state.className = `data-value ${safety.config.enabled ? stateClasses[safety.state] : ''}`;
+    
+    const closest = safety.closest;
+    document.getElementById('safetySeparation').textContent = safety.separation === null
+      ? '—'
+      : `${safety.separation.toFixed(2)} m (${closest.label} · ${closest.link})`;
+    document.getElementById('safetyProtectiveDistance').textContent = safety.separation === null
+      ? '—'
+      : safety.protectiveDistance.toFixed(2) + ' m';
+    document.getElementById('safetyCounts').textContent = `${safety.warningCount} / ${safety.stopCount}`;
+  }
+  
+  appendSafetyLogEntry(violation) {
+    // Texto de las etiquetas sin interpretar: los nombres de las piezas importadas vienen de archivos
+    const log = document.getElementById('safetyLog');
+    const entry = document.createElement('div');
+    entry.className = 'collision-entry';
+    [
+      ['collision-time', `${violation.time.toFixed(2)}s · ${SAFETY_STATES[violation.state]}`],
+      ['collision-bodies', `${violation.label} → ${violation.link}`],
+      ['collision-metrics', `${violation.separation.toFixed(2)} m · protección ${violation.protectiveDistance.toFixed(2)} m`]
+    ].forEach(([className, text]) => {
+      const span = document.createElement('span');
+      span.className = className;
+      span.textContent = text;
+      entry.appendChild(span);
+    });
+    log.prepend(entry);
+    
+    while (log.children.length > 100) {
+      log.removeChild(log.lastChild);
+    }
+  }
+  
+  renderSafetyLog() {
+    document.getElementById('safetyLog').innerHTML = '';
+    this.engine.safety.violations.slice(-100).forEach(violation => this.appendSafetyLogEntry(violation));
+  }
+  
+  appendCollisionLogEntry(impact) {
+    const log = document.getElementById('collisionLog');
+    const entry = document.createElement('div');
+    entry.className = 'collision-entry';
+    entry.innerHTML = `
+      <span class="collision-time">${impact.time.toFixed(2)}s</span>
+      <span class="collision-bodies">${impact.bodyA} ↔ ${impact.bodyB}</span>
+      <span class="collision-metrics">${impact.normalVelocity.toFixed(2)} m/s · ${impact.impulse.toFixed(2)} N⋅s · ${impact.energy.toFixed(1)} J</span>
+    `;
+    log.prepend(entry);
+    
+    // Limitar entradas visibles; el registro completo queda en el monitor
+    while (log.children.length > 100) {
+      log.removeChild(log.lastChild);
+    }
+  }
+  
+  renderCollisionLog() {
+    document.getElementById('collisionLog').innerHTML = '';
+    this.engine.collisionMonitor.events.slice(-100).forEach(impact => this.appendCollisionLogEntry(impact));
+  }
+  
+  downloadFile(filename, content, mimeType) {
+    const blob = new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    this.downloadURL(filename, url);
+    URL.revokeObjectURL(url);
+  }
+  
+  checkTelemetry() {
+    if (this.engine.telemetry.length > 0) return true;
+    this.showNotification('No hay telemetría registrada: activa "Registrar Telemetría" y ejecuta la simulación', 'warning');
+    return false;
+  }
+  
+  downloadURL(filename, url) {
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+  }
+  
+  syncMeshes() {
     // Actualizar posiciones visuales
-    this.objects.forEach(object => {
-      object.mesh.position.copy(object.body.position);
-      object.mesh.quaternion.copy(object.body.quaternion);
+    this.engine.objects.forEach(object => {
+      const mesh = this.objectMeshes.get(object);
+      mesh.position.copy(object.body.position);
+      mesh.quaternion.copy(object.body.quaternion);
+      this.updateDamageColor(object);
     });
+    this.updateRobotVisuals();
+  }
+  
+  applyFrame(frame) {
+    this.engine.applyFrame(frame);
+    this.showFrameMeshes(frame);
+  }
+  
+  showFrameMeshes(frame) {
+    // Los objetos creados después de este instante se ocultan y los ya retirados
+    // vuelven a mostrarse mientras existían
+    const recordedIds = new Set(frame.ids);
+    [...this.engine.objects, ...this.engine.retiredObjects].forEach(obj => {
+      const mesh = this.objectMeshes.get(obj);
+      mesh.visible = recordedIds.has(obj.id);
+      mesh.position.copy(obj.body.position);
+      mesh.quaternion.copy(obj.body.quaternion);
+      this.updateDamageColor(obj);
+    });
+    this.updateRobotVisuals();
+  }
+  
+  isReplaying() {
+    return this.playback.mode === 'replay';
+  }
+  
+  enterReplay() {
+    const recorder = this.engine.recorder;
+    if (this.isReplaying() || recorder.length === 0) return;
+    
+    this.pauseSimulation();
+    this.playback.mode = 'replay';
+    this.playback.time = recorder.last.time;
+    document.getElementById('simulationHud').classList.add('replaying');
+  }
+  
+  seekReplay(fraction) {
+    const recorder = this.engine.recorder;
+    if (recorder.length === 0) return;
+    this.enterReplay();
+    
+    const first = recorder.first.time;
+    const last = recorder.last.time;
+    this.playback.direction = 0;
+    this.playback.time = first + Math.max(0, Math.min(1, fraction)) * (last - first);
+    this.showReplayFrame();
+  }
+  
+  startReplay(direction) {
+    const recorder = this.engine.recorder;
+    if (recorder.length === 0) return;
+    this.enterReplay();
+    
+    // Si estamos en un extremo, reiniciar desde el extremo opuesto
+    if (direction > 0 && this.playback.time >= recorder.last.time) {
+      this.playback.time = recorder.first.time;
+    } else if (direction < 0 && this.playback.time <= recorder.first.time) {
+      this.playback.time = recorder.last.time;
+    }
+    this.playback.direction = direction;
+  }
+  
+  updateReplay(frameSeconds) {
+    if (this.playback.direction === 0) return;
+    
+    const first = this.engine.recorder.first.time;
+    const last = this.engine.recorder.last.time;
+    this.playback.time += this.playback.direction * this.playback.speed * frameSeconds;
+    
+    // Detener al llegar a un extremo de la grabación
+    if (this.playback.time >= last || this.playback.time <= first) {
+      this.playback.time = Math.max(first, Math.min(last, this.playback.time));
+      this.playback.direction = 0;
+    }
+    
+    this.showReplayFrame();
+  }
+  
+  showReplayFrame() {
+    const recorder = this.engine.recorder;
+    const frame = recorder.get(recorder.findIndexAtTime(this.playback.time));
+    this.applyFrame(frame);
+    this.engine.updateStatistics();
+    this.engine.stats.collisionCount = frame.collisionCount;
+    this.updateVectors();
+  }
+  
+  resumeLive() {
+    if (!this.isReplaying()) return;
+    
+    // El motor descarta el futuro grabado y continúa desde el instante mostrado
+    const frame = this.engine.resumeFrom(this.engine.recorder.findIndexAtTime(this.playback.time));
+    this.showFrameMeshes(frame);
+    this.charts.truncateAfter(frame.time);
+    this.renderCollisionLog();
+    this.renderSafetyLog();
+    
+    this.playback.mode = 'live';
+    this.playback.direction = 0;
+    document.getElementById('simulationHud').classList.remove('replaying');
+    
+    this.updateVectors();
+  }
+  
+  ensureLiveMode() {
+    // Editar la escena durante la reproducción reanuda desde el instante mostrado
+    if (this.isReplaying()) {
+      this.resumeLive();
+    }
   }
   
   updateUI() {
     // Actualizar controles de tiempo
     const timeSlider = document.getElementById('timeSlider');
     const timeDisplay = document.getElementById('timeDisplay');
+    const recorder = this.engine.recorder;
     
-    timeSlider.value = (this.simulationTime % 10) * 10;
+    const displayTime = this.isReplaying() ? this.playback.time : this.engine.simulationTime;
+    
+    // Posición dentro de la grabación disponible (en vivo siempre al final)
+    if (recorder.length > 1) {
+      const first = recorder.first.time;
+      const span = recorder.last.time - first;
+      timeSlider.value = this.isReplaying() && span > 0 ? ((displayTime - first) / span) * 1000 : 1000;
+    } else {
+      timeSlider.value = 0;
+    }
     
-    const minutes = Math.floor(this.simulationTime / 60);
-    const seconds = Math.floor(this.simulationTime % 60);
-    const tenths = Math.floor((this.simulationTime % 1) * 10);
+    const minutes = Math.floor(displayTime / 60);
+    const seconds = Math.floor(displayTime % 60);
+    const tenths = Math.floor((displayTime % 1) * 10);
     
-    timeDisplay.textContent = 
+    timeDisplay.textContent =
       `${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}.${tenths}`;
     
-    // Actualizar FPS
-    const fps = Math.round(1000 / this.deltaTime);
-    document.getElementById('fpsCounter').textContent = fps;
-    document.getElementById('deltaTime').textContent = (this.deltaTime * 1000).toFixed(1) + 'ms';
+    // Actualizar FPS y tiempos medidos
+    document.getElementById('fpsCounter').textContent = Math.round(this.frameStats.fps);
+    document.getElementById('frameTime').textContent = this.frameStats.frameTime.toFixed(1) + 'ms';
+    document.getElementById('physicsTime').textContent =
+      `${this.frameStats.physicsTime.toFixed(1)}ms ×${this.frameStats.substeps}${this.physics ? ' (worker)' : ''}`;
+    document.getElementById('deltaTime').textContent = (this.engine.config.fixedTimeStep * 1000).toFixed(1) + 'ms';
   }
   
   playSimulation() {
+    // Desde la reproducción, continuar la simulación en el instante mostrado
+    this.ensureLiveMode();
+    
+    if (this.engine.recorder.length === 0) {
+      this.engine.recorder.record(this.engine.captureFrame());
+    }
+    
     this.isRunning = true;
     document.getElementById('playBtn').disabled = true;
     document.getElementById('pauseBtn').disabled = false;
@@ -640,46 +1782,104 @@ class IndustrialSimulator {
   
   pauseSimulation() {
     this.isRunning = false;
+    this.playback.direction = 0;
     document.getElementById('playBtn').disabled = false;
     document.getElementById('pauseBtn').disabled = true;
   }
   
   resetSimulation() {
     this.pauseSimulation();
-    this.simulationTime = 0;
-    
-    // Remover objetos
-    this.objects.forEach(obj => {
-      this.scene.remove(obj.mesh);
-      this.world.remove(obj.body);
-    });
-    this.objects = [];
-    
-    // Resetear estadísticas
-    this.stats = {
-      activeObjects: 0,
-      collisionCount: 0,
-      totalEnergy: 0,
-      maxVelocity: 0,
-      avgVelocity: 0,
-      currentAngle: 0,
-      angularAcceleration: 0,
-      damageReduction: 0,
-      trajectoryEfficiency: 0
-    };
+    
+    // Descartar la grabación
+    this.playback.mode = 'live';
+    document.getElementById('simulationHud').classList.remove('replaying');
+    
+    // El motor retira objetos, estadísticas, registro de colisiones y robot
+    this.engine.reset();
+    this.charts.clear();
+    document.getElementById('collisionLog').innerHTML = '';
+    document.getElementById('safetyLog').innerHTML = '';
     
     this.resetRobot();
     this.updateAnalysisDisplay();
     this.updateVectors();
   }
   
+  resetFromUI() {
+    this.recordEdit('Reiniciar simulación', () => this.resetSimulation());
+  }
+  
+  recordEdit(label, edit) {
+    // Las ediciones parten del instante en vivo: en reproducción se reanuda antes de guardar la escena
+    this.ensureLiveMode();
+    return this.history.record(label, edit);
+  }
+  
+  undoEdit() {
+    this.goToHistory(this.history.index - 1);
+  }
+  
+  redoEdit() {
+    this.goToHistory(this.history.index + 1);
+  }
+  
+  goToHistory(index) {
+    // El banco de pruebas y los escenarios sustituyen la escena mientras se ejecutan
+    if (this.benchmark || this.scenario) {
+      this.showNotification('Espera a que termine la medición o el escenario para deshacer', 'warning');
+      return;
+    }
+    
+    const undo = index < this.history.index;
+    const entry = this.history.goTo(index);
+    if (entry) {
+      this.showNotification(`${undo ? 'Deshecho' : 'Rehecho'}: ${entry.label}`, 'info');
+    }
+  }
+  
+  renderHistory() {
+    // Lo más reciente arriba; lo deshecho, atenuado hasta que una edición nueva lo descarta
+    const list = document.getElementById('historyList');
+    list.innerHTML = '';
+    const addEntry = (label, index) => {
+      const item = document.createElement('div');
+      item.className = 'history-entry';
+      item.classList.toggle('current', index === this.history.index);
+      item.classList.toggle('undone', index > this.history.index);
+      item.textContent = label;
+      item.addEventListener('click', () => this.goToHistory(index));
+      list.prepend(item);
+    };
+    
+    addEntry('Inicio del historial', 0);
+    this.history.entries.forEach((entry, i) => addEntry(entry.label, i + 1));
+    document.getElementById('undoEdit').disabled = !this.history.canUndo;
+    document.getElementById('redoEdit').disabled = !this.history.canRedo;
+  }
+  
   stepSimulation() {
+    // En reproducción, avanzar un frame grabado
+    if (this.isReplaying()) {
+      const recorder = this.engine.recorder;
+      const index = recorder.findIndexAtTime(this.playback.time);
+      const next = recorder.get(Math.min(index + 1, recorder.length - 1));
+      this.playback.direction = 0;
+      this.playback.time = next.time;
+      this.showReplayFrame();
+      return;
+    }
+    
     if (!this.isRunning) {
-      this.updatePhysics();
-      this.updateRobotPhysics();
-      this.updateStatistics();
+      if (this.physics) {
+        this.physics.step().then(() => {
+          this.syncMeshes();
+          this.updateVectors();
+        });
+        return;
+      }
+      this.engine.step();
+      this.syncMeshes();
       this.updateVectors();
-      this.simulationTime += this.deltaTime;
     }
   }
   
@@ -689,34 +1889,545 @@ class IndustrialSimulator {
     this.renderer.setSize(window.innerWidth, window.innerHeight);
   }
   
-  onCanvasClick(event) {
-    // Implementar lógica de click para interactuar con objetos
-    const mouse = new THREE.Vector2(
-      (event.clientX / window.innerWidth) * 2 - 1,
-      -(event.clientY / window.innerHeight) * 2 + 1
-    );
+  setupSelection() {
+    // Gizmo de traslación/rotación sobre la malla seleccionada
+    this.gizmo = new THREE.TransformControls(this.camera, this.renderer.domElement);
+    this.gizmo.addEventListener('dragging-changed', (e) => {
+      const object = this.selectedObject;
+      if (!object) return;
+      if (e.value) {
+        this.ensureLiveMode();
+        const verb = this.gizmo.getMode() === 'rotate' ? 'Girar' : 'Mover';
+        this.history.begin(`${verb} ${this.engine.getBodyLabel(object.body)}`);
+      } else {
+        // El clic que cierra el arrastre no debe cambiar la selección
+        this.suppressClick = true;
+      }
+      
+      // Mientras se arrastra, el objeto no cae pero sigue empujando a los demás
+      this.engine.pinObject(object, e.value);
+      this.orbitControls.enabled = !e.value && this.cameraMode !== 'tool';
+      if (!e.value) this.history.commit();
+    });
+    this.gizmo.addEventListener('objectChange', () => {
+      const mesh = this.objectMeshes.get(this.selectedObject);
+      this.engine.updateObject(this.selectedObject, {
+        position: mesh.position.toArray(),
+        quaternion: mesh.quaternion.toArray()
+      });
+    });
+    this.scene.add(this.gizmo);
+  }
+  
+  setupCameraControls() {
+    // Botón izquierdo: orbitar; derecho: desplazar; rueda: zoom
+    this.orbitControls = new THREE.OrbitControls(this.camera, this.renderer.domElement);
+    this.orbitControls.target.set(0, 0, 0);
+    this.orbitControls.maxPolarAngle = Math.PI / 2 - 0.01; // sin pasar bajo el suelo
+    this.orbitControls.update();
+    
+    this.cameraPresets = {
+      top: { position: [0, 25, 0.01], target: [0, 0, 0] },
+      front: { position: [0, 5, 20], target: [0, 0, 0] },
+      side: { position: [20, 5, 0], target: [0, 0, 0] },
+      isometric: { position: [12, 12, 12], target: [0, 0, 0] }
+    };
     
-    const raycaster = new THREE.Raycaster();
-    raycaster.setFromCamera(mouse, this.camera);
+    document.getElementById('cameraMode').addEventListener('change', (e) => this.setCameraMode(e.target.value));
+    document.querySelectorAll('[data-view]').forEach(button => {
+      button.addEventListener('click', () => this.setCameraView(this.cameraPresets[button.dataset.view]));
+    });
     
-    const meshes = this.objects.map(obj => obj.mesh);
-    const intersects = raycaster.intersectObjects(meshes);
-    
-    if (intersects.length > 0) {
-      const clickedObject = this.objects.find(obj => obj.mesh === intersects[0].object);
-      if (clickedObject) {
-        // Aplicar impulso al objeto clickeado
-        const impulse = new CANNON.Vec3(
-          (Math.random() - 0.5) * this.config.impulse,
-          this.config.impulse,
-          (Math.random() - 0.5) * this.config.impulse
-        );
-        clickedObject.body.applyImpulse(impulse, clickedObject.body.position);
+    document.getElementById('saveViewpoint').addEventListener('click', () => this.saveViewpoint());
+    document.getElementById('goToViewpoint').addEventListener('click', () => {
+      const name = document.getElementById('viewpointSelect').value;
+      const view = this.engine.viewpoints.find(viewpoint => viewpoint.name === name);
+      if (view) this.setCameraView(view);
+    });
+    document.getElementById('deleteViewpoint').addEventListener('click', () => {
+      this.engine.removeViewpoint(document.getElementById('viewpointSelect').value);
+    });
+    this.engine.on('viewpointsChanged', () => this.renderViewpointList());
+  }
+  
+  setCameraMode(mode) {
+    if (mode === 'follow' && !this.selectedObject) {
+      this.showNotification('Selecciona un objeto en Modo Selección para seguirlo', 'warning');
+      mode = 'orbit';
+    }
+    
+    if (this.cameraMode === 'tool' && mode !== 'tool') {
+      // Volver a la órbita desde donde estaba la cámara antes de la vista de herramienta
+      this.camera.up.set(0, 1, 0);
+      this.camera.position.copy(this.orbitBeforeTool.position);
+      this.orbitControls.target.copy(this.orbitBeforeTool.target);
+    } else if (mode === 'tool' && this.cameraMode !== 'tool') {
+      this.orbitBeforeTool = {
+        position: this.camera.position.clone(),
+        target: this.orbitControls.target.clone()
+      };
+    }
+    
+    this.cameraMode = mode;
+    this.orbitControls.enabled = mode !== 'tool';
+    document.getElementById('cameraMode').value = mode;
+  }
+  
+  setCameraView(view) {
+    // En modo seguimiento la vista conserva la dirección y sigue centrada en el objeto
+    if (this.cameraMode === 'tool') this.setCameraMode('orbit');
+    this.camera.position.fromArray(view.position);
+    this.orbitControls.target.fromArray(view.target);
+    this.orbitControls.update();
+  }
+  
+  updateCamera() {
+    if (this.cameraMode === 'tool') {
+      // Mirar a lo largo del eje de aproximación de la herramienta (Y local)
+      const { position, quaternion } = this.engine.getToolPose();
+      const rotation = new THREE.Quaternion(quaternion.x, quaternion.y, quaternion.z, quaternion.w);
+      const approach = new THREE.Vector3(0, 1, 0).applyQuaternion(rotation);
+      this.camera.up.set(1, 0, 0).applyQuaternion(rotation);
+      this.camera.position.set(position.x, position.y, position.z).addScaledVector(approach, 0.2);
+      this.camera.lookAt(this.camera.position.clone().add(approach));
+      return;
+    }
+    
+    const mesh = this.cameraMode === 'follow' && this.objectMeshes.get(this.selectedObject);
+    if (mesh) {
+      const offset = this.camera.position.clone().sub(this.orbitControls.target);
+      this.orbitControls.target.copy(mesh.position);
+      this.camera.position.copy(mesh.position).add(offset);
+    }
+    this.orbitControls.update();
+  }
+  
+  saveViewpoint() {
+    const input = document.getElementById('viewpointName');
+    const name = input.value.trim();
+    if (!name) {
+      this.showNotification('Escribe un nombre para la vista', 'warning');
+      return;
+    }
+    
+    this.engine.saveViewpoint({
+      name,
+      position: this.camera.position.toArray(),
+      target: this.orbitControls.target.toArray()
+    });
+    document.getElementById('viewpointSelect').value = name;
+    this.showNotification(`Vista "${name}" guardada`, 'success');
+  }
+  
+  renderViewpointList() {
+    const select = document.getElementById('viewpointSelect');
+    const selected = select.value;
+    select.innerHTML = '';
+    
+    this.engine.viewpoints.forEach(view => {
+      const option = document.createElement('option');
+      option.value = view.name;
+      option.textContent = view.name;
+      select.appendChild(option);
+    });
+    
+    if (this.engine.viewpoints.some(view => view.name === selected)) {
+      select.value = selected;
+    }
+  }
+  
+  setupInspectorControls() {
+    this.inspectorFields = {
+      mass: ['inspectMass'],
+      dimensions: ['inspectSize', 'inspectRadius', 'inspectHeight', 'inspectScale'],
+      material: ['inspectFriction', 'inspectRestitution'],
+      position: ['inspectPositionX', 'inspectPositionY', 'inspectPositionZ'],
+      rotation: ['inspectRotationX', 'inspectRotationY', 'inspectRotationZ'],
+      velocity: ['inspectVelocityX', 'inspectVelocityY', 'inspectVelocityZ']
+    };
+    
+    Object.entries(this.inspectorFields).forEach(([group, ids]) => {
+      ids.forEach(id => {
+        document.getElementById(id).addEventListener('change', () => this.applyInspectorChange(group));
+      });
+    });
+    
+    document.getElementById('selectionMode').addEventListener('change', (e) => {
+      this.selectionMode = e.target.checked;
+      if (!this.selectionMode) this.selectObject(null);
+    });
+    document.getElementById('inspectMaterial').addEventListener('change', () => this.applyInspectorChange('materialName'));
+    document.getElementById('gizmoTranslate').addEventListener('click', () => this.setGizmoMode('translate'));
+    document.getElementById('gizmoRotate').addEventListener('click', () => this.setGizmoMode('rotate'));
+    document.getElementById('duplicateObject').addEventListener('click', () => this.duplicateSelected());
+    document.getElementById('deleteObject').addEventListener('click', () => this.deleteSelected());
+  }
+  
+  setupMaterialControls() {
+    document.getElementById('objectMaterial').addEventListener('change', () => this.updateMaterialInfo());
+    this.engine.on('materialsChanged', () => this.renderMaterialOptions());
+    this.renderMaterialOptions();
+    
+    // Niveles de fragilidad para los objetos nuevos y el inspector
+    ['objectFragility', 'inspectFragility'].forEach(id => {
+      const select = document.getElementById(id);
+      Object.entries(FRAGILITY_LEVELS).forEach(([name, level]) => {
+        const option = document.createElement('option');
+        option.value = name;
+        option.textContent = `${level.label} (sin daño < ${level.threshold} J, rotura ${level.capacity} J)`;
+        select.appendChild(option);
+      });
+      select.value = DEFAULT_FRAGILITY;
+    });
+    document.getElementById('inspectFragility').addEventListener('change', () => this.applyInspectorChange('fragility'));
+    
+    document.getElementById('setDamageBaseline').addEventListener('click', () => {
+      this.engine.setDamageBaseline();
+      this.showNotification(`Referencia: ${this.engine.stats.totalDamage.toFixed(1)} J en ${this.engine.simulationTime.toFixed(1)} s`, 'success');
+    });
+    document.getElementById('clearDamageBaseline').addEventListener('click', () => this.engine.clearDamageBaseline());
+  }
+  
+  renderMaterialOptions() {
+    // Mismas opciones para los objetos nuevos y el inspector; la primera es el material propio
+    ['objectMaterial', 'inspectMaterial'].forEach(id => {
+      const select = document.getElementById(id);
+      const selected = select.value;
+      while (select.options.length > 1) select.remove(1);
+      
+      this.engine.materials.names.forEach(name => {
+        const option = document.createElement('option');
+        option.value = name;
+        option.textContent = this.engine.materials.get(name).label ?? name;
+        select.appendChild(option);
+      });
+      
+      select.value = this.engine.materials.has(selected) ? selected : '';
+    });
+    this.updateMaterialInfo();
+    this.updateInspector();
+  }
+  
+  updateMaterialInfo() {
+    const name = document.getElementById('objectMaterial').value;
+    const info = document.getElementById('objectMaterialInfo');
+    if (!name) {
+      info.textContent = 'Masa, fricción y restitución de los deslizadores';
+      return;
+    }
+    
+    const { density, friction, restitution } = this.engine.materials.get(name);
+    info.textContent = `${density} kg/m³ · fricción ${friction} · restitución ${restitution}; masa = densidad × volumen`;
+  }
+  
+  setupMeshImport() {
+    // Colisionadores para las piezas nuevas y el inspector
+    ['meshCollider', 'inspectCollider'].forEach(id => {
+      const select = document.getElementById(id);
+      Object.entries(MESH_COLLIDERS).forEach(([name, collider]) => {
+        const option = document.createElement('option');
+        option.value = name;
+        option.textContent = collider.label;
+        select.appendChild(option);
+      });
+      select.value = DEFAULT_MESH_COLLIDER;
+    });
+    document.getElementById('inspectCollider').addEventListener('change', () => this.applyInspectorChange('collider'));
+    
+    document.getElementById('importMesh').addEventListener('click', () => {
+      document.getElementById('meshFileInput').click();
+    });
+    document.getElementById('meshFileInput').addEventListener('change', (e) => {
+      const file = e.target.files[0];
+      e.target.value = '';
+      if (file) this.importMeshFile(file);
+    });
+    document.getElementById('meshSelect').addEventListener('change', () => this.updateMeshInfo());
+    document.getElementById('addMeshObject').addEventListener('click', () => this.addMeshObject());
+    this.engine.on('meshesChanged', () => this.renderMeshOptions());
+    this.renderMeshOptions();
+  }
+  
+  async importMeshFile(file) {
+    const extension = file.name.split('.').pop().toLowerCase();
+    if (!['stl', 'obj', 'gltf', 'glb'].includes(extension)) {
+      this.showNotification(`Formato no soportado: .${extension} (STL, OBJ, glTF o GLB)`, 'error');
+      return;
+    }
+    
+    try {
+      // OBJ y glTF son texto; STL (binario o ASCII) y GLB se leen como binario
+      const data = extension === 'obj' || extension === 'gltf' ? await file.text() : await file.arrayBuffer();
+      const root = await this.parseMeshFile(extension, data);
+      const geometry = this.extractMeshGeometry(
+        root,
+        parseFloat(document.getElementById('meshUnits').value),
+        document.getElementById('meshUpAxis').value
+      );
+      
+      let name = file.name.replace(/\.[^.]+$/, '');
+      for (let copy = 2; this.engine.meshes.has(name); copy++) {
+        name = `${file.name.replace(/\.[^.]+$/, '')} (${copy})`;
       }
+      const mesh = this.recordEdit(`Importar pieza "${name}"`, () => this.engine.addMesh(name, geometry));
+      document.getElementById('meshSelect').value = name;
+      this.updateMeshInfo();
+      this.showNotification(`Pieza "${name}" importada (${mesh.indices.length / 3} triángulos)`, 'success');
+    } catch (error) {
+      this.showNotification(`No se pudo importar "${file.name}": ${error.message ?? error}`, 'error');
     }
   }
   
-  onCanvasMouseMove(event) {
+  parseMeshFile(extension, data) {
+    // STL da una geometría; OBJ y glTF, una jerarquía de mallas con sus transformaciones
+    if (extension === 'stl') {
+      return Promise.resolve(new THREE.Mesh(new THREE.STLLoader().parse(data)));
+    } else if (extension === 'obj') {
+      return Promise.resolve(new THREE.OBJLoader().parse(data));
+    }
+    return new Promise((resolve, reject) => {
+      new THREE.GLTFLoader().parse(data, '', (gltf) => resolve(gltf.scene), reject);
+    });
+  }
+  
+  extractMeshGeometry(root, units, upAxis) {
+    // Todas las mallas del archivo en una sola lista de triángulos, en metros y con Y arriba
+    const group = new THREE.Group();
+    group.add(root);
+    group.scale.setScalar(units);
+    if (upAxis === 'z') group.rotation.x = -Math.PI / 2;
+    group.updateMatrixWorld(true);
+    
+    const vertices = [];
+    const indices = [];
+    const point = new THREE.Vector3();
+    root.traverse(node => {
+      if (!node.isMesh) return;
+      const position = node.geometry.attributes.position;
+      const index = node.geometry.index;
+      const offset = vertices.length / 3;
+      for (let i = 0; i < position.count; i++) {
+        point.fromBufferAttribute(position, i).applyMatrix4(node.matrixWorld);
+        vertices.push(point.x, point.y, point.z);
+      }
+      for (let i = 0; i < (index ? index.count : position.count); i++) {
+        indices.push(offset + (index ? index.getX(i) : i));
+      }
+    });
+    
+    if (indices.length === 0) {
+      throw new Error('el archivo no contiene mallas de triángulos');
+    }
+    return { vertices, indices };
+  }
+  
+  renderMeshOptions() {
+    const select = document.getElementById('meshSelect');
+    const selected = select.value;
+    while (select.options.length > 1) select.remove(1);
+    select.options[0].textContent = this.engine.meshes.names.length > 0 ? 'Elige una pieza' : 'Sin piezas importadas';
+    
+    this.engine.meshes.names.forEach(name => {
+      const option = document.createElement('option');
+      option.value = name;
+      option.textContent = name;
+      select.appendChild(option);
+    });
+    
+    select.value = this.engine.meshes.has(selected) ? selected : '';
+    this.updateMeshInfo();
+  }
+  
+  updateMeshInfo() {
+    const name = document.getElementById('meshSelect').value;
+    const info = document.getElementById('meshInfo');
+    if (!name) {
+      info.textContent = '—';
+      return;
+    }
+    
+    const mesh = this.engine.meshes.get(name);
+    const size = mesh.bounds.min.map((value, axis) => (mesh.bounds.max[axis] - value).toFixed(3)).join(' × ');
+    info.textContent = `${mesh.indices.length / 3} triángulos · ${size} m · ` +
+      (mesh.closed ? 'cerrada' : 'abierta: el volumen es el de su envolvente convexa');
+  }
+  
+  addMeshObject() {
+    const mesh = document.getElementById('meshSelect').value;
+    const scale = parseFloat(document.getElementById('meshScale').value);
+    const massText = document.getElementById('meshMass').value;
+    const mass = parseFloat(massText);
+    if (!mesh) {
+      this.showNotification('Importa o elige primero una pieza', 'warning');
+      return null;
+    } else if (!(scale > 0)) {
+      this.showNotification('La escala debe ser mayor que 0', 'warning');
+      return null;
+    } else if (massText !== '' && !(mass >= 0)) {
+      this.showNotification('La masa debe ser mayor o igual a 0', 'warning');
+      return null;
+    }
+    
+    // Sin masa indicada, la de la densidad del material o la de la configuración
+    return this.spawnObject({
+      shape: 'mesh',
+      mesh,
+      collider: document.getElementById('meshCollider').value,
+      dimensions: { scale },
+      ...this.randomSpawnSpec(),
+      ...(massText !== '' ? { mass } : {})
+    });
+  }
+  
+  selectObject(object) {
+    if (this.selectedObject) this.objectRenderer.setHighlight(this.selectedObject, false);
+    
+    this.selectedObject = object;
+    this.gizmo.detach();
+    document.getElementById('inspectorEmpty').classList.toggle('hidden', object !== null);
+    document.getElementById('inspectorFields').classList.toggle('hidden', object === null);
+    if (!object) return;
+    
+    // Resaltar la malla y mostrar solo las dimensiones de su forma
+    this.objectRenderer.setHighlight(object, true);
+    this.gizmo.attach(this.objectMeshes.get(object));
+    
+    const dimensions = SCENE_SHAPES[object.type];
+    this.inspectorFields.dimensions.forEach(id => {
+      const input = document.getElementById(id);
+      input.classList.toggle('hidden', !dimensions.includes(input.dataset.dimension));
+    });
+    document.getElementById('inspectColliderGroup').classList.toggle('hidden', object.type !== 'mesh');
+    this.updateInspector();
+  }
+  
+  updateInspector() {
+    const object = this.selectedObject;
+    if (!object) return;
+    
+    // No pisar el campo que se está editando
+    const write = (id, value, digits) => {
+      const input = document.getElementById(id);
+      if (input !== document.activeElement) input.value = value.toFixed(digits);
+    };
+    const writeVector = (ids, values, digits) => ids.forEach((id, i) => write(id, values[i], digits));
+    
+    const body = object.body;
+    const fields = this.inspectorFields;
+    document.getElementById('inspectorTitle').textContent = this.engine.getBodyLabel(body);
+    write('inspectMass', object.mass, 2);
+    fields.dimensions.forEach(id => {
+      const key = document.getElementById(id).dataset.dimension;
+      if (object[key] !== undefined) write(id, object[key], 2);
+    });
+    const material = this.engine.materials.resolve(object.material);
+    document.getElementById('inspectMaterial').value = typeof object.material === 'string' ? object.material : '';
+    document.getElementById('inspectFragility').value = typeof object.fragility === 'string' ? object.fragility : '';
+    if (object.type === 'mesh') document.getElementById('inspectCollider').value = object.collider;
+    const health = this.engine.damage.health(object);
+    document.getElementById('inspectDamage').textContent = object.broken
+      ? `Rota (${object.damage.toFixed(1)} J de daño)`
+      : `Daño ${object.damage.toFixed(1)} J · integridad ${(health * 100).toFixed(0)}%`;
+    writeVector(fields.material, [material.friction, material.restitution], 2);
+    writeVector(fields.position, [body.position.x, body.position.y, body.position.z], 2);
+    
+    const euler = new THREE.Euler().setFromQuaternion(
+      new THREE.Quaternion(body.quaternion.x, body.quaternion.y, body.quaternion.z, body.quaternion.w)
+    );
+    writeVector(fields.rotation, [euler.x, euler.y, euler.z].map(angle => angle * 180 / Math.PI), 1);
+    writeVector(fields.velocity, [body.velocity.x, body.velocity.y, body.velocity.z], 2);
+  }
+  
+  applyInspectorChange(group) {
+    if (!this.selectedObject) return;
+    this.ensureLiveMode();
+    const object = this.selectedObject;
+    if (!object) return;
+    
+    const read = (ids) => ids.map(id => parseFloat(document.getElementById(id).value));
+    const fields = this.inspectorFields;
+    let changes = null;
+    let error = null;
+    
+    if (group === 'mass') {
+      const [mass] = read(fields.mass);
+      if (mass >= 0) changes = { mass };
+      else error = 'La masa debe ser mayor o igual a 0';
+    } else if (group === 'dimensions') {
+      const dimensions = {};
+      fields.dimensions.forEach(id => {
+        const input = document.getElementById(id);
+        if (!input.classList.contains('hidden')) dimensions[input.dataset.dimension] = parseFloat(input.value);
+      });
+      if (Object.values(dimensions).every(value => value > 0)) changes = { dimensions };
+      else error = 'Las dimensiones deben ser mayores que 0';
+    } else if (group === 'materialName') {
+      // Pasar a personalizado conserva los coeficientes del material de la biblioteca
+      const name = document.getElementById('inspectMaterial').value;
+      const { friction, restitution } = this.engine.materials.resolve(object.material);
+      changes = { material: name || { friction, restitution } };
+    } else if (group === 'fragility') {
+      changes = { fragility: document.getElementById('inspectFragility').value };
+    } else if (group === 'collider') {
+      changes = { collider: document.getElementById('inspectCollider').value };
+    } else if (group === 'material') {
+      const [friction, restitution] = read(fields.material);
+      if (friction >= 0 && restitution >= 0 && restitution <= 1) changes = { material: { friction, restitution } };
+      else error = 'La fricción debe ser ≥ 0 y la restitución estar entre 0 y 1';
+    } else {
+      const values = read(fields[group]);
+      if (!values.every(Number.isFinite)) {
+        error = 'Introduce tres números';
+      } else if (group === 'rotation') {
+        const [x, y, z] = values.map(angle => angle * Math.PI / 180);
+        changes = { quaternion: new THREE.Quaternion().setFromEuler(new THREE.Euler(x, y, z)).toArray() };
+      } else {
+        changes = { [group]: values };
+      }
+    }
+    
+    const labels = {
+      mass: 'masa', dimensions: 'dimensiones', materialName: 'material', material: 'material', fragility: 'fragilidad',
+      collider: 'colisionador', position: 'posición', rotation: 'rotación', velocity: 'velocidad'
+    };
+    if (error) {
+      this.showNotification(error, 'warning');
+    } else {
+      this.recordEdit(
+        `Editar ${this.engine.getBodyLabel(object.body)}: ${labels[group]}`,
+        () => this.engine.updateObject(object, changes)
+      );
+    }
+    this.updateInspector();
+  }
+  
+  setGizmoMode(mode) {
+    this.gizmo.setMode(mode);
+    document.getElementById('gizmoTranslate').classList.toggle('active', mode === 'translate');
+    document.getElementById('gizmoRotate').classList.toggle('active', mode === 'rotate');
+  }
+  
+  duplicateSelected() {
+    if (!this.selectedObject) return;
+    this.ensureLiveMode();
+    if (!this.selectedObject) return;
+    const object = this.selectedObject;
+    this.selectObject(this.recordEdit(
+      `Duplicar ${this.engine.getBodyLabel(object.body)}`,
+      () => this.engine.duplicateObject(object)
+    ));
+  }
+  
+  deleteSelected() {
+    if (!this.selectedObject) return;
+    this.ensureLiveMode();
+    if (!this.selectedObject) return;
+    const object = this.selectedObject;
+    this.recordEdit(`Eliminar ${this.engine.getBodyLabel(object.body)}`, () => this.engine.removeObject(object));
+  }
+  
+  pickObject(event) {
+    // Objeto bajo el cursor mediante raycasting sobre sus mallas
     const mouse = new THREE.Vector2(
       (event.clientX / window.innerWidth) * 2 - 1,
       -(event.clientY / window.innerHeight) * 2 + 1
@@ -725,42 +2436,98 @@ class IndustrialSimulator {
     const raycaster = new THREE.Raycaster();
     raycaster.setFromCamera(mouse, this.camera);
     
-    const meshes = this.objects.map(obj => obj.mesh);
-    const intersects = raycaster.intersectObjects(meshes);
+    // Durante la reproducción también se ven objetos ya retirados, que no se pueden editar
+    const object = this.objectRenderer.pick(raycaster);
+    return object && this.engine.objects.includes(object) ? object : null;
+  }
+  
+  onCanvasClick(event) {
+    if (this.suppressClick) {
+      this.suppressClick = false;
+      return;
+    }
+    
+    // Soltar tras orbitar o desplazar la cámara no cuenta como clic
+    const start = this.pointerDown;
+    if (start && Math.hypot(event.clientX - start.x, event.clientY - start.y) > 5) {
+      return;
+    }
+    
+    const clickedObject = this.pickObject(event);
+    
+    // En modo selección el clic selecciona (o deselecciona en vacío) en lugar de empujar
+    if (this.selectionMode) {
+      this.selectObject(clickedObject);
+      return;
+    }
     
+    if (clickedObject) {
+      this.ensureLiveMode();
+      // Aplicar impulso al objeto clickeado
+      const impulse = this.engine.config.impulse;
+      this.engine.applyImpulse(clickedObject, [
+        (this.engine.random() - 0.5) * impulse,
+        impulse,
+        (this.engine.random() - 0.5) * impulse
+      ]);
+    }
+  }
+  
+  onCanvasMouseMove(event) {
+    const hoveredObject = this.pickObject(event);
     const tooltip = document.getElementById('vectorTooltip');
     
-    if (intersects.length > 0) {
-      const hoveredObject = this.objects.find(obj => obj.mesh === intersects[0].object);
-      if (hoveredObject) {
-        // Mostrar información del objeto
-        const velocity = hoveredObject.body.velocity;
-        const speed = Math.sqrt(velocity.x**2 + velocity.y**2 + velocity.z**2);
-        const momentum = speed * hoveredObject.mass;
-        
-        document.getElementById('tooltipVelocity').textContent = speed.toFixed(2) + ' m/s';
-        document.getElementById('tooltipMomentum').textContent = momentum.toFixed(2) + ' kg⋅m/s';
-        
-        tooltip.style.left = event.clientX + 10 + 'px';
-        tooltip.style.top = event.clientY - 10 + 'px';
-        tooltip.classList.add('visible');
-      }
+    if (hoveredObject) {
+      // Mostrar información del objeto
+      const velocity = hoveredObject.body.velocity;
+      const speed = Math.sqrt(velocity.x**2 + velocity.y**2 + velocity.z**2);
+      const momentum = speed * hoveredObject.mass;
+      
+      document.getElementById('tooltipVelocity').textContent = speed.toFixed(2) + ' m/s';
+      document.getElementById('tooltipMomentum').textContent = momentum.toFixed(2) + ' kg⋅m/s';
+      
+      tooltip.style.left = event.clientX + 10 + 'px';
+      tooltip.style.top = event.clientY - 10 + 'px';
+      tooltip.classList.add('visible');
     } else {
       tooltip.classList.remove('visible');
     }
   }
   
+  updateFrameStats(frameSeconds, physicsMs, substeps) {
+    // Media móvil exponencial para suavizar la lectura
+    const smoothing = 0.1;
+    const frameMs = frameSeconds * 1000;
+    const fps = frameSeconds > 0 ? 1 / frameSeconds : 0;
+    
+    this.frameStats.frameTime += (frameMs - this.frameStats.frameTime) * smoothing;
+    this.frameStats.fps += (fps - this.frameStats.fps) * smoothing;
+    this.frameStats.physicsTime += (physicsMs - this.frameStats.physicsTime) * smoothing;
+    this.frameStats.substeps = substeps;
+  }
+  
   startAnimation() {
-    const animate = () => {
+    const animate = (timestamp) => {
       requestAnimationFrame(animate);
       
-      const startTime = performance.now();
+      // Tiempo real transcurrido desde el frame anterior (limitado tras pestañas inactivas)
+      const now = timestamp ?? performance.now();
+      const frameSeconds = this.lastFrameTime === null ? 0 : Math.min((now - this.lastFrameTime) / 1000, 0.25);
+      this.lastFrameTime = now;
+      
+      const physicsStart = performance.now();
+      let substeps = 0;
       
-      if (this.isRunning) {
-        this.updatePhysics();
-        this.updateRobotPhysics();
-        this.updateStatistics();
-        this.simulationTime += this.deltaTime;
+      if (this.isReplaying()) {
+        this.updateReplay(frameSeconds);
+      } else if (this.isRunning) {
+        // Con el hilo de física, los pasos llegan ya calculados entre frames
+        substeps = this.physics ? this.physics.runFixedSteps(frameSeconds) : this.engine.runFixedSteps(frameSeconds);
+        
+        if (substeps > 0) {
+          this.syncMeshes();
+          this.charts.sample(this.engine.simulationTime, this.engine.stats);
+        }
         
         // Actualizar vectores cada 5 frames para optimizar rendimiento
         if (this.frameCount % 5 === 0) {
@@ -768,17 +2535,23 @@ class IndustrialSimulator {
         }
       }
       
+      const physicsMs = this.physics ? this.physics.stepTime : performance.now() - physicsStart;
+      this.updateFrameStats(frameSeconds, physicsMs, substeps);
+      
       // Renderizar escena
+      this.updateCamera();
+      this.objectRenderer.update();
       this.renderer.render(this.scene, this.camera);
       
-      // Calcular delta time real
-      const endTime = performance.now();
-      this.deltaTime = (endTime - startTime) / 1000;
-      
       // Actualizar UI
       this.updateUI();
       this.updateAnalysisDisplay();
       
+      // Redibujar las gráficas a unos 10 Hz; en reproducción marcan el instante mostrado
+      if (this.frameCount % 6 === 0) {
+        this.charts.draw(this.isReplaying() ? this.playback.time : null);
+      }
+      
       this.frameCount++;
     };
     
@@ -807,7 +2580,24 @@ document.addEventListener('keydown', (event) => {
     case 'KeyR':
       if (event.ctrlKey) {
         event.preventDefault();
-        window.simulator.resetSimulation();
+        window.simulator.resetFromUI();
+      }
+      break;
+    case 'KeyZ':
+      // En los campos de texto, Ctrl+Z deshace lo escrito
+      if (event.ctrlKey && !['INPUT', 'SELECT', 'TEXTAREA'].includes(event.target.tagName)) {
+        event.preventDefault();
+        if (event.shiftKey) {
+          window.simulator.redoEdit();
+        } else {
+          window.simulator.undoEdit();
+        }
+      }
+      break;
+    case 'KeyY':
+      if (event.ctrlKey && !['INPUT', 'SELECT', 'TEXTAREA'].includes(event.target.tagName)) {
+        event.preventDefault();
+        window.simulator.redoEdit();
       }
       break;
     case 'KeyO':
@@ -822,5 +2612,13 @@ document.addEventListener('keydown', (event) => {
         window.simulator.optimizeTrajectory();
       }
       break;
+    case 'Delete':
+      if (event.target.tagName !== 'INPUT') {
+        window.simulator.deleteSelected();
+      }
+      break;
+    case 'Escape':
+      window.simulator.selectObject(null);
+      break;
   }
 });
@@ -0,0 +1,85 @@
+/**
+ * Pruebas del Motor de Simulación
+ * Determinismo con la misma semilla, reanudación desde un frame grabado y límites del brazo.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { SimulationEngine, BODY_STATE_SIZE } = require('../js/node');
+
+function dropBoxes(engine, count = 5) {
+  // Cajas en posiciones e impulsos sacados del generador del motor
+  for (let i = 0; i < count; i++) {
+    const object = engine.spawnObject({
+      shape: 'box',
+      dimensions: { size: 0.5 },
+      position: [engine.random() * 4 - 2, 1 + i, engine.random() * 4 - 2]
+    });
+    engine.applyImpulse(object, [engine.random() * 10 - 5, 0, engine.random() * 10 - 5]);
+  }
+}
+
+function simulate(seed) {
+  const engine = new SimulationEngine({ record: false });
+  engine.setSeed(seed);
+  dropBoxes(engine);
+  engine.run(2);
+  return engine.serializeScene().objects.map(object => [...object.position, ...object.velocity]);
+}
+
+test('la misma semilla da la misma simulación', () => {
+  assert.deepEqual(simulate(42), simulate(42));
+});
+
+test('otra semilla da otra simulación', () => {
+  assert.notDeepEqual(simulate(42), simulate(43));
+});
+
+test('resumeFrom vuelve al frame elegido y descarta lo posterior', () => {
+  const engine = new SimulationEngine();
+  engine.setSeed(7);
+  dropBoxes(engine, 3);
+  engine.telemetry.start(0);
+  engine.step(30);
+  const frame = engine.recorder.last;
+  const objects = engine.objects.length;
+
+  engine.spawnObject({ shape: 'sphere', dimensions: { radius: 0.3 }, position: [0, 3, 0] });
+  engine.step(30);
+
+  const index = engine.recorder.findIndexAtTime(frame.time);
+  engine.resumeFrom(index);
+
+  assert.equal(engine.simulationTime, frame.time);
+  assert.equal(engine.stepCount, frame.step);
+  assert.equal(engine.recorder.length, index + 1);
+  assert.equal(engine.objects.length, objects);
+  assert.ok(engine.telemetry.get(engine.telemetry.length - 1).time <= frame.time);
+
+  // Los cuerpos vuelven al estado grabado
+  engine.objects.forEach(object => {
+    const i = frame.ids.indexOf(object.id);
+    assert.ok(i >= 0);
+    assert.ok(Math.abs(object.body.position.y - frame.states[i * BODY_STATE_SIZE + 1]) < 1e-12);
+  });
+
+  // Y la simulación sigue desde ahí
+  engine.step(10);
+  assert.equal(engine.stepCount, frame.step + 10);
+});
+
+test('sin velocidad angular no se planifica ninguna trayectoria', () => {
+  const engine = new SimulationEngine({ record: false });
+  engine.robotArm.jointTargets = [1, 0.5, 0.5, 0, 0];
+  engine.applyConfig({ angularVelocity: 0 });
+
+  assert.equal(engine.optimizeTrajectory(), null);
+  assert.equal(engine.planCollisionFreePath([2, 1, 0.5]).success, false);
+  assert.throws(() => engine.planTrajectory([[0, 0, 0, 0, 0], [1, 0, 0, 0, 0]]), RangeError);
+});
+
+test('cargar el paquete no escribe en el ámbito global', () => {
+  ['CANNON', 'SimulationEngine', 'SceneFormat', 'isPlainObject'].forEach(name => {
+    assert.equal(name in globalThis, false, `${name} está en el ámbito global`);
+  });
+});
@@ -0,0 +1,52 @@
+/**
+ * Pruebas de los Experimentos
+ * Validación de la definición y de la escena de partida.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ExperimentRunner, ExperimentError, SCENE_FORMAT_ID, SCENE_FORMAT_VERSION } = require('../js/node');
+
+function definitionErrors(definition) {
+  try {
+    new ExperimentRunner(definition);
+  } catch (error) {
+    assert.ok(error instanceof ExperimentError, `se esperaba ExperimentError y se recibió ${error.name}: ${error.message}`);
+    return error.details;
+  }
+  assert.fail('la definición debería ser inválida');
+}
+
+test('los objetos fijos se validan como los de una escena', () => {
+  const errors = definitionErrors({
+    runs: 1,
+    layout: { objects: [{ shape: 'box', position: [0, 1, 0], mass: -1, material: 'unobtainium' }] }
+  });
+
+  assert.ok(errors.includes('layout.objects[0].dimensions: debe ser un objeto'));
+  assert.ok(errors.some(error => error.startsWith('layout.objects[0].mass:')));
+  assert.ok(errors.some(error => error.startsWith('layout.objects[0].material:')));
+});
+
+test('la escena de partida se migra y se valida también desde código', async () => {
+  const v1 = {
+    format: SCENE_FORMAT_ID,
+    version: 1,
+    config: { gravity: -9.8, friction: 0.3, restitution: 0.6 },
+    robot: { position: [0, 0, 0], angle: 0.5, maxAngularVelocity: 2 },
+    objects: []
+  };
+  const runner = new ExperimentRunner({
+    runs: 1,
+    duration: 0.1,
+    scene: v1,
+    layout: { objects: [{ shape: 'box', dimensions: { size: 1 }, position: [0, 1, 0], material: 'rubber' }] }
+  });
+
+  assert.equal(runner.definition.scene.version, SCENE_FORMAT_VERSION);
+  const summary = await runner.run();
+  assert.equal(summary.runs, 1);
+
+  const errors = definitionErrors({ runs: 1, scene: { ...v1, objects: 'x' } });
+  assert.ok(errors.includes('scene.objects: debe ser una lista'));
+});
@@ -0,0 +1,82 @@
+/**
+ * Pruebas del Historial de Ediciones
+ * Deshacer y rehacer sobre el motor sin página.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { SimulationEngine, SceneHistory } = require('../js/node');
+
+function spawnBox(engine, x) {
+  return engine.spawnObject({ shape: 'box', dimensions: { size: 1 }, position: [x, 1, 0] });
+}
+
+test('deshacer y rehacer restauran la escena de cada edición', () => {
+  const engine = new SimulationEngine({ record: false });
+  const history = new SceneHistory(engine);
+
+  history.record('Crear caja', () => spawnBox(engine, 0));
+  history.record('Crear caja', () => spawnBox(engine, 3));
+  history.record('Gravedad', () => engine.applyConfig({ gravity: -3 }));
+  assert.equal(engine.objects.length, 2);
+
+  assert.equal(history.undo().label, 'Gravedad');
+  assert.equal(engine.config.gravity, -9.8);
+  history.undo();
+  assert.equal(engine.objects.length, 1);
+  assert.ok(history.canRedo);
+
+  history.redo();
+  history.redo();
+  assert.equal(engine.objects.length, 2);
+  assert.equal(engine.config.gravity, -3);
+  assert.equal(history.redo(), null);
+});
+
+test('saltar varias ediciones carga la escena de destino', () => {
+  const engine = new SimulationEngine({ record: false });
+  const history = new SceneHistory(engine);
+  [0, 2, 4].forEach(x => history.record('Crear caja', () => spawnBox(engine, x)));
+
+  history.goTo(0);
+  assert.equal(engine.objects.length, 0);
+  history.goTo(3);
+  assert.deepEqual(engine.objects.map(object => object.body.position.x), [0, 2, 4]);
+});
+
+test('una edición nueva descarta lo deshecho', () => {
+  const engine = new SimulationEngine({ record: false });
+  const history = new SceneHistory(engine);
+  history.record('Crear caja', () => spawnBox(engine, 0));
+  history.record('Crear caja', () => spawnBox(engine, 2));
+  history.undo();
+
+  history.record('Fricción', () => engine.applyConfig({ friction: 0.8 }));
+  assert.equal(history.canRedo, false);
+  assert.deepEqual(history.entries.map(entry => entry.label), ['Crear caja', 'Fricción']);
+});
+
+test('las ediciones anidadas y las que fallan', () => {
+  const engine = new SimulationEngine({ record: false });
+  const history = new SceneHistory(engine, { capacity: 2 });
+
+  // Una edición dentro de otra forma parte de la externa
+  history.record('Dos cajas', () => {
+    history.record('Crear caja', () => spawnBox(engine, 0));
+    history.record('Crear caja', () => spawnBox(engine, 2));
+  });
+  assert.equal(history.entries.length, 1);
+
+  // Si la edición lanza un error no se anota
+  assert.throws(() => history.record('Falla', () => { throw new Error('fallo'); }), /fallo/);
+  assert.equal(history.entries.length, 1);
+
+  // Con la capacidad llena se olvidan las más antiguas
+  history.record('Caja', () => spawnBox(engine, 4));
+  history.record('Caja', () => spawnBox(engine, 6));
+  assert.equal(history.entries.length, 2);
+  history.undo();
+  history.undo();
+  assert.equal(engine.objects.length, 2);
+  assert.equal(history.canUndo, false);
+});
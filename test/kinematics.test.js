@@ -0,0 +1,71 @@
+/**
+ * Pruebas de la Cinemática del Brazo
+ * Alcanzabilidad de la cinemática inversa con la cadena DH por defecto y con otras cadenas.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { KinematicChain, DEFAULT_ARM_LINKS } = require('../js/node');
+
+const distance = (a, b) => Math.hypot(a[0] - b[0], a[1] - b[1], a[2] - b[2]);
+
+test('alcanza puntos generados con la cinemática directa', () => {
+  const chain = new KinematicChain();
+  const postures = [
+    [0.3, 0.2, 0.8, 0.5, 0],
+    [-1.2, -0.4, 1.1, -0.6, 0.4],
+    [2.5, 0.7, -0.9, 0.3, -1]
+  ];
+
+  postures.forEach(posture => {
+    const target = chain.forward(posture).tool.position;
+    const result = chain.solveIK(target, [0, 0, 0, 0, 0]);
+
+    assert.ok(result.success, `sin solución para ${target.map(value => value.toFixed(2))}`);
+    assert.ok(chain.withinLimits(result.joints));
+    assert.ok(distance(chain.forward(result.joints).tool.position, target) < 1e-2);
+  });
+});
+
+test('respeta la dirección de aproximación pedida', () => {
+  const chain = new KinematicChain();
+  const result = chain.solveIK([2, 1, 0.5], [0, 0, 0, 0, 0], { approach: [0, 0, -1] });
+
+  assert.ok(result.success);
+  const { tool } = chain.forward(result.joints);
+  assert.ok(tool.zAxis[2] < -0.99);
+});
+
+test('un punto fuera del alcance no tiene solución', () => {
+  const chain = new KinematicChain();
+  const target = [chain.reach + 2, 0, 0.5];
+  const result = chain.solveIK(target, [0, 0, 0, 0, 0]);
+
+  assert.equal(result.success, false);
+  assert.ok(result.positionError > 1);
+  assert.ok(chain.withinLimits(result.joints));
+});
+
+test('resuelve cadenas de cualquier número de ejes', () => {
+  const DEG = Math.PI / 180;
+  const link = (d, a, alpha, offset = 0) => ({ d, a, alpha, offset, min: -150 * DEG, max: 150 * DEG });
+  const chains = [
+    new KinematicChain([link(0.5, 0, Math.PI / 2), link(0, 2, 0, Math.PI / 2), link(0, 1.5, 0)]),
+    new KinematicChain([...DEFAULT_ARM_LINKS, link(0.2, 0, 0)])
+  ];
+
+  chains.forEach(chain => {
+    const zeros = chain.links.map(() => 0);
+    const posture = chain.links.map((_, j) => (j % 2 === 0 ? 0.4 : -0.3));
+    const target = chain.forward(posture).tool.position;
+
+    const reached = chain.solveIK(target, zeros);
+    assert.ok(reached.success, `${chain.dof} ejes: sin solución`);
+    assert.ok(distance(chain.forward(reached.joints).tool.position, target) < 1e-2);
+
+    const unreachable = chain.solveIK([chain.reach + 2, 0, 0.5], zeros);
+    assert.equal(unreachable.success, false);
+    assert.equal(unreachable.joints.length, chain.dof);
+    assert.ok(unreachable.joints.every(Number.isFinite));
+  });
+});
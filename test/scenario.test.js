@@ -0,0 +1,92 @@
+/**
+ * Pruebas de los Escenarios
+ * Comprobaciones que pasan y que fallan, validación y cambios del paso fijo.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { SimulationEngine, ScenarioRunner, ScenarioError } = require('../js/node');
+
+function run(script) {
+  return new ScenarioRunner(new SimulationEngine({ record: false }), script).run();
+}
+
+const dropBox = { at: 0, action: 'spawn', object: { shape: 'box', dimensions: { size: 0.5 }, position: [3, 1, 0] } };
+
+test('las comprobaciones pasan o fallan según la simulación', async () => {
+  const result = await run({
+    name: 'Caída',
+    duration: 3,
+    timeline: [dropBox],
+    assertions: [
+      { type: 'objectCount', min: 1, max: 1 },
+      { type: 'collisions', min: 1 },
+      { type: 'settled' },
+      { type: 'maxSpeed', max: 1 },
+      { type: 'objectPosition', object: 1, position: [3, 0.25, 0], tolerance: 0.2 },
+      { type: 'brokenParts' },
+      { type: 'protectiveStops' }
+    ]
+  });
+
+  assert.deepEqual(result.assertions.map(check => check.passed), [true, true, true, false, true, true, true]);
+  assert.equal(result.passed, false);
+  assert.ok(result.assertions[3].value > 1);
+});
+
+test('las comprobaciones con at se evalúan en su instante', async () => {
+  const result = await run({
+    duration: 1,
+    timeline: [{ ...dropBox, at: 0.5 }],
+    assertions: [
+      { type: 'objectCount', max: 0, at: 0.5 },
+      { type: 'objectCount', min: 1 }
+    ]
+  });
+
+  assert.ok(result.passed);
+  assert.ok(Math.abs(result.assertions[0].time - 0.5) < 1e-9);
+});
+
+test('una acción que falla da el escenario por fallido sin detenerlo', async () => {
+  const result = await run({
+    duration: 0.5,
+    timeline: [{ at: 0.1, action: 'remove', object: 99 }, dropBox],
+    assertions: [{ type: 'objectCount', min: 1 }]
+  });
+
+  assert.equal(result.errors.length, 1);
+  assert.ok(result.assertions[0].passed);
+  assert.equal(result.passed, false);
+});
+
+test('la misma semilla da el mismo resultado', async () => {
+  const script = {
+    seed: 5,
+    duration: 1.5,
+    timeline: [{ at: 0, action: 'spawn', count: 4, object: { shape: 'sphere', dimensions: { radius: 0.3 }, position: [2, 3, 0] }, offset: [0, 1, 0] }],
+    assertions: [{ type: 'maxSpeed', max: 100 }]
+  };
+  const [a, b] = [await run(script), await run(script)];
+  assert.deepEqual(a.assertions, b.assertions);
+});
+
+test('un cambio de paso fijo mantiene la duración', async () => {
+  const result = await run({
+    duration: 1,
+    timeline: [{ at: 0.25, action: 'config', values: { fixedTimeStep: 0.005 } }],
+    assertions: [{ type: 'objectCount', max: 0, at: 0.75 }]
+  });
+
+  assert.ok(Math.abs(result.time - 1) < 1e-6);
+  assert.ok(Math.abs(result.assertions[0].time - 0.75) < 1e-6);
+});
+
+test('se rechazan valores de configuración fuera de rango', () => {
+  assert.throws(
+    () => ScenarioRunner.validate({ timeline: [{ at: 0, action: 'config', values: { fixedTimeStep: 0, maxSubSteps: 2.5 } }] }),
+    (error) => error instanceof ScenarioError &&
+      error.details.some(detail => detail.includes('fixedTimeStep')) &&
+      error.details.some(detail => detail.includes('maxSubSteps'))
+  );
+});
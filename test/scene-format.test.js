@@ -0,0 +1,96 @@
+/**
+ * Pruebas del Formato de Escena
+ * Ida y vuelta de una escena, migraciones desde versiones antiguas y validación.
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { SimulationEngine, SceneFormat, SceneFormatError, SCENE_FORMAT_ID, SCENE_FORMAT_VERSION } = require('../js/node');
+
+function sceneWithObjects() {
+  const engine = new SimulationEngine({ record: false });
+  engine.spawnObject({ shape: 'box', dimensions: { size: 1 }, position: [2, 1, 0] });
+  engine.spawnObject({ shape: 'sphere', dimensions: { radius: 0.5 }, position: [-2, 3, 1], material: 'rubber' });
+  engine.addConveyor({ position: [0, 0, 4] });
+  return engine.serializeScene();
+}
+
+function parseErrors(document) {
+  try {
+    SceneFormat.parse(JSON.stringify(document));
+  } catch (error) {
+    assert.ok(error instanceof SceneFormatError, `se esperaba SceneFormatError y se recibió ${error.name}: ${error.message}`);
+    return error.details.length > 0 ? error.details : [error.message];
+  }
+  assert.fail('la escena debería ser inválida');
+}
+
+test('una escena guardada se carga igual', () => {
+  const scene = sceneWithObjects();
+  const engine = new SimulationEngine({ record: false });
+  engine.loadScene(SceneFormat.parse(JSON.stringify(scene)));
+  const reloaded = engine.serializeScene();
+
+  assert.deepEqual(reloaded.objects, scene.objects);
+  assert.deepEqual(reloaded.line, scene.line);
+  assert.deepEqual(reloaded.config, scene.config);
+});
+
+test('una escena de la versión 1 se migra a la actual', () => {
+  const current = sceneWithObjects();
+  const v1 = {
+    format: SCENE_FORMAT_ID,
+    version: 1,
+    config: { gravity: -9.8, friction: 0.3, restitution: 0.6 },
+    robot: { position: [0, 0, 0], angle: 0.5, maxAngularVelocity: 2 },
+    // Antes de la biblioteca de materiales cada objeto llevaba su masa y sus coeficientes
+    objects: current.objects.map(({ fragility, damage, material, ...object }) => ({
+      ...object,
+      mass: object.mass ?? 5,
+      material: { friction: 0.3, restitution: 0.6 }
+    }))
+  };
+
+  const scene = SceneFormat.parse(JSON.stringify(v1));
+  assert.equal(scene.version, SCENE_FORMAT_VERSION);
+  assert.equal(scene.robot.joints[0], 0.5);
+  assert.equal(scene.robot.joints.length, scene.robot.links.length);
+  assert.deepEqual(scene.line, { conveyors: [], spawners: [], sinks: [] });
+  assert.ok(scene.objects.every(object => object.damage === 0));
+  assert.equal(scene.robot.safety.enabled, false);
+});
+
+test('las versiones antiguas mal formadas dan errores de validación', () => {
+  assert.ok(parseErrors({ format: SCENE_FORMAT_ID, version: 1 }).includes('objects: debe ser una lista'));
+  assert.ok(parseErrors({ format: SCENE_FORMAT_ID, version: 6, line: null, objects: [] }).includes('line: debe ser un objeto'));
+  assert.ok(parseErrors({ format: SCENE_FORMAT_ID, version: 6, line: { spawners: 3 }, objects: 'x' }).includes('objects: debe ser una lista'));
+});
+
+test('se rechazan formatos y versiones desconocidos', () => {
+  assert.match(parseErrors({ format: 'otro', version: 1 })[0], /no es una escena del simulador/);
+  assert.match(parseErrors({ format: SCENE_FORMAT_ID, version: 0 })[0], /Versión de escena inválida/);
+  assert.match(parseErrors({ format: SCENE_FORMAT_ID, version: SCENE_FORMAT_VERSION + 1 })[0], /solo soporta hasta/);
+  assert.throws(() => SceneFormat.parse('{'), SceneFormatError);
+});
+
+test('la configuración se valida clave a clave', () => {
+  const scene = sceneWithObjects();
+  Object.assign(scene.config, { fixedTimeStep: 0, maxSubSteps: 1.5, timeScale: -1, mass: 0, sleepSpeed: -0.1, unknown: 1 });
+  const errors = parseErrors(scene);
+
+  ['fixedTimeStep', 'maxSubSteps', 'timeScale', 'mass', 'sleepSpeed', 'unknown'].forEach(key => {
+    assert.ok(errors.some(error => error.startsWith(`config.${key}:`)), `falta el error de config.${key}`);
+  });
+});
+
+test('se señalan referencias rotas entre secciones', () => {
+  const scene = sceneWithObjects();
+  scene.objects[1].material = 'unobtainium';
+  scene.objects[0].id = scene.objects[1].id;
+  scene.robot.safety.warningDistance = 0.1;
+  const errors = parseErrors(scene);
+
+  assert.ok(errors.some(error => error.includes('"unobtainium" no está definido')));
+  assert.ok(errors.some(error => error.includes('está repetido')));
+  assert.ok(errors.some(error => error.startsWith('robot.safety:')));
+});